@@ -5,13 +5,51 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const { Configuration, OpenAIApi } = require('openai'); // Correct import for OpenAI SDK v4.0
-const { resolvePrompt } = require('./prompts');
+const {
+  promptLibrary,
+  promptVariables,
+  resolvePrompt,
+  summaryStyles,
+  DEFAULT_SUMMARY_STYLE,
+} = require('./prompts');
 const { registerRoutes } = require('./routes');
+const { SUPPORTED_PROVIDERS } = require('../lib/compare');
+const { createChatService } = require('../lib/chat');
+const {
+  parseOpenAiCompatibleProviders,
+  createOpenAiCompatibleClient,
+} = require('../lib/openai-compatible');
 const {
   parseAccessKeys,
   createApiAccessMiddleware,
+  createAdminAccessMiddleware,
   createIpRateLimiter,
 } = require('../lib/security');
+const { parseModelPricing, createUsageTracker } = require('../lib/usage');
+const { parseModelAllowlist, createModelPolicy } = require('../lib/models');
+const {
+  parseFailoverChains,
+  createFailoverService,
+} = require('../lib/failover');
+const {
+  parseRetryPolicies,
+  createRetryRunner,
+  getRetryAfterMs,
+  getRetryableReason,
+} = require('../lib/retry');
+const { parseChunkingConfig } = require('../lib/transcript-chunking');
+const { parseLanguageConfig } = require('../lib/languages');
+const { parseSummaryJobConfig } = require('../lib/summary-jobs');
+const { parseIngestConfig } = require('../lib/transcript-ingest');
+const { createSummaryCache } = require('../lib/summary-cache');
+const {
+  parsePromptRegistryConfig,
+  createPromptRegistry,
+} = require('../lib/prompt-registry');
+const {
+  parseCircuitBreakerConfig,
+  createCircuitBreakerRegistry,
+} = require('../lib/circuit-breaker');
 
 // Load environment variables before any process.env reads.
 dotenv.config();
@@ -103,38 +141,19 @@ const buildInternalErrorResponse = (error) => {
 logger.info('API process starting');
 logger.info('Active LOG_LEVEL:', activeLogLevel);
 
-const configuredPromptVersions = {
-  transcriptSummary: process.env.PROMPT_VERSION_TRANSCRIPT_SUMMARY || 'v1',
-  transcriptSummaryV2: process.env.PROMPT_VERSION_TRANSCRIPT_SUMMARY_V2 || 'v1',
-  transcriptTags: process.env.PROMPT_VERSION_TRANSCRIPT_TAGS || 'v1',
-};
-const {
-  prompt: transcriptSummaryPrompt,
-  version: activeTranscriptSummaryVersion,
-} = resolvePrompt(
-  'transcript_summary',
-  configuredPromptVersions.transcriptSummary,
-  logger,
-);
-const {
-  prompt: transcriptSummaryPromptV2,
-  version: activeTranscriptSummaryV2Version,
-} = resolvePrompt(
-  'transcript_summary_v2',
-  configuredPromptVersions.transcriptSummaryV2,
-  logger,
+// PROMPT_VERSION_<PROMPT_KEY> picks each prompt's built-in version. The
+// prompt registry can switch to another version at runtime.
+const builtinPromptVersions = Object.fromEntries(
+  Object.keys(promptLibrary).map((promptKey) => [
+    promptKey,
+    resolvePrompt(
+      promptKey,
+      process.env[`PROMPT_VERSION_${promptKey.toUpperCase()}`],
+      logger,
+    ).version,
+  ]),
 );
-const { prompt: transcriptTagsPrompt, version: activeTranscriptTagsVersion } =
-  resolvePrompt(
-    'transcript_tags',
-    configuredPromptVersions.transcriptTags,
-    logger,
-  );
-logger.info('Active prompt versions:', {
-  transcript_summary: activeTranscriptSummaryVersion,
-  transcript_summary_v2: activeTranscriptSummaryV2Version,
-  transcript_tags: activeTranscriptTagsVersion,
-});
+logger.info('Built-in prompt versions:', builtinPromptVersions);
 
 // Initialize Firebase Admin
 const firebaseAdmin = require('firebase-admin');
@@ -169,10 +188,32 @@ const initializeFirestore = () => {
 
 const db = initializeFirestore();
 
+const promptRegistry = createPromptRegistry({
+  db,
+  library: promptLibrary,
+  variables: promptVariables,
+  defaultVersions: builtinPromptVersions,
+  config: parsePromptRegistryConfig(process.env, {
+    library: promptLibrary,
+    logger,
+  }),
+  logger,
+});
+
 // Initialize the Express app
 const app = express();
 const port = process.env.PORT || 3001;
 
+// Provider calls (including retries) must finish inside Vercel's maxDuration.
+const requestTimeBudgetMs =
+  Number(process.env.REQUEST_TIME_BUDGET_MS) > 0
+    ? Number(process.env.REQUEST_TIME_BUDGET_MS)
+    : 55_000;
+app.use((req, res, next) => {
+  req.receivedAt = Date.now();
+  next();
+});
+
 // Restore original path when Vercel rewrites to /api/index?path=...
 app.use((req, res, next) => {
   const pathParam = req.query?.path;
@@ -228,12 +269,27 @@ const openAiReasoningEffort = process.env.OPENAI_REASONING_EFFORT || 'low';
 const deepSeekModel = process.env.DEEPSEEK_MODEL || 'deepseek-chat';
 const anthropicModel = process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest';
 
-const buildResponsesPayload = (modelMessages, maxOutputTokens) => ({
-  model: openAiModel,
+const buildResponsesPayload = (
+  modelMessages,
+  maxOutputTokens,
+  { temperature, topP, model = openAiModel, responseFormat } = {},
+) => ({
+  model,
   input: modelMessages,
   max_output_tokens: maxOutputTokens,
   reasoning: { effort: openAiReasoningEffort },
-  text: { format: { type: 'text' } },
+  text: {
+    format: responseFormat
+      ? {
+          type: 'json_schema',
+          name: responseFormat.name,
+          schema: responseFormat.schema,
+          strict: true,
+        }
+      : { type: 'text' },
+  },
+  ...(temperature !== undefined ? { temperature } : {}),
+  ...(topP !== undefined ? { top_p: topP } : {}),
 });
 
 const extractResponsesText = (responseData) => {
@@ -286,10 +342,27 @@ const requireAnthropicKey = requireApiKey(
 );
 const deepSeekKey = process.env.DEEPSEEK_API_KEY;
 const requireDeepSeekKey = requireApiKey(deepSeekKey, 'DeepSeek');
+const openAiCompatibleProviders = parseOpenAiCompatibleProviders(
+  process.env.OPENAI_COMPATIBLE_PROVIDERS,
+  { reservedNames: SUPPORTED_PROVIDERS, logger },
+).map(createOpenAiCompatibleClient);
+if (openAiCompatibleProviders.length > 0) {
+  logger.info(
+    'OpenAI-compatible providers:',
+    openAiCompatibleProviders.map(({ name, model }) => `${name} (${model})`),
+  );
+}
+const supportedProviders = [
+  ...SUPPORTED_PROVIDERS,
+  ...openAiCompatibleProviders.map(({ name }) => name),
+];
 const providerAvailability = {
   openai: Boolean(openApiKey),
   deepseek: Boolean(deepSeekKey),
   anthropic: Boolean(process.env.ANTHROPIC_API_KEY),
+  ...Object.fromEntries(
+    openAiCompatibleProviders.map(({ name }) => [name, true]),
+  ),
 };
 const apiAccessKeys = parseAccessKeys(process.env.API_ACCESS_KEYS);
 if (apiAccessKeys.length === 0) {
@@ -301,6 +374,27 @@ const requireApiAccess = createApiAccessMiddleware({
   keys: apiAccessKeys,
   logger,
 });
+const modelPolicy = createModelPolicy({
+  allowlist: parseModelAllowlist(process.env.MODEL_ALLOWLIST, logger),
+  defaultModels: {
+    openai: openAiModel,
+    deepseek: deepSeekModel,
+    anthropic: anthropicModel,
+    ...Object.fromEntries(
+      openAiCompatibleProviders.map(({ name, model }) => [name, model]),
+    ),
+  },
+  accessKeys: apiAccessKeys,
+});
+const requireAdminAccess = createAdminAccessMiddleware({
+  keys: parseAccessKeys(process.env.ADMIN_API_KEYS),
+  logger,
+});
+const usageTracker = createUsageTracker({
+  db,
+  pricing: parseModelPricing(process.env.MODEL_PRICING, logger),
+  logger,
+});
 const apiRateLimiter = createIpRateLimiter({
   windowMs: process.env.RATE_LIMIT_WINDOW_MS || 60_000,
   maxRequests: process.env.RATE_LIMIT_MAX || 120,
@@ -317,9 +411,21 @@ app.use('/api', apiRateLimiter);
 
 const createProviderErrorResponse = (res, providerLabel, routePath, error) => {
   logProviderError(`${providerLabel} API Error at ${routePath}`, error);
+  // Passed through so clients (and summary jobs) wait as long as the
+  // provider asked.
+  const retryAfterMs = getRetryAfterMs(error);
+  if (retryAfterMs !== null) {
+    res.setHeader('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+  }
+  // Every provider failure is a 500; "retryable" tells callers (and summary
+  // jobs) whether the upstream error was transient.
   return res.status(500).json({
     error: `An error occurred while communicating with the ${providerLabel} API`,
     details: getClientErrorDetails(error),
+    retryable: getRetryableReason(error) !== null,
+    ...(error?.failedAttempts?.length
+      ? { failedAttempts: error.failedAttempts }
+      : {}),
   });
 };
 
@@ -331,7 +437,9 @@ const getValidModelMessages = (res, modelMessages) => {
   return modelMessages;
 };
 
-const getTranscriptOrRespond = async (res, videoID) => {
+// Resolves to the transcripts/{videoID} document data, or responds with the
+// matching error and resolves to null.
+const getTranscriptDocOrRespond = async (res, videoID) => {
   if (!videoID) {
     res.status(400).json({ error: 'Invalid video ID' });
     return null;
@@ -350,13 +458,7 @@ const getTranscriptOrRespond = async (res, videoID) => {
       res.status(404).json({ error: 'Transcript not found for this video.' });
       return null;
     }
-
-    const transcript = doc.data()?.transcript;
-    if (!transcript || transcript.length === 0) {
-      res.status(404).json({ error: 'No transcript was found.' });
-      return null;
-    }
-    return transcript;
+    return doc.data() || {};
   } catch (error) {
     logger.error('Firestore transcript lookup failed:', error.message);
     logger.debug('Firestore transcript lookup stack:', error.stack);
@@ -367,6 +469,29 @@ const getTranscriptOrRespond = async (res, videoID) => {
   }
 };
 
+const getTranscriptOrRespond = async (res, videoID) => {
+  const data = await getTranscriptDocOrRespond(res, videoID);
+  if (!data) return null;
+
+  const transcript = data.transcript;
+  if (!transcript || transcript.length === 0) {
+    res.status(404).json({ error: 'No transcript was found.' });
+    return null;
+  }
+  return transcript;
+};
+
+const getTranscriptSegmentsOrRespond = async (res, videoID) => {
+  const data = await getTranscriptDocOrRespond(res, videoID);
+  if (!data) return null;
+
+  if (!Array.isArray(data.segments) || data.segments.length === 0) {
+    res.status(404).json({ error: 'No timed transcript segments were found.' });
+    return null;
+  }
+  return data.segments;
+};
+
 const openAiResponsesUrl = 'https://api.openai.com/v1/responses';
 const openAiRequestConfig = {
   headers: {
@@ -376,33 +501,71 @@ const openAiRequestConfig = {
   timeout: 60000,
 };
 
-const callOpenAiResponses = async (modelMessages, maxOutputTokens) =>
+const callOpenAiResponses = async (
+  modelMessages,
+  maxOutputTokens,
+  generationOptions,
+) =>
   axios.post(
     openAiResponsesUrl,
-    buildResponsesPayload(modelMessages, maxOutputTokens),
-    openAiRequestConfig,
+    buildResponsesPayload(modelMessages, maxOutputTokens, generationOptions),
+    {
+      ...openAiRequestConfig,
+      timeout: generationOptions?.timeoutMs || openAiRequestConfig.timeout,
+    },
+  );
+
+const streamOpenAiResponses = async (
+  modelMessages,
+  maxOutputTokens,
+  generationOptions,
+) =>
+  axios.post(
+    openAiResponsesUrl,
+    {
+      ...buildResponsesPayload(
+        modelMessages,
+        maxOutputTokens,
+        generationOptions,
+      ),
+      stream: true,
+    },
+    {
+      ...openAiRequestConfig,
+      timeout: generationOptions?.timeoutMs || openAiRequestConfig.timeout,
+      responseType: 'stream',
+    },
   );
 
 const deepSeekChatUrl = 'https://api.deepseek.com/chat/completions';
-const buildDeepSeekChatPayload = (modelMessages, maxTokens = 1024) => ({
+const buildDeepSeekChatPayload = (
+  modelMessages,
+  maxTokens = 1024,
+  { temperature = 0.5, topP = 1, model = deepSeekModel, responseFormat } = {},
+) => ({
   messages: modelMessages,
-  model: deepSeekModel,
+  model,
   frequency_penalty: 0,
   max_tokens: maxTokens,
   presence_penalty: 0,
-  response_format: { type: 'text' },
+  // DeepSeek has JSON mode but no schema enforcement.
+  response_format: { type: responseFormat ? 'json_object' : 'text' },
   stop: null,
   stream: false,
   stream_options: null,
-  temperature: 0.5,
-  top_p: 1,
+  temperature,
+  top_p: topP,
   tools: null,
   tool_choice: 'none',
   logprobs: false,
   top_logprobs: null,
 });
 
-const callDeepSeekChatAxios = async (modelMessages, maxTokens = 1024) =>
+const callDeepSeekChatAxios = async (
+  modelMessages,
+  maxTokens = 1024,
+  generationOptions,
+) =>
   axios({
     method: 'post',
     url: deepSeekChatUrl,
@@ -411,25 +574,105 @@ const callDeepSeekChatAxios = async (modelMessages, maxTokens = 1024) =>
       Accept: 'application/json',
       Authorization: `Bearer ${deepSeekKey}`,
     },
-    data: JSON.stringify(buildDeepSeekChatPayload(modelMessages, maxTokens)),
+    data: JSON.stringify(
+      buildDeepSeekChatPayload(modelMessages, maxTokens, generationOptions),
+    ),
+    ...(generationOptions?.timeoutMs
+      ? { timeout: generationOptions.timeoutMs }
+      : {}),
   });
 
+const streamDeepSeekChatAxios = async (
+  modelMessages,
+  maxTokens = 1024,
+  generationOptions,
+) =>
+  axios.post(
+    deepSeekChatUrl,
+    {
+      ...buildDeepSeekChatPayload(modelMessages, maxTokens, generationOptions),
+      stream: true,
+      stream_options: { include_usage: true },
+    },
+    {
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream',
+        Authorization: `Bearer ${deepSeekKey}`,
+      },
+      timeout: generationOptions?.timeoutMs || 60000,
+      responseType: 'stream',
+    },
+  );
+
 const createAnthropicClient = (timeout) =>
   new Anthropic({
     apiKey: process.env.ANTHROPIC_API_KEY,
+    // Retries are handled by the shared retry policy in lib/retry.js.
+    maxRetries: 0,
     ...(timeout ? { timeout } : {}),
   });
-// Initialize DeepSeek OpenAI-compatible client
-const configurationDeepseek = new Configuration({
-  baseURL: 'https://api.deepseek.com',
-  apiKey: deepSeekKey, // Ensure the API key is loaded from your environment
+
+const chatService = createChatService({
+  callOpenAiResponses,
+  streamOpenAiResponses,
+  extractResponsesText,
+  callDeepSeekChatAxios,
+  streamDeepSeekChatAxios,
+  createAnthropicClient,
+  openAiCompatibleProviders,
+  providerAvailability,
+  openAiModel,
+  deepSeekModel,
+  anthropicModel,
+  recordUsage: usageTracker.record,
+  retryRunner: createRetryRunner({
+    policies: parseRetryPolicies(process.env.PROVIDER_RETRY_POLICIES, {
+      supportedProviders,
+      logger,
+    }),
+    logger,
+  }),
+  circuitBreakers: createCircuitBreakerRegistry({
+    config: parseCircuitBreakerConfig(process.env),
+    logger,
+  }),
+  logger,
+});
+const failoverService = createFailoverService({
+  chatService,
+  chains: parseFailoverChains(process.env.PROVIDER_FAILOVER_CHAINS, {
+    supportedProviders,
+    logger,
+  }),
+  logger,
 });
-const deepseekAi = new OpenAIApi(configurationDeepseek);
 
 const {
   healthHandler,
+  providerHealthHandler,
   openAiChatHandler,
   openAiChatYoutubeTranscriptHandler,
+  openAiTranscriptV2Handler,
+  deepSeekTranscriptV2Handler,
+  anthropicTranscriptV2Handler,
+  openAiCompatibleChatHandler,
+  openAiCompatibleTranscriptHandler,
+  openAiCompatibleTranscriptV2Handler,
+  requireOpenAiCompatibleProvider,
+  chatHandler,
+  transcriptChaptersHandler,
+  transcriptQaHandler,
+  createSummaryJobHandler,
+  summaryJobStatusHandler,
+  summaryJobRunner,
+  summaryStylesHandler,
+  promptVersionsHandler,
+  createPromptVersionHandler,
+  promotePromptVersionHandler,
+  promptRolloutHandler,
+  ingestTranscriptHandler,
+  usageHandler,
   compareHandler,
   signupWithInviteHandler,
 } = registerRoutes(app, {
@@ -440,27 +683,41 @@ const {
   requireAnthropicKey,
   getValidModelMessages,
   getTranscriptOrRespond,
-  callOpenAiResponses,
-  extractResponsesText,
+  getTranscriptSegmentsOrRespond,
+  chatService,
+  failoverService,
+  requestTimeBudgetMs,
   createProviderErrorResponse,
-  callDeepSeekChatAxios,
-  deepseekAi,
-  createAnthropicClient,
-  transcriptSummaryPrompt,
-  transcriptSummaryPromptV2,
-  transcriptTagsPrompt,
-  providerAvailability,
+  logProviderError,
+  promptRegistry,
+  promptOverrideKeys: parseAccessKeys(process.env.PROMPT_OVERRIDE_KEYS),
+  promptVariables,
+  summaryStyles,
+  defaultSummaryStyle: DEFAULT_SUMMARY_STYLE,
+  chunkingConfig: parseChunkingConfig(process.env),
+  languageConfig: parseLanguageConfig(process.env, logger),
+  summaryCache: createSummaryCache({ db, logger }),
+  summaryRepair: process.env.SUMMARY_OUTPUT_REPAIR !== 'false',
+  summaryJobConfig: parseSummaryJobConfig(process.env),
+  transcriptIngestConfig: parseIngestConfig(process.env),
+  supportedProviders,
+  openAiCompatibleProviders,
   getClientErrorDetails,
-  openAiModel,
-  deepSeekModel,
-  anthropicModel,
   requireApiAccess,
+  requireAdminAccess,
   providerRateLimiter,
+  usageTracker,
+  modelPolicy,
   db,
   firebaseAdmin,
   inviteSecret: process.env.INVITE_CODE_SECRET || '',
 });
 
+// Jobs left pending by a previous process continue on this one.
+if (db) {
+  summaryJobRunner.resumePending();
+}
+
 // Global error handler should be registered after routes.
 app.use((err, req, res, next) => {
   logger.error('Global Error Handler:', err.stack);
@@ -480,15 +737,38 @@ if (!process.env.VERCEL) {
 module.exports = app;
 module.exports.testHandlers = {
   healthHandler,
+  providerHealthHandler,
   openAiChatHandler,
   openAiChatYoutubeTranscriptHandler,
+  openAiTranscriptV2Handler,
+  deepSeekTranscriptV2Handler,
+  anthropicTranscriptV2Handler,
+  openAiCompatibleChatHandler,
+  openAiCompatibleTranscriptHandler,
+  openAiCompatibleTranscriptV2Handler,
+  requireOpenAiCompatibleProvider,
+  chatHandler,
+  transcriptChaptersHandler,
+  transcriptQaHandler,
+  createSummaryJobHandler,
+  summaryJobStatusHandler,
+  summaryJobRunner,
+  summaryStylesHandler,
+  promptVersionsHandler,
+  createPromptVersionHandler,
+  promotePromptVersionHandler,
+  promptRolloutHandler,
+  ingestTranscriptHandler,
+  usageHandler,
   compareHandler,
   signupWithInviteHandler,
   requireOpenAiKey,
   requireDeepSeekKey,
   requireAnthropicKey,
   requireApiAccess,
+  requireAdminAccess,
   apiRateLimiter,
+  providerRateLimiter,
   firebaseAdmin,
   db,
 };
@@ -5,9 +5,9 @@ You are an expert summarizer for diverse types of content. Your task is to analy
 
 Your summary should always be structured as follows:
 
-- ## One Sentence Summary: A 20-word description that encapsulates the main message of the video.
-- ## Main Points: A list of 10 key takeaways, each no longer than 16 words.
-- ## Takeaways: A list of 5 actionable or insightful points derived from the video.
+- ## One Sentence Summary: A {{summaryWords}}-word description that encapsulates the main message of the video.
+- ## Main Points: A list of {{mainPointCount}} key takeaways, each no longer than {{mainPointWords}} words.
+- ## Takeaways: A list of {{takeawayCount}} actionable or insightful points derived from the video.
 
 ### IMPORTANT:
 Ensure the summary reflects the uniqueness of each video’s content. Avoid generic phrasing and tailor the summary to the context of the transcript. Each summary should feel personalized and insightful, corresponding to the specific details of the video transcript.
@@ -18,7 +18,10 @@ Ensure the summary reflects the uniqueness of each video’s content. Avoid gene
 - Number the list items (no bullet points).
 - No need for explanations or warnings.
 - Format the output with Markdown headers (##, ###).
-    - Use bold for important terms.`,
+    - Use bold for important terms.
+
+{{audience}}
+{{tone}}`,
   },
   transcript_summary_v2: {
     v1: `# IDENTITY and PURPOSE
@@ -26,22 +29,237 @@ You are an expert summarizer for diverse types of content. Your task is to analy
 
 Your summary should be structured as follows:
 
-- ## One Sentence Summary: A 20-word description that encapsulates the main message of the video.
-- ## Main Points: A list of 10 key takeaways, each no longer than 16 words.
-- ## Takeaways: A list of 5 actionable or insightful points derived from the video.
+- ## One Sentence Summary: A {{summaryWords}}-word description that encapsulates the main message of the video.
+- ## Main Points: A list of {{mainPointCount}} key takeaways, each no longer than {{mainPointWords}} words.
+- ## Takeaways: A list of {{takeawayCount}} actionable or insightful points derived from the video.
 
 ### IMPORTANT:
-Ensure the summary reflects the uniqueness of the video. Use Markdown formatting. Use **bold** for key concepts.`,
+Ensure the summary reflects the uniqueness of the video. Use Markdown formatting. Use **bold** for key concepts.
+
+{{audience}}
+{{tone}}`,
   },
   transcript_tags: {
-    v1: `You're an SEO and content expert. Generate 5–10 concise, highly relevant tags for the provided video transcript. Tags should capture tools, technologies, topics, or concepts discussed in the video. Avoid generic words like "video" or "transcript". Return a plain array of strings.`,
+    v1: `You're an SEO and content expert. Generate {{minTags}}–{{maxTags}} concise, highly relevant tags for the provided video transcript. Tags should capture tools, technologies, topics, or concepts discussed in the video. Avoid generic words like "video" or "transcript". Return a plain array of strings.`,
+    v2: `You're an SEO and content expert. Generate {{minTags}}–{{maxTags}} concise, highly relevant tags for the provided video transcript. Tags should capture tools, technologies, topics, or concepts discussed in the video. Avoid generic words like "video" or "transcript". Respond with only a JSON object of the form {"tags": ["..."]}.`,
+  },
+  transcript_chunk_notes: {
+    v1: `You are taking notes on one part of a longer YouTube video transcript. Other parts are handled separately and all notes will be combined into one summary later.
+
+Write compact notes for this part only:
+- The main ideas, claims and arguments, in the order they appear.
+- Concrete details worth keeping: names, tools, numbers, examples, and any advice or conclusions.
+
+Use short Markdown bullet points. Do not add an introduction or conclusion, and do not speculate about other parts of the video.`,
+  },
+  transcript_chapters: {
+    v1: `You are an experienced YouTube editor. The transcript below is split into timed lines, each starting with a [timestamp] marker.
+
+Divide the video into chapters that follow its real topic changes:
+- Start each chapter at the marker where its topic begins, copying the marker exactly. The first chapter starts at the first marker.
+- Give each chapter a short, specific title of at most 6 words.
+- Add a one-line description of at most 20 words saying what the chapter covers.
+- Prefer fewer, meaningful chapters over many tiny ones; keep each chapter at least a minute long when the video allows it.`,
+  },
+  transcript_qa: {
+    v1: `You answer questions about a YouTube video using only the numbered transcript passages provided. Passages are excerpts and may overlap.
+
+- Answer the question directly and concisely, in plain language.
+- Support every claim with the passage it came from by adding its marker, for example [P2]. Only cite passages you actually used.
+- If the passages do not answer the question, say that the transcript does not cover it. Do not guess or use outside knowledge.`,
+  },
+  transcript_study_notes: {
+    v1: `You turn YouTube video transcripts into study notes for a learner who wants to understand and remember the material.
+
+Structure the notes as follows:
+
+- ## Overview: Two or three sentences on what the video teaches.
+- ## Key Concepts: Each important term or idea in **bold**, followed by a one- or two-sentence explanation in your own words.
+- ## Notes: The content in the order it is taught, grouped under ### subheadings, as short bullet points. Keep examples, formulas, steps and numbers from the video.
+- ## Review Questions: {{reviewQuestionCount}} questions that test understanding of the material, without answers.
+
+Use simple, clear language. Do not add facts that are not in the transcript.
+
+{{audience}}`,
+  },
+  transcript_tldr: {
+    v1: `Write a TL;DR of the YouTube video transcript you are given: one plain paragraph of at most {{maxWords}} words that says what the video is about and its most important conclusion.
+
+No headings, lists, bold text or introductory phrases such as "This video". Be specific to the video rather than generic.
+
+{{audience}}
+{{tone}}`,
+  },
+  transcript_social_thread: {
+    v1: `Turn the YouTube video transcript you are given into a social media thread that makes people want to watch the video.
+
+- Write 5 to 8 posts, each numbered like "1/", "2/" at the start, separated by a blank line.
+- Each post must be at most 280 characters including its number.
+- The first post is a hook that states the video's most interesting idea. The middle posts each share one concrete insight, example or number from the video. The last post sums up the takeaway.
+- Plain text only: no Markdown, no emoji, and at most two hashtags, only in the last post.
+- Stay faithful to the transcript; do not invent claims.`,
+  },
+  transcript_executive_brief: {
+    v1: `You write executive briefs. Summarize the YouTube video transcript you are given for a busy decision-maker who will not watch the video.
+
+Structure the brief as follows:
+
+- ## Bottom Line: One or two sentences with the single most important conclusion.
+- ## Key Points: 3 to 5 numbered points, each at most 25 words.
+- ## Implications: Two or three sentences on what this means for a business or team.
+- ## Recommended Actions: 2 or 3 numbered, concrete next steps.
+
+Be direct and specific. Use **bold** only for figures and names that matter. Do not add facts that are not in the transcript.`,
+  },
+};
+
+// Typed template variables per prompt key, shared by all of its versions.
+// Templates reference them as {{name}}; requests set them through
+// "variables". Enum values map to the text that is rendered, and defaults
+// render the original wording.
+const audienceVariable = {
+  type: 'enum',
+  description: 'Who the output is written for.',
+  default: 'general',
+  values: {
+    general: '',
+    beginner:
+      'Write for beginners: explain any jargon in plain words and keep sentences short.',
+    expert:
+      'Write for experts: keep the technical terms and skip basic explanations.',
+  },
+};
+const toneVariable = {
+  type: 'enum',
+  description: 'Voice of the output.',
+  default: 'neutral',
+  values: {
+    neutral: '',
+    casual: 'Use a friendly, conversational tone.',
+    formal: 'Use a formal, professional tone.',
+  },
+};
+const summaryVariables = {
+  summaryWords: {
+    type: 'integer',
+    description: 'Length of the one-sentence summary, in words.',
+    default: 20,
+    min: 10,
+    max: 40,
+  },
+  mainPointCount: {
+    type: 'integer',
+    description: 'Number of main points.',
+    default: 10,
+    min: 3,
+    max: 20,
+  },
+  mainPointWords: {
+    type: 'integer',
+    description: 'Maximum words per main point.',
+    default: 16,
+    min: 8,
+    max: 30,
+  },
+  takeawayCount: {
+    type: 'integer',
+    description: 'Number of takeaways.',
+    default: 5,
+    min: 1,
+    max: 10,
+  },
+  audience: audienceVariable,
+  tone: toneVariable,
+};
+const promptVariables = {
+  transcript_summary: summaryVariables,
+  transcript_summary_v2: summaryVariables,
+  transcript_tags: {
+    minTags: {
+      type: 'integer',
+      description: 'Fewest tags to return.',
+      default: 5,
+      min: 1,
+      max: 20,
+    },
+    maxTags: {
+      type: 'integer',
+      description: 'Most tags to return.',
+      default: 10,
+      min: 1,
+      max: 20,
+      atLeast: 'minTags',
+    },
+  },
+  transcript_study_notes: {
+    reviewQuestionCount: {
+      type: 'integer',
+      description: 'Number of review questions.',
+      default: 5,
+      min: 1,
+      max: 15,
+    },
+    audience: audienceVariable,
+  },
+  transcript_tldr: {
+    maxWords: {
+      type: 'integer',
+      description: 'Maximum length of the paragraph, in words.',
+      default: 80,
+      min: 20,
+      max: 200,
+    },
+    audience: audienceVariable,
+    tone: toneVariable,
+  },
+};
+
+// Output styles for the transcript summary routes. "summary" keeps each
+// route's own structured prompt (transcript_summary or transcript_summary_v2);
+// the other styles swap in their own prompt family.
+const DEFAULT_SUMMARY_STYLE = 'summary';
+const summaryStyles = {
+  summary: {
+    label: 'Structured summary',
+    description:
+      'One-sentence summary, numbered main points and takeaways in Markdown.',
+    promptKey: null,
+  },
+  study_notes: {
+    label: 'Study notes',
+    description:
+      'Overview, key concepts, ordered notes and review questions for learners.',
+    promptKey: 'transcript_study_notes',
+  },
+  tldr: {
+    label: 'TL;DR',
+    description: 'A single short paragraph with the main conclusion.',
+    promptKey: 'transcript_tldr',
+  },
+  social_thread: {
+    label: 'Social thread',
+    description: '5–8 numbered posts of at most 280 characters each.',
+    promptKey: 'transcript_social_thread',
+  },
+  executive_brief: {
+    label: 'Executive brief',
+    description:
+      'Bottom line, key points, implications and recommended actions.',
+    promptKey: 'transcript_executive_brief',
   },
 };
 
 const defaultPromptVersions = {
   transcript_summary: 'v1',
   transcript_summary_v2: 'v1',
-  transcript_tags: 'v1',
+  transcript_tags: 'v2',
+  transcript_chunk_notes: 'v1',
+  transcript_chapters: 'v1',
+  transcript_qa: 'v1',
+  transcript_study_notes: 'v1',
+  transcript_tldr: 'v1',
+  transcript_social_thread: 'v1',
+  transcript_executive_brief: 'v1',
 };
 
 const resolvePrompt = (promptKey, requestedVersion, logger) => {
@@ -67,6 +285,9 @@ const resolvePrompt = (promptKey, requestedVersion, logger) => {
 
 module.exports = {
   promptLibrary,
+  promptVariables,
   defaultPromptVersions,
+  DEFAULT_SUMMARY_STYLE,
+  summaryStyles,
   resolvePrompt,
 };
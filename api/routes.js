@@ -1,8 +1,72 @@
-const { parseCompareRequest, runCompare } = require('../lib/compare');
+const {
+  parseCompareRequest,
+  runCompare,
+  streamCompare,
+} = require('../lib/compare');
 const {
   validateSignupPayload,
   signupWithInvite,
 } = require('../lib/invite-signup');
+const {
+  wantsEventStream,
+  createSseWriter,
+  streamDeltasAsSse,
+} = require('../lib/streaming');
+const {
+  TAG_LIMITS,
+  TAGS_RESPONSE_FORMAT,
+  generateTags,
+} = require('../lib/tags');
+const { completeWithValidation } = require('../lib/output-checks');
+const {
+  CHAPTER_LIMITS,
+  CHAPTERS_RESPONSE_FORMAT,
+  normalizeSegments,
+  formatChaptersForDescription,
+  generateChapters,
+} = require('../lib/chapters');
+const {
+  parseQaRequest,
+  splitIntoPassages,
+  rankPassages,
+  buildQaUserMessage,
+  extractCitations,
+} = require('../lib/transcript-qa');
+const {
+  normalizeChatMessages,
+  parseChatRequest,
+  wantsNormalizedResponse,
+  buildChatEnvelope,
+  sumUsage,
+} = require('../lib/chat');
+const { condenseTranscript } = require('../lib/transcript-chunking');
+const {
+  resolveLanguage,
+  buildLanguageInstruction,
+} = require('../lib/languages');
+const { toUsageKeyId, parseUsageQuery } = require('../lib/usage');
+const {
+  parseSummaryJobRequest,
+  createCapturedResponse,
+  createSummaryJobRunner,
+  formatSummaryJob,
+} = require('../lib/summary-jobs');
+const {
+  parseIngestRequest,
+  parseTranscriptContent,
+  exceedsStoredSize,
+} = require('../lib/transcript-ingest');
+const {
+  isVersionName,
+  parseCreateVersionRequest,
+} = require('../lib/prompt-registry');
+const {
+  mergeDefinitions,
+  describeDefinitions,
+  resolveVariables,
+  renderPrompt,
+  hashPrompt,
+} = require('../lib/prompt-variables');
 
 const registerRoutes = (app, deps) => {
   const {
@@ -13,22 +77,31 @@ const registerRoutes = (app, deps) => {
     requireAnthropicKey,
     getValidModelMessages,
     getTranscriptOrRespond,
-    callOpenAiResponses,
-    extractResponsesText,
+    getTranscriptSegmentsOrRespond,
+    chatService,
+    failoverService,
+    requestTimeBudgetMs,
     createProviderErrorResponse,
-    callDeepSeekChatAxios,
-    deepseekAi,
-    createAnthropicClient,
-    transcriptSummaryPrompt,
-    transcriptSummaryPromptV2,
-    transcriptTagsPrompt,
-    providerAvailability,
+    logProviderError,
+    promptRegistry,
+    promptOverrideKeys,
+    promptVariables,
+    summaryStyles,
+    defaultSummaryStyle,
+    chunkingConfig,
+    languageConfig,
+    summaryCache,
+    summaryRepair,
+    summaryJobConfig,
+    transcriptIngestConfig,
+    supportedProviders,
+    openAiCompatibleProviders,
     getClientErrorDetails,
-    openAiModel,
-    deepSeekModel,
-    anthropicModel,
     requireApiAccess,
+    requireAdminAccess,
     providerRateLimiter,
+    usageTracker,
+    modelPolicy,
     db,
     firebaseAdmin,
     inviteSecret,
@@ -38,6 +111,19 @@ const registerRoutes = (app, deps) => {
     res.send('OK');
   };
 
+  const providerHealthHandler = (req, res) => {
+    const providers = Object.fromEntries(
+      supportedProviders.map((provider) => [
+        provider,
+        chatService.getProviderStatus(provider),
+      ]),
+    );
+    const degraded = Object.values(providers).some(
+      (status) => status.configured && !status.available,
+    );
+    res.json({ status: degraded ? 'degraded' : 'ok', providers });
+  };
+
   const debugHandler = (req, res) => {
     res.json({
       ip: req.headers['x-forwarded-for'] || req.socket.remoteAddress,
@@ -45,34 +131,1141 @@ const registerRoutes = (app, deps) => {
     });
   };
 
-  const openAiChatHandler = async (req, res) => {
-    logger.info('Received request at /api/openai-chat');
+  const respondWithChatError = (res, provider, routePath, error) => {
+    if (error?.status === 400 && error.clientMessage) {
+      return res.status(400).json({ error: error.clientMessage });
+    }
+    if (error?.code === 'circuit_open') {
+      const retryAfterSeconds = Math.max(
+        1,
+        Math.ceil((error.retryAfterMs || 0) / 1000),
+      );
+      logger.warn(`Rejected ${routePath}: ${error.message}`);
+      res.setHeader('Retry-After', String(retryAfterSeconds));
+      return res.status(503).json({
+        error: `The ${chatService.getLabel(error.provider)} API is temporarily unavailable`,
+        details: `Too many recent upstream failures. Retry in ${retryAfterSeconds} seconds.`,
+        ...(error.failedAttempts?.length
+          ? { failedAttempts: error.failedAttempts }
+          : {}),
+      });
+    }
+    return createProviderErrorResponse(
+      res,
+      chatService.getLabel(provider),
+      routePath,
+      error,
+    );
+  };
+
+  const respondWithChatStream = (res, chatRequest, routePath) => {
+    const providerLabel = chatService.getLabel(chatRequest.provider);
+    return streamDeltasAsSse({
+      res,
+      provider: chatRequest.provider,
+      providerLabel,
+      model:
+        chatRequest.options?.model ||
+        chatService.getModel(chatRequest.provider),
+      openStream: () => chatService.openStream(chatRequest),
+      getClientErrorDetails,
+      onOpenError: (error) =>
+        respondWithChatError(res, chatRequest.provider, routePath, error),
+      onStreamError: (error) =>
+        logProviderError(
+          `${providerLabel} API stream error at ${routePath}`,
+          error,
+        ),
+    });
+  };
+
+  const getNormalizedModelMessages = (res, modelMessages) => {
+    try {
+      return normalizeChatMessages(modelMessages);
+    } catch (error) {
+      if (!error.clientMessage) throw error;
+      res.status(400).json({
+        error: 'Invalid modelMessages format',
+        details: error.clientMessage,
+      });
+      return null;
+    }
+  };
+
+  // Batch job items run without the caller's raw key; they carry its ID.
+  const getKeyId = (req) => req.apiKeyId || toUsageKeyId(req.apiAccessKey);
+
+  const toServedVersions = (prompts) =>
+    Object.fromEntries(
+      Object.entries(prompts).map(([promptKey, { version }]) => [
+        promptKey,
+        version,
+      ]),
+    );
+
+  // prompts lists the prompt versions served, so usage can be compared
+  // between them.
+  const getUsageContext = (req, route, prompts) => ({
+    keyId: getKeyId(req),
+    route,
+    ...(prompts ? { prompts: toServedVersions(prompts) } : {}),
+  });
+
+  // Summary job items processed inside a request share that request's
+  // deadline.
+  const getDeadline = (req) =>
+    req.deadline ?? (req.receivedAt || Date.now()) + requestTimeBudgetMs;
+
+  const resolveModelOrRespond = (req, res, provider, requestedModel) => {
+    const resolution = modelPolicy.resolveModel({
+      provider,
+      requestedModel,
+      keyId: getKeyId(req),
+    });
+    if (resolution.error) {
+      res.status(400).json({
+        error: resolution.error,
+        ...(resolution.allowedModels
+          ? { allowedModels: resolution.allowedModels }
+          : {}),
+      });
+      return null;
+    }
+    return resolution.model;
+  };
+
+  const formatChatResult = (req, result, formatLegacyResponse) => {
+    if (wantsNormalizedResponse(req)) {
+      return buildChatEnvelope(result, {
+        includeRaw: req.body.includeRaw === true,
+      });
+    }
+    const legacyResponse = formatLegacyResponse(result);
+    return result.failedAttempts?.length
+      ? {
+          ...legacyResponse,
+          provider: result.provider,
+          failedAttempts: result.failedAttempts,
+        }
+      : legacyResponse;
+  };
+
+  const completeChat = (req, chatRequest) =>
+    failoverService.complete(chatRequest, {
+      failover: req.body.failover !== false,
+    });
+
+  const toRawPayload = (result) => result.raw;
+  const toRawPayloadWithText = (result) => ({
+    ...result.raw,
+    text: result.text,
+  });
+
+  const handleLegacyChat = async (
+    req,
+    res,
+    { provider, routePath, maxTokens, allowStream, formatResponse },
+  ) => {
+    logger.info(`Received request at ${routePath}`);
 
     const modelMessages = getValidModelMessages(res, req.body.modelMessages);
     if (!modelMessages) return;
+    const messages = getNormalizedModelMessages(res, modelMessages);
+    if (!messages) return;
+    logger.debug(`${routePath} messagesCount`, messages.length);
+    const model = resolveModelOrRespond(req, res, provider, req.body.model);
+    if (!model) return;
+
+    const chatRequest = {
+      provider,
+      messages,
+      options: { maxTokens, model },
+      context: getUsageContext(req, routePath),
+      deadline: getDeadline(req),
+    };
+    if (allowStream && wantsEventStream(req)) {
+      return respondWithChatStream(res, chatRequest, routePath);
+    }
 
     try {
-      const response = await callOpenAiResponses(modelMessages, 1536);
+      const result = await completeChat(req, chatRequest);
+      logger.debug(`${routePath} textLength`, result.text.length);
+      res.json(formatChatResult(req, result, formatResponse));
+    } catch (error) {
+      return respondWithChatError(res, provider, routePath, error);
+    }
+  };
+
+  // Long transcripts are condensed into per-chunk notes on the same provider
+  // and model before the final prompt runs.
+  const prepareTranscriptContent = (
+    req,
+    transcript,
+    chatRequest,
+    chunkPrompt,
+  ) =>
+    condenseTranscript({
+      transcript,
+      config: chunkingConfig,
+      chunkPrompt,
+      logger,
+      complete: ({ messages, maxTokens }) =>
+        completeChat(req, {
+          ...chatRequest,
+          messages,
+          options: { ...chatRequest.options, maxTokens },
+        }),
+    });
+
+  const withChunkingMetadata = (results, condensed) => ({
+    ...results[0],
+    usage: sumUsage(
+      [...results, ...condensed.results].map((result) => result.usage),
+    ),
+    failedAttempts: [...condensed.results, ...results].flatMap(
+      (result) => result.failedAttempts || [],
+    ),
+    chunked: condensed.chunked,
+    chunkCount: condensed.chunkCount,
+  });
+
+  const withTranscriptFields = (formatResponse) => (result) => ({
+    ...formatResponse(result),
+    chunked: result.chunked,
+    chunkCount: result.chunkCount,
+    language: result.language,
+    style: result.style,
+    prompts: result.prompts,
+    validation: result.validation,
+    cache: result.cache,
+  });
+
+  const resolveLanguageOrRespond = (req, res) => {
+    const resolved = resolveLanguage(req.body.language, languageConfig);
+    if (resolved.error) {
+      res.status(400).json({
+        error: resolved.error,
+        supportedLanguages: languageConfig.supported,
+      });
+      return null;
+    }
+    return resolved.language;
+  };
 
-      const { text, debugParts } = extractResponsesText(response.data);
+  // routePromptKey is what the "summary" style uses on this route; every
+  // other style swaps in its own prompt family.
+  const resolveStyleOrRespond = (req, res, routePromptKey) => {
+    const style = req.body.style ?? defaultSummaryStyle;
+    const definition =
+      typeof style === 'string' && Object.hasOwn(summaryStyles, style)
+        ? summaryStyles[style]
+        : null;
+    if (!definition) {
+      res.status(400).json({
+        error: `Unsupported style "${style}". Supported styles: ${Object.keys(summaryStyles).join(', ')}.`,
+        supportedStyles: Object.keys(summaryStyles),
+      });
+      return null;
+    }
+    return { style, promptKey: definition.promptKey || routePromptKey };
+  };
+
+  // Rollout variants stick to the caller: the user named in the request, or
+  // else the API key. Keys in PROMPT_OVERRIDE_KEYS may force versions with
+  // "promptVersions". Templates are rendered with the request's "variables".
+  // Resolves to { prompts, variables, variableOverrides }, or to null once an
+  // error has been sent.
+  const resolvePromptsOrRespond = async (req, res, promptKeys) => {
+    const { userId, promptVersions: forced } = req.body;
+    const definitions = mergeDefinitions(promptVariables, promptKeys);
+    const variables = resolveVariables(definitions, req.body.variables);
+    if (variables.error) {
+      res
+        .status(400)
+        .json({ error: variables.error, variable: variables.variable });
+      return null;
+    }
+    if (
+      userId !== undefined &&
+      (typeof userId !== 'string' || !userId.trim() || userId.length > 128)
+    ) {
+      res.status(400).json({
+        error: '"userId" must be a non-empty string of at most 128 characters.',
+      });
+      return null;
+    }
+    if (forced !== undefined) {
+      if (!forced || typeof forced !== 'object' || Array.isArray(forced)) {
+        res.status(400).json({
+          error:
+            '"promptVersions" must be an object mapping prompt keys to versions.',
+        });
+        return null;
+      }
+      if (!promptOverrideKeys.includes(req.apiAccessKey)) {
+        res
+          .status(403)
+          .json({ error: 'This access key may not force prompt versions.' });
+        return null;
+      }
+      const unused = Object.keys(forced).find(
+        (promptKey) => !promptKeys.includes(promptKey),
+      );
+      if (unused) {
+        res.status(400).json({
+          error: `"promptVersions.${unused}" is not used by this request. Prompt keys used: ${promptKeys.join(', ')}.`,
+        });
+        return null;
+      }
+    }
+
+    const versions = forced || {};
+    const resolved = await promptRegistry.resolvePrompts(promptKeys, {
+      subject: userId ? `user:${userId.trim()}` : `key:${getKeyId(req)}`,
+      versions,
+    });
+    // Only a forced version resolves to null.
+    const missing = promptKeys.find((promptKey) => !resolved[promptKey]);
+    if (missing) {
+      res.status(400).json({
+        error: `Version "${versions[missing]}" of "${missing}" does not exist.`,
+      });
+      return null;
+    }
+
+    const prompts = Object.fromEntries(
+      Object.entries(resolved).map(([promptKey, entry]) => {
+        const prompt = renderPrompt(
+          entry.prompt,
+          definitions,
+          variables.values,
+        );
+        const hash = hashPrompt(prompt);
+        logger.info(
+          `Rendered prompt ${promptKey}@${entry.version} sha256:${hash}`,
+        );
+        return [promptKey, { ...entry, prompt, hash }];
+      }),
+    );
+    return {
+      prompts,
+      variables: variables.values,
+      variableOverrides: variables.overrides,
+    };
+  };
+
+  const withLanguageInstruction = (prompt, language) =>
+    `${prompt}\n\n${buildLanguageInstruction(language)}`;
+
+  // prompts maps each prompt key to the { prompt, version } resolved for this
+  // request; variables holds the template values that differ from defaults.
+  const buildSummaryCacheKey = (
+    req,
+    { provider, model, language, prompts, variables },
+  ) => ({
+    videoID: String(req.body.videoID),
+    prompts: toServedVersions(prompts),
+    variables,
+    provider,
+    model,
+    language,
+  });
+
+  const readSummaryCache = (req, cacheKey) =>
+    req.body.videoID && req.body.refresh !== true
+      ? summaryCache.get(cacheKey)
+      : null;
+
+  // Stored under the provider and model that actually served the request,
+  // which differ from the requested ones after a failover. Output that failed
+  // validation is not stored, so the next request validates and repairs again.
+  const writeSummaryCache = async (cacheKey, result, extra = {}) => {
+    if (result.validation?.passed === false) {
       logger.debug(
-        'openai-chat textLength',
-        text.length,
-        'partsCount',
-        debugParts.length,
+        'Skipping summary cache write for output that failed validation',
       );
-      res.json({ ...response.data, text });
+      return;
+    }
+    await summaryCache.set(
+      { ...cacheKey, provider: result.provider, model: result.model },
+      {
+        text: result.text,
+        provider: result.provider,
+        model: result.model,
+        raw: result.raw,
+        finishReason: result.finishReason,
+        usage: result.usage,
+        chunked: result.chunked,
+        chunkCount: result.chunkCount,
+        language: result.language,
+        style: result.style,
+        prompts: result.prompts,
+        validation: result.validation,
+        ...extra,
+      },
+    );
+  };
+
+  const toCachedResult = (cached, startedAt) => ({
+    ...cached.entry,
+    latencyMs: Date.now() - startedAt,
+    cache: { hit: true, cachedAt: cached.cachedAt },
+  });
+
+  const handleLegacyTranscript = async (
+    req,
+    res,
+    { provider, routePath, timeoutMs, formatResponse },
+  ) => {
+    logger.info(`Received request at ${routePath}`);
+    const startedAt = Date.now();
+
+    const model = resolveModelOrRespond(req, res, provider, req.body.model);
+    if (!model) return;
+    const language = resolveLanguageOrRespond(req, res);
+    if (!language) return;
+    const summaryStyle = resolveStyleOrRespond(req, res, 'transcript_summary');
+    if (!summaryStyle) return;
+    const formatTranscriptResponse = withTranscriptFields(formatResponse);
+
+    try {
+      const resolved = await resolvePromptsOrRespond(req, res, [
+        summaryStyle.promptKey,
+        'transcript_chunk_notes',
+      ]);
+      if (!resolved) return;
+      const { prompts, variables } = resolved;
+      const cacheKey = buildSummaryCacheKey(req, {
+        provider,
+        model,
+        language,
+        prompts,
+        variables: resolved.variableOverrides,
+      });
+      const cached = await readSummaryCache(req, cacheKey);
+      if (cached) {
+        logger.debug(`${routePath} served from summary cache`);
+        return res.json(
+          formatChatResult(
+            req,
+            toCachedResult(cached, startedAt),
+            formatTranscriptResponse,
+          ),
+        );
+      }
+
+      const transcript = await getTranscriptOrRespond(res, req.body.videoID);
+      if (!transcript) return;
+
+      const chatRequest = {
+        provider,
+        options: { timeoutMs, model },
+        context: getUsageContext(req, routePath, prompts),
+        deadline: getDeadline(req),
+      };
+      // Latency covers the chunk map calls as well as the final summary.
+      const generationStartedAt = Date.now();
+      const condensed = await prepareTranscriptContent(
+        req,
+        `${transcript}`,
+        chatRequest,
+        prompts.transcript_chunk_notes.prompt,
+      );
+      const summary = await completeWithValidation({
+        promptKey: summaryStyle.promptKey,
+        values: variables,
+        language,
+        messages: [
+          {
+            role: 'system',
+            content: withLanguageInstruction(
+              prompts[summaryStyle.promptKey].prompt,
+              language,
+            ),
+          },
+          { role: 'user', content: condensed.content },
+        ],
+        complete: (messages) =>
+          completeChat(req, {
+            ...chatRequest,
+            messages,
+            options: { ...chatRequest.options, maxTokens: 1024 },
+          }),
+        repair: summaryRepair,
+        logger,
+      });
+      const result = {
+        ...withChunkingMetadata(
+          [summary.result, ...summary.results.slice(1)],
+          condensed,
+        ),
+        latencyMs: Date.now() - generationStartedAt,
+        language,
+        style: summaryStyle.style,
+        prompts: toServedVersions(prompts),
+        validation: summary.validation,
+        cache: { hit: false },
+      };
+      logger.debug(`${routePath} textLength`, result.text.length);
+      await writeSummaryCache(cacheKey, result);
+      res.json(formatChatResult(req, result, formatTranscriptResponse));
     } catch (error) {
-      return createProviderErrorResponse(
+      return respondWithChatError(res, provider, routePath, error);
+    }
+  };
+
+  const handleSummaryWithTags = async (
+    req,
+    res,
+    { provider, routePath, timeoutMs },
+  ) => {
+    logger.info(`Received request at ${routePath}`);
+
+    const startedAt = Date.now();
+    const model = resolveModelOrRespond(req, res, provider, req.body.model);
+    if (!model) return;
+    const language = resolveLanguageOrRespond(req, res);
+    if (!language) return;
+    const summaryStyle = resolveStyleOrRespond(
+      req,
+      res,
+      'transcript_summary_v2',
+    );
+    if (!summaryStyle) return;
+
+    const respondWithSummaryAndTags = (result) => {
+      if (wantsNormalizedResponse(req)) {
+        return res.json({
+          ...buildChatEnvelope(result, {
+            includeRaw: req.body.includeRaw === true,
+          }),
+          tags: result.tags,
+          tagsSource: result.tagsSource,
+        });
+      }
+      return res.json({
+        summary: result.raw.summary,
+        summaryText: result.text,
+        text: result.text,
+        tags: result.tags,
+        tagsSource: result.tagsSource,
+        chunked: result.chunked,
+        chunkCount: result.chunkCount,
+        language: result.language,
+        style: result.style,
+        prompts: result.prompts,
+        validation: result.validation,
+        cache: result.cache,
+        ...(result.failedAttempts?.length
+          ? {
+              provider: result.provider,
+              failedAttempts: result.failedAttempts,
+            }
+          : {}),
+      });
+    };
+
+    try {
+      const resolved = await resolvePromptsOrRespond(req, res, [
+        summaryStyle.promptKey,
+        'transcript_tags',
+        'transcript_chunk_notes',
+      ]);
+      if (!resolved) return;
+      const { prompts, variables } = resolved;
+      const cacheKey = buildSummaryCacheKey(req, {
+        provider,
+        model,
+        language,
+        prompts,
+        variables: resolved.variableOverrides,
+      });
+      const cached = await readSummaryCache(req, cacheKey);
+      if (cached) {
+        logger.debug(`${routePath} served from summary cache`);
+        return respondWithSummaryAndTags(toCachedResult(cached, startedAt));
+      }
+
+      const transcript = await getTranscriptOrRespond(res, req.body.videoID);
+      if (!transcript) return;
+      logger.debug(
+        'Loaded transcript length',
+        transcript ? transcript.length : 0,
+      );
+
+      const chatRequest = {
+        provider,
+        options: { timeoutMs, model },
+        context: getUsageContext(req, routePath, prompts),
+        deadline: getDeadline(req),
+      };
+      const generationStartedAt = Date.now();
+      const condensed = await prepareTranscriptContent(
+        req,
+        transcript,
+        chatRequest,
+        prompts.transcript_chunk_notes.prompt,
+      );
+      const userMessage = {
+        role: 'user',
+        content: condensed.content,
+      };
+
+      const [summary, tagsOutcome] = await Promise.all([
+        completeWithValidation({
+          promptKey: summaryStyle.promptKey,
+          values: variables,
+          language,
+          messages: [
+            {
+              role: 'system',
+              content: withLanguageInstruction(
+                prompts[summaryStyle.promptKey].prompt,
+                language,
+              ),
+            },
+            userMessage,
+          ],
+          complete: (messages) =>
+            completeChat(req, {
+              ...chatRequest,
+              messages,
+              options: { ...chatRequest.options, maxTokens: 1536 },
+            }),
+          repair: summaryRepair,
+          logger,
+        }),
+        generateTags({
+          messages: [
+            {
+              role: 'system',
+              content: withLanguageInstruction(
+                prompts.transcript_tags.prompt,
+                language,
+              ),
+            },
+            userMessage,
+          ],
+          complete: (messages) =>
+            completeChat(req, {
+              ...chatRequest,
+              messages,
+              options: {
+                ...chatRequest.options,
+                maxTokens: 256,
+                responseFormat: TAGS_RESPONSE_FORMAT,
+              },
+            }),
+          logger,
+          limits: {
+            ...TAG_LIMITS,
+            minCount: variables.minTags,
+            maxCount: variables.maxTags,
+          },
+        }),
+      ]);
+
+      const summaryResult = summary.result;
+      logger.debug(`${routePath} summaryTextLength`, summaryResult.text.length);
+      const { tags, tagsSource, results: tagsResults } = tagsOutcome;
+      const tagsResult = tagsResults[tagsResults.length - 1];
+
+      const result = {
+        ...withChunkingMetadata(
+          [summaryResult, ...summary.results.slice(1), ...tagsResults],
+          condensed,
+        ),
+        raw: { summary: summaryResult.raw, tags: tagsResult.raw },
+        latencyMs: Date.now() - generationStartedAt,
+        tags,
+        tagsSource,
+        language,
+        style: summaryStyle.style,
+        prompts: toServedVersions(prompts),
+        validation: summary.validation,
+        cache: { hit: false },
+      };
+      await writeSummaryCache(cacheKey, result, { tags, tagsSource });
+      return respondWithSummaryAndTags(result);
+    } catch (error) {
+      return respondWithChatError(res, provider, routePath, error);
+    }
+  };
+
+  const openAiChatHandler = (req, res) =>
+    handleLegacyChat(req, res, {
+      provider: 'openai',
+      routePath: '/api/openai-chat',
+      maxTokens: 1536,
+      allowStream: true,
+      formatResponse: toRawPayloadWithText,
+    });
+
+  const chatHandler = async (req, res) => {
+    logger.info('Received request at /api/chat');
+
+    const parsedRequest = parseChatRequest(req.body, { supportedProviders });
+    if (parsedRequest.error) {
+      return res.status(400).json({ error: parsedRequest.error });
+    }
+    const model = resolveModelOrRespond(
+      req,
+      res,
+      parsedRequest.provider,
+      req.body.model,
+    );
+    if (!model) return;
+    const chatRequest = {
+      ...parsedRequest,
+      options: { ...parsedRequest.options, model },
+      context: getUsageContext(req, '/api/chat'),
+      deadline: getDeadline(req),
+    };
+    if (!chatService.isAvailable(chatRequest.provider)) {
+      return res.status(500).json({
+        error: `${chatService.getLabel(chatRequest.provider)} API key is not set in environment variables`,
+      });
+    }
+
+    if (wantsEventStream(req)) {
+      return respondWithChatStream(res, chatRequest, '/api/chat');
+    }
+
+    try {
+      const result = await completeChat(req, chatRequest);
+      return res.json(
+        buildChatEnvelope(result, { includeRaw: req.body.includeRaw === true }),
+      );
+    } catch (error) {
+      return respondWithChatError(
         res,
-        'OpenAI',
-        '/api/openai-chat',
+        chatRequest.provider,
+        '/api/chat',
         error,
       );
     }
   };
 
+  // For provider-agnostic routes that take the provider in the body.
+  const resolveProviderOrRespond = (req, res) => {
+    const provider =
+      typeof req.body?.provider === 'string'
+        ? req.body.provider.toLowerCase().trim()
+        : '';
+    if (!supportedProviders.includes(provider)) {
+      res.status(400).json({
+        error: `"provider" must be one of: ${supportedProviders.join(', ')}.`,
+      });
+      return null;
+    }
+    if (!chatService.isAvailable(provider)) {
+      res.status(500).json({
+        error: `${chatService.getLabel(provider)} API key is not set in environment variables`,
+      });
+      return null;
+    }
+    return provider;
+  };
+
+  const transcriptChaptersHandler = async (req, res) => {
+    const routePath = '/api/transcript-chapters';
+    logger.info(`Received request at ${routePath}`);
+    const startedAt = Date.now();
+
+    const provider = resolveProviderOrRespond(req, res);
+    if (!provider) return;
+    const model = resolveModelOrRespond(req, res, provider, req.body.model);
+    if (!model) return;
+    const language = resolveLanguageOrRespond(req, res);
+    if (!language) return;
+
+    const respondWithChapters = (result) =>
+      res.json({
+        ...(req.body.videoID ? { videoID: String(req.body.videoID) } : {}),
+        provider: result.provider,
+        model: result.model,
+        chapters: result.chapters,
+        description: result.text,
+        language: result.language,
+        prompts: result.prompts,
+        repaired: result.repaired,
+        rejected: result.rejected,
+        usage: result.usage,
+        latencyMs: result.latencyMs,
+        ...(result.failedAttempts?.length
+          ? { failedAttempts: result.failedAttempts }
+          : {}),
+        cache: result.cache,
+      });
+
+    // Segments sent in the body are used as-is and never cached.
+    const fromBody = req.body.segments !== undefined;
+
+    try {
+      const resolved = await resolvePromptsOrRespond(req, res, [
+        'transcript_chapters',
+      ]);
+      if (!resolved) return;
+      const { prompts } = resolved;
+      const cacheKey = fromBody
+        ? null
+        : buildSummaryCacheKey(req, {
+            provider,
+            model,
+            language,
+            prompts,
+            variables: resolved.variableOverrides,
+          });
+      let rawSegments = req.body.segments;
+      if (!fromBody) {
+        const cached = await readSummaryCache(req, cacheKey);
+        if (cached) {
+          logger.debug(`${routePath} served from summary cache`);
+          return respondWithChapters(toCachedResult(cached, startedAt));
+        }
+        rawSegments = await getTranscriptSegmentsOrRespond(
+          res,
+          req.body.videoID,
+        );
+        if (!rawSegments) return;
+      }
+
+      const parsed = normalizeSegments(rawSegments);
+      if (parsed.error) {
+        return fromBody
+          ? res.status(400).json({ error: parsed.error })
+          : res.status(422).json({
+              error: `Stored transcript segments are invalid: ${parsed.error}`,
+            });
+      }
+
+      const chatRequest = {
+        provider,
+        options: { model, maxTokens: 2048 },
+        context: getUsageContext(req, routePath, prompts),
+        deadline: getDeadline(req),
+      };
+      const outcome = await generateChapters({
+        segments: parsed.segments,
+        prompt: withLanguageInstruction(
+          prompts.transcript_chapters.prompt,
+          language,
+        ),
+        tokenBudget: chunkingConfig.tokenBudget,
+        logger,
+        complete: (messages) =>
+          completeChat(req, {
+            ...chatRequest,
+            messages,
+            options: {
+              ...chatRequest.options,
+              responseFormat: CHAPTERS_RESPONSE_FORMAT,
+            },
+          }),
+      });
+      if (outcome.chapters.length < CHAPTER_LIMITS.minCount) {
+        return res.status(502).json({
+          error: `The model did not return valid chapters: ${outcome.error}`,
+          rejected: outcome.rejected,
+        });
+      }
+
+      const lastResult = outcome.results.at(-1);
+      const result = {
+        ...lastResult,
+        text: formatChaptersForDescription(outcome.chapters),
+        usage: sumUsage(outcome.results.map((entry) => entry.usage)),
+        latencyMs: Date.now() - startedAt,
+        failedAttempts: outcome.results.flatMap(
+          (entry) => entry.failedAttempts || [],
+        ),
+        chapters: outcome.chapters,
+        language,
+        prompts: toServedVersions(prompts),
+        repaired: outcome.repaired,
+        rejected: outcome.rejected,
+        cache: { hit: false },
+      };
+      if (cacheKey) {
+        await writeSummaryCache(cacheKey, result, {
+          chapters: result.chapters,
+          repaired: result.repaired,
+          rejected: result.rejected,
+        });
+      }
+      return respondWithChapters(result);
+    } catch (error) {
+      return respondWithChatError(res, provider, routePath, error);
+    }
+  };
+
+  const transcriptQaHandler = async (req, res) => {
+    const routePath = '/api/transcript-qa';
+    logger.info(`Received request at ${routePath}`);
+
+    const provider = resolveProviderOrRespond(req, res);
+    if (!provider) return;
+    const parsed = parseQaRequest(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    const model = resolveModelOrRespond(req, res, provider, req.body.model);
+    if (!model) return;
+    const language = resolveLanguageOrRespond(req, res);
+    if (!language) return;
+
+    try {
+      const resolved = await resolvePromptsOrRespond(req, res, [
+        'transcript_qa',
+      ]);
+      if (!resolved) return;
+      const { prompts } = resolved;
+      const transcript = await getTranscriptOrRespond(res, req.body.videoID);
+      if (!transcript) return;
+
+      const passages = rankPassages(
+        splitIntoPassages(transcript),
+        parsed.question,
+        { topK: parsed.topK },
+      );
+      logger.debug(`${routePath} retrieved passages`, passages.length);
+      if (passages.length === 0) {
+        return res.json({
+          answer: null,
+          language,
+          found: false,
+          citations: [],
+          passages: [],
+        });
+      }
+
+      const result = await completeChat(req, {
+        provider,
+        messages: [
+          {
+            role: 'system',
+            content: withLanguageInstruction(
+              prompts.transcript_qa.prompt,
+              language,
+            ),
+          },
+          {
+            role: 'user',
+            content: buildQaUserMessage(parsed.question, passages),
+          },
+        ],
+        options: { model, maxTokens: 1024 },
+        context: getUsageContext(req, routePath, prompts),
+        deadline: getDeadline(req),
+      });
+      return res.json({
+        ...buildChatEnvelope(
+          { ...result, language, prompts: toServedVersions(prompts) },
+          { includeRaw: req.body.includeRaw === true },
+        ),
+        answer: result.text,
+        found: true,
+        citations: extractCitations(result.text, passages),
+        passages: passages.map(({ id, index, score }) => ({
+          id,
+          index,
+          score,
+        })),
+      });
+    } catch (error) {
+      return respondWithChatError(res, provider, routePath, error);
+    }
+  };
+
+  const summaryJobRunner = createSummaryJobRunner({
+    db,
+    config: summaryJobConfig,
+    logger,
+    // Each video goes through the same handler as the synchronous route, with
+    // the normalized envelope, so caching, chunking and errors match exactly.
+    processItem: async ({ job, item, deadline }) => {
+      const req = {
+        body: {
+          videoID: item.videoID,
+          model: job.model,
+          language: job.language,
+          style: job.style,
+          variables: job.variables,
+          failover: job.failover,
+          responseFormat: 'normalized',
+        },
+        headers: {},
+        query: {},
+        apiKeyId: job.keyId,
+        receivedAt: Date.now(),
+        deadline,
+      };
+      const res = createCapturedResponse();
+      const options = {
+        provider: job.provider,
+        routePath: '/api/summary-jobs',
+        formatResponse: toRawPayload,
+      };
+      if (job.kind === 'summary_with_tags') {
+        await handleSummaryWithTags(req, res, options);
+      } else {
+        await handleLegacyTranscript(req, res, options);
+      }
+      return {
+        statusCode: res.statusCode,
+        body: res.body,
+        headers: res.headers,
+      };
+    },
+  });
+
+  const requireSummaryJobStore = (req, res, next) => {
+    if (!db) {
+      return res.status(503).json({
+        error: 'Summary jobs are unavailable. Firebase is not configured.',
+      });
+    }
+    return next();
+  };
+
+  // Serverless instances are frozen once the response is sent, so jobs are
+  // worked on inside requests: as many items as fit in the request's time
+  // budget run before responding. Resolves to the job's state afterwards, or
+  // null if it could not be read.
+  const processJobSlice = async (req, jobId) => {
+    await summaryJobRunner.processJob(jobId, { deadline: getDeadline(req) });
+    try {
+      return await summaryJobRunner.get(jobId);
+    } catch (error) {
+      logger.warn('Summary job reload failed:', error?.message || error);
+      return null;
+    }
+  };
+
+  const createSummaryJobHandler = async (req, res) => {
+    const routePath = '/api/summary-jobs';
+    logger.info(`Received request at ${routePath}`);
+
+    const parsed = parseSummaryJobRequest(req.body, summaryJobConfig);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    const provider = resolveProviderOrRespond(req, res);
+    if (!provider) return;
+    const model = resolveModelOrRespond(req, res, provider, req.body.model);
+    if (!model) return;
+    const language = resolveLanguageOrRespond(req, res);
+    if (!language) return;
+    const summaryStyle = resolveStyleOrRespond(
+      req,
+      res,
+      parsed.kind === 'summary_with_tags'
+        ? 'transcript_summary_v2'
+        : 'transcript_summary',
+    );
+    if (!summaryStyle) return;
+    // Checked up front so a bad value fails the request, not every item.
+    const variables = resolveVariables(
+      mergeDefinitions(
+        promptVariables,
+        parsed.kind === 'summary_with_tags'
+          ? [summaryStyle.promptKey, 'transcript_tags']
+          : [summaryStyle.promptKey],
+      ),
+      req.body.variables,
+    );
+    if (variables.error) {
+      return res
+        .status(400)
+        .json({ error: variables.error, variable: variables.variable });
+    }
+
+    try {
+      const job = await summaryJobRunner.create({
+        keyId: getKeyId(req),
+        videoIDs: parsed.videoIDs,
+        kind: parsed.kind,
+        provider,
+        model,
+        language,
+        style: summaryStyle.style,
+        variables: variables.overrides,
+        failover: req.body.failover !== false,
+      });
+      const state = await processJobSlice(req, job.id);
+      return res.status(202).json({
+        jobId: job.id,
+        status: state?.job.status || job.status,
+        itemCount: job.itemCount,
+        statusUrl: `/api/summary-jobs/${job.id}`,
+      });
+    } catch (error) {
+      logger.error('Summary job creation failed:', error?.message || error);
+      return res
+        .status(503)
+        .json({ error: 'Summary jobs are temporarily unavailable.' });
+    }
+  };
+
+  // Polling a pending job processes its next slice, which also picks up items
+  // whose lease expired on an instance that went away.
+  const summaryJobStatusHandler = async (req, res) => {
+    try {
+      const state = await summaryJobRunner.get(String(req.params.jobId));
+      if (!state || state.job.keyId !== getKeyId(req)) {
+        return res.status(404).json({ error: 'Summary job not found.' });
+      }
+      const current =
+        state.job.status === 'pending'
+          ? (await processJobSlice(req, state.job.id)) || state
+          : state;
+      return res.json(formatSummaryJob(current));
+    } catch (error) {
+      logger.error('Summary job lookup failed:', error?.message || error);
+      return res
+        .status(503)
+        .json({ error: 'Summary jobs are temporarily unavailable.' });
+    }
+  };
+
+  const summaryStylesHandler = async (req, res) => {
+    try {
+      const styles = await Promise.all(
+        Object.entries(summaryStyles).map(async ([style, definition]) => {
+          const promptKeys = definition.promptKey
+            ? [definition.promptKey]
+            : ['transcript_summary', 'transcript_summary_v2'];
+          const prompts = await promptRegistry.resolvePrompts(promptKeys);
+          return {
+            style,
+            label: definition.label,
+            description: definition.description,
+            prompts: Object.fromEntries(
+              promptKeys.map((promptKey) => [
+                promptKey,
+                prompts[promptKey].version,
+              ]),
+            ),
+            variables: describeDefinitions(
+              mergeDefinitions(promptVariables, promptKeys),
+            ),
+          };
+        }),
+      );
+      return res.json({ defaultStyle: defaultSummaryStyle, styles });
+    } catch (error) {
+      logger.error('Summary styles lookup failed:', error?.message || error);
+      return res
+        .status(503)
+        .json({ error: 'Summary styles are temporarily unavailable.' });
+    }
+  };
+
   app.get(['/health', '/api/health'], healthHandler);
+  app.get(
+    ['/health/providers', '/api/health/providers'],
+    providerHealthHandler,
+  );
   app.get(['/debug', '/api/debug'], debugHandler);
 
   const signupWithInviteHandler = async (req, res) => {
@@ -131,7 +1324,9 @@ const registerRoutes = (app, deps) => {
 
   const compareHandler = async (req, res) => {
     logger.info('Received request at /api/compare');
-    const parsedRequest = parseCompareRequest(req.body);
+    const parsedRequest = parseCompareRequest(req.body, {
+      supportedProviders,
+    });
     if (parsedRequest.error) {
       return res.status(400).json({
         error: parsedRequest.error,
@@ -139,18 +1334,42 @@ const registerRoutes = (app, deps) => {
       });
     }
 
-    const compareResponse = await runCompare(parsedRequest, {
-      callOpenAiResponses,
-      callDeepSeekChatAxios,
-      createAnthropicClient,
-      extractResponsesText,
-      providerAvailability,
+    const providerOptions = { ...parsedRequest.providerOptions };
+    for (const provider of parsedRequest.providers) {
+      const requestedModel = providerOptions[provider]?.model;
+      if (requestedModel === undefined) continue;
+      const model = resolveModelOrRespond(req, res, provider, requestedModel);
+      if (!model) return;
+      providerOptions[provider] = { ...providerOptions[provider], model };
+    }
+    const compareRequest = { ...parsedRequest, providerOptions };
+
+    const compareDeps = {
+      chatService,
+      usageContext: getUsageContext(req, '/api/compare'),
+      deadline: getDeadline(req),
       getClientErrorDetails,
       logger,
-      openAiModel,
-      deepSeekModel,
-      anthropicModel,
-    });
+    };
+
+    if (wantsEventStream(req)) {
+      const sse = createSseWriter(res);
+      sse.open();
+      try {
+        await streamCompare(compareRequest, compareDeps, sse.send);
+      } catch (error) {
+        logger.error('Compare stream failed:', error?.message || error);
+        sse.send('error', {
+          error: 'An internal server error occurred.',
+          details: getClientErrorDetails(error),
+        });
+      } finally {
+        sse.end();
+      }
+      return;
+    }
+
+    const compareResponse = await runCompare(compareRequest, compareDeps);
 
     return res.json(compareResponse);
   };
@@ -162,91 +1381,317 @@ const registerRoutes = (app, deps) => {
     compareHandler,
   );
 
+  app.post('/api/chat', requireApiAccess, providerRateLimiter, chatHandler);
   app.post(
-    '/api/signup-with-invite',
+    '/api/transcript-chapters',
     requireApiAccess,
-    signupWithInviteHandler,
+    providerRateLimiter,
+    transcriptChaptersHandler,
   );
-
   app.post(
-    '/api/openai-chat',
+    '/api/transcript-qa',
     requireApiAccess,
     providerRateLimiter,
-    requireOpenAiKey,
-    openAiChatHandler,
+    transcriptQaHandler,
   );
-
   app.post(
-    '/api/openai-chat-axios',
+    '/api/summary-jobs',
     requireApiAccess,
     providerRateLimiter,
-    requireOpenAiKey,
-    async (req, res) => {
-      logger.info('Received request at /api/openai-chat-axios');
+    requireSummaryJobStore,
+    createSummaryJobHandler,
+  );
+  app.get('/api/summary-styles', requireApiAccess, summaryStylesHandler);
+  // Polling processes items, so it is limited like the provider routes.
+  app.get(
+    '/api/summary-jobs/:jobId',
+    requireApiAccess,
+    providerRateLimiter,
+    requireSummaryJobStore,
+    summaryJobStatusHandler,
+  );
 
-      const modelMessages = getValidModelMessages(res, req.body.modelMessages);
-      if (!modelMessages) return;
+  const usageHandler = async (req, res) => {
+    logger.info('Received request at /api/usage');
+
+    if (!db) {
+      return res.status(503).json({
+        error: 'Usage service is unavailable. Firebase is not configured.',
+      });
+    }
 
+    const filters = parseUsageQuery(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    try {
+      return res.json(await usageTracker.query(filters));
+    } catch (error) {
+      logger.error('Usage query failed:', error.message);
+      logger.debug('Usage query stack:', error.stack);
+      return res
+        .status(503)
+        .json({ error: 'Usage service is temporarily unavailable.' });
+    }
+  };
+
+  app.get('/api/usage', requireAdminAccess, usageHandler);
+
+  const ingestTranscriptHandler = async (req, res) => {
+    logger.info('Received request at /api/transcripts/:videoID');
+
+    if (!db) {
+      return res.status(503).json({
+        error: 'Transcript service is unavailable. Firebase is not configured.',
+      });
+    }
+
+    const parsed = parseIngestRequest(
+      req.params?.videoID,
+      req.body,
+      transcriptIngestConfig,
+    );
+    if (parsed.error) {
+      return res.status(parsed.status || 400).json({ error: parsed.error });
+    }
+    const content = parseTranscriptContent(parsed.content, {
+      format: parsed.format,
+      maxSegments: transcriptIngestConfig.maxSegments,
+    });
+    if (content.error) {
+      return res.status(content.status || 400).json({ error: content.error });
+    }
+
+    const doc = {
+      transcript: content.transcript,
+      ...(content.segments.length ? { segments: content.segments } : {}),
+      format: content.format,
+      source: 'ingest',
+      ingestedAt: new Date(),
+    };
+    if (exceedsStoredSize(doc)) {
+      return res.status(413).json({
+        error: 'The parsed transcript is too large to store in one document.',
+      });
+    }
+
+    try {
+      const ref = db.collection('transcripts').doc(parsed.videoID);
+      const outcome = await db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (snap.exists && !parsed.overwrite) return { conflict: true };
+        tx.set(ref, doc);
+        return { overwritten: snap.exists };
+      });
+      if (outcome.conflict) {
+        return res.status(409).json({
+          error:
+            'A transcript already exists for this video. Send "overwrite": true to replace it.',
+        });
+      }
+
+      logger.info(
+        `Stored ${content.format} transcript for ${parsed.videoID} (${content.segments.length} segments)`,
+      );
       try {
-        const openaiResponse = await callOpenAiResponses(modelMessages, 1024);
-
-        const { text, debugParts } = extractResponsesText(openaiResponse.data);
-        logger.debug(
-          'openai-chat-axios textLength',
-          text.length,
-          'partsCount',
-          debugParts.length,
-        );
-        res.json({ ...openaiResponse.data, text });
+        const removed = await summaryCache.invalidate(parsed.videoID);
+        if (removed) {
+          logger.info(
+            `Dropped ${removed} summary cache entries for ${parsed.videoID}`,
+          );
+        }
       } catch (error) {
-        return createProviderErrorResponse(
-          res,
-          'OpenAI',
-          '/api/openai-chat-axios',
-          error,
+        logger.error(
+          `Summary cache invalidation failed for ${parsed.videoID}:`,
+          error?.message || error,
         );
       }
-    },
+      return res.status(outcome.overwritten ? 200 : 201).json({
+        videoID: parsed.videoID,
+        format: content.format,
+        segmentCount: content.segments.length,
+        transcriptLength: content.transcript.length,
+        durationSeconds: content.segments.length
+          ? content.segments.at(-1).end
+          : null,
+        overwritten: outcome.overwritten,
+      });
+    } catch (error) {
+      logger.error('Transcript ingestion failed:', error.message);
+      logger.debug('Transcript ingestion stack:', error.stack);
+      return res
+        .status(503)
+        .json({ error: 'Transcript service is temporarily unavailable.' });
+    }
+  };
+
+  app.post(
+    '/api/transcripts/:videoID',
+    requireAdminAccess,
+    ingestTranscriptHandler,
   );
 
-  const openAiChatYoutubeTranscriptHandler = async (req, res) => {
-    logger.info('Received request at /api/openai-chat-youtube-transcript');
+  // Prompt registry administration. Other instances pick up a change once
+  // their prompt cache expires (PROMPT_CACHE_TTL_MS).
+  const requirePromptStore = (req, res, next) => {
+    if (!db) {
+      return res.status(503).json({
+        error: 'Prompt registry is unavailable. Firebase is not configured.',
+      });
+    }
+    if (!promptRegistry.isKnownKey(String(req.params.promptKey))) {
+      return res
+        .status(404)
+        .json({ error: `Unknown prompt key "${req.params.promptKey}".` });
+    }
+    return next();
+  };
+
+  const respondWithPromptStoreError = (res, error) => {
+    logger.error('Prompt registry update failed:', error.message);
+    logger.debug('Prompt registry stack:', error.stack);
+    return res
+      .status(503)
+      .json({ error: 'Prompt registry is temporarily unavailable.' });
+  };
 
+  const promptVersionsHandler = async (req, res) => {
     try {
-      const transcript = await getTranscriptOrRespond(res, req.body.videoID);
-      if (!transcript) return;
+      return res.json(await promptRegistry.get(req.params.promptKey));
+    } catch (error) {
+      return respondWithPromptStoreError(res, error);
+    }
+  };
 
-      const systemMessage = {
-        role: 'system',
-        content: transcriptSummaryPrompt,
-      };
+  const createPromptVersionHandler = async (req, res) => {
+    logger.info('Received request at /api/prompts/:promptKey/versions');
 
-      const userMessage = {
-        role: 'user',
-        content: `${transcript}`,
-      };
+    const parsed = parseCreateVersionRequest(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    try {
+      const outcome = await promptRegistry.createVersion(
+        req.params.promptKey,
+        parsed,
+      );
+      if (outcome.status === 201) {
+        logger.info(
+          `Created prompt ${req.params.promptKey}@${outcome.body.version}${parsed.activate ? ' (active)' : ''}`,
+        );
+      }
+      return res.status(outcome.status).json(outcome.body);
+    } catch (error) {
+      return respondWithPromptStoreError(res, error);
+    }
+  };
 
-      const modelMessages = [systemMessage, userMessage];
-      const response = await callOpenAiResponses(modelMessages, 1024);
+  const promotePromptVersionHandler = async (req, res) => {
+    logger.info('Received request at /api/prompts/:promptKey/active');
 
-      const { text, debugParts } = extractResponsesText(response.data);
-      logger.debug(
-        'openai-chat-youtube-transcript textLength',
-        text.length,
-        'partsCount',
-        debugParts.length,
+    const version = req.body?.version;
+    if (!isVersionName(version)) {
+      return res
+        .status(400)
+        .json({ error: '"version" is required and must be a version name.' });
+    }
+    try {
+      const outcome = await promptRegistry.promote(
+        req.params.promptKey,
+        version,
       );
-      res.json({ ...response.data, text });
+      if (outcome.status === 200) {
+        logger.info(
+          `Promoted prompt ${req.params.promptKey} from ${outcome.body.previousVersion} to ${version}`,
+        );
+      }
+      return res.status(outcome.status).json(outcome.body);
     } catch (error) {
-      return createProviderErrorResponse(
-        res,
-        'OpenAI',
-        '/api/openai-chat-youtube-transcript',
-        error,
+      return respondWithPromptStoreError(res, error);
+    }
+  };
+
+  const promptRolloutHandler = async (req, res) => {
+    logger.info('Received request at /api/prompts/:promptKey/rollout');
+
+    try {
+      const outcome = await promptRegistry.setRollout(
+        req.params.promptKey,
+        req.body?.rollout,
       );
+      if (outcome.status === 200) {
+        logger.info(
+          `Set prompt ${req.params.promptKey} rollout to ${JSON.stringify(outcome.body.rollout)}`,
+        );
+      }
+      return res.status(outcome.status).json(outcome.body);
+    } catch (error) {
+      return respondWithPromptStoreError(res, error);
     }
   };
 
+  app.get(
+    '/api/prompts/:promptKey',
+    requireAdminAccess,
+    requirePromptStore,
+    promptVersionsHandler,
+  );
+  app.post(
+    '/api/prompts/:promptKey/versions',
+    requireAdminAccess,
+    requirePromptStore,
+    createPromptVersionHandler,
+  );
+  app.post(
+    '/api/prompts/:promptKey/active',
+    requireAdminAccess,
+    requirePromptStore,
+    promotePromptVersionHandler,
+  );
+  app.post(
+    '/api/prompts/:promptKey/rollout',
+    requireAdminAccess,
+    requirePromptStore,
+    promptRolloutHandler,
+  );
+
+  app.post(
+    '/api/signup-with-invite',
+    requireApiAccess,
+    signupWithInviteHandler,
+  );
+
+  app.post(
+    '/api/openai-chat',
+    requireApiAccess,
+    providerRateLimiter,
+    requireOpenAiKey,
+    openAiChatHandler,
+  );
+
+  app.post(
+    '/api/openai-chat-axios',
+    requireApiAccess,
+    providerRateLimiter,
+    requireOpenAiKey,
+    (req, res) =>
+      handleLegacyChat(req, res, {
+        provider: 'openai',
+        routePath: '/api/openai-chat-axios',
+        maxTokens: 1024,
+        allowStream: false,
+        formatResponse: toRawPayloadWithText,
+      }),
+  );
+
+  const openAiChatYoutubeTranscriptHandler = (req, res) =>
+    handleLegacyTranscript(req, res, {
+      provider: 'openai',
+      routePath: '/api/openai-chat-youtube-transcript',
+      formatResponse: toRawPayloadWithText,
+    });
+
   app.post(
     '/api/openai-chat-youtube-transcript',
     requireApiAccess,
@@ -255,6 +1700,12 @@ const registerRoutes = (app, deps) => {
     openAiChatYoutubeTranscriptHandler,
   );
 
+  const openAiTranscriptV2Handler = (req, res) =>
+    handleSummaryWithTags(req, res, {
+      provider: 'openai',
+      routePath: '/api/openai-chat-youtube-transcript-v2',
+    });
+
   app.post(
     [
       '/api/openai-chat-youtube-transcript-v2',
@@ -263,73 +1714,7 @@ const registerRoutes = (app, deps) => {
     requireApiAccess,
     providerRateLimiter,
     requireOpenAiKey,
-    async (req, res) => {
-      logger.info('Received request at /api/openai-chat-youtube-transcript-v2');
-
-      try {
-        const transcript = await getTranscriptOrRespond(res, req.body.videoID);
-        if (!transcript) return;
-        logger.debug(
-          'Loaded transcript length',
-          transcript ? transcript.length : 0,
-        );
-
-        const summarySystemMessage = {
-          role: 'system',
-          content: transcriptSummaryPromptV2,
-        };
-
-        const tagsSystemMessage = {
-          role: 'system',
-          content: transcriptTagsPrompt,
-        };
-
-        const userMessage = {
-          role: 'user',
-          content: transcript,
-        };
-
-        const modelMessagesSummary = [summarySystemMessage, userMessage];
-        const modelMessagesTags = [tagsSystemMessage, userMessage];
-
-        const [summaryResponse, tagsResponse] = await Promise.all([
-          callOpenAiResponses(modelMessagesSummary, 1536),
-          callOpenAiResponses(modelMessagesTags, 256),
-        ]);
-
-        const summary = summaryResponse.data;
-        const summaryExtracted = extractResponsesText(summaryResponse.data);
-        logger.debug(
-          'summaryTextLength',
-          summaryExtracted.text.length,
-          'summaryPartsCount',
-          summaryExtracted.debugParts.length,
-        );
-        const tagsExtracted = extractResponsesText(tagsResponse.data);
-        const rawTags = tagsExtracted.text || '[]';
-
-        let tags;
-        try {
-          tags = JSON.parse(rawTags);
-        } catch (e) {
-          logger.warn('Tag parsing failed, using raw string array fallback');
-          tags = rawTags
-            .split('\n')
-            .map((tag) => tag.replace(/^- /, '').trim())
-            .filter(Boolean);
-        }
-
-        const summaryText = summaryExtracted.text;
-        res.json({ summary, summaryText, text: summaryText, tags });
-      } catch (error) {
-        return createProviderErrorResponse(
-          res,
-          'OpenAI',
-          '/api/openai-chat-youtube-transcript-v2',
-          error,
-        );
-      }
-    },
+    openAiTranscriptV2Handler,
   );
 
   app.post(
@@ -337,32 +1722,14 @@ const registerRoutes = (app, deps) => {
     requireApiAccess,
     providerRateLimiter,
     requireDeepSeekKey,
-    async (req, res) => {
-      logger.info('Received request at /api/deepseek-chat');
-
-      const modelMessages = getValidModelMessages(res, req.body.modelMessages);
-      if (!modelMessages) return;
-
-      try {
-        logger.debug('deepseek-chat messagesCount', modelMessages.length);
-        const response = await deepseekAi.chat.completions.create({
-          messages: modelMessages,
-          model: deepSeekModel,
-          max_tokens: 1024,
-          temperature: 0.5,
-        });
-
-        logger.debug('deepseek-chat response received');
-        res.json(response.data);
-      } catch (error) {
-        return createProviderErrorResponse(
-          res,
-          'DeepSeek',
-          '/api/deepseek-chat',
-          error,
-        );
-      }
-    },
+    (req, res) =>
+      handleLegacyChat(req, res, {
+        provider: 'deepseek',
+        routePath: '/api/deepseek-chat',
+        maxTokens: 1024,
+        allowStream: false,
+        formatResponse: toRawPayload,
+      }),
   );
 
   app.post(
@@ -370,24 +1737,14 @@ const registerRoutes = (app, deps) => {
     requireApiAccess,
     providerRateLimiter,
     requireDeepSeekKey,
-    async (req, res) => {
-      logger.info('Received request at /api/deepseek-chat-axios');
-
-      const modelMessages = getValidModelMessages(res, req.body.modelMessages);
-      if (!modelMessages) return;
-
-      try {
-        const response = await callDeepSeekChatAxios(modelMessages, 1024);
-        res.json(response.data);
-      } catch (error) {
-        return createProviderErrorResponse(
-          res,
-          'DeepSeek',
-          '/api/deepseek-chat-axios',
-          error,
-        );
-      }
-    },
+    (req, res) =>
+      handleLegacyChat(req, res, {
+        provider: 'deepseek',
+        routePath: '/api/deepseek-chat-axios',
+        maxTokens: 1024,
+        allowStream: true,
+        formatResponse: toRawPayload,
+      }),
   );
 
   app.post(
@@ -395,38 +1752,26 @@ const registerRoutes = (app, deps) => {
     requireApiAccess,
     providerRateLimiter,
     requireDeepSeekKey,
-    async (req, res) => {
-      logger.info(
-        'Received request at /api/deepseek-chat-axios-youtube-transcript',
-      );
-
-      try {
-        const transcript = await getTranscriptOrRespond(res, req.body.videoID);
-        if (!transcript) return;
-
-        const systemMessage = {
-          role: 'system',
-          content: transcriptSummaryPrompt,
-        };
-
-        const userMessage = {
-          role: 'user',
-          content: `${transcript}`,
-        };
+    (req, res) =>
+      handleLegacyTranscript(req, res, {
+        provider: 'deepseek',
+        routePath: '/api/deepseek-chat-axios-youtube-transcript',
+        formatResponse: toRawPayload,
+      }),
+  );
 
-        const modelMessages = [systemMessage, userMessage];
-        const response = await callDeepSeekChatAxios(modelMessages, 1024);
+  const deepSeekTranscriptV2Handler = (req, res) =>
+    handleSummaryWithTags(req, res, {
+      provider: 'deepseek',
+      routePath: '/api/deepseek-chat-axios-youtube-transcript-v2',
+    });
 
-        res.json(response.data);
-      } catch (error) {
-        return createProviderErrorResponse(
-          res,
-          'DeepSeek',
-          '/api/deepseek-chat-axios-youtube-transcript',
-          error,
-        );
-      }
-    },
+  app.post(
+    '/api/deepseek-chat-axios-youtube-transcript-v2',
+    requireApiAccess,
+    providerRateLimiter,
+    requireDeepSeekKey,
+    deepSeekTranscriptV2Handler,
   );
 
   app.post(
@@ -434,35 +1779,14 @@ const registerRoutes = (app, deps) => {
     requireApiAccess,
     providerRateLimiter,
     requireAnthropicKey,
-    async (req, res) => {
-      logger.info('Received request at /api/anthropic-chat');
-
-      const modelMessages = getValidModelMessages(res, req.body.modelMessages);
-      if (!modelMessages) return;
-      logger.debug(
-        'anthropic-chat messagesCount',
-        Array.isArray(modelMessages) ? modelMessages.length : 0,
-      );
-
-      try {
-        const anthropic = createAnthropicClient();
-        const response = await anthropic.messages.create({
-          model: anthropicModel,
-          max_tokens: 1024,
-          temperature: 0.5,
-          messages: modelMessages,
-        });
-
-        res.json(response);
-      } catch (error) {
-        return createProviderErrorResponse(
-          res,
-          'Anthropic',
-          '/api/anthropic-chat',
-          error,
-        );
-      }
-    },
+    (req, res) =>
+      handleLegacyChat(req, res, {
+        provider: 'anthropic',
+        routePath: '/api/anthropic-chat',
+        maxTokens: 1024,
+        allowStream: true,
+        formatResponse: toRawPayload,
+      }),
   );
 
   app.post(
@@ -470,45 +1794,123 @@ const registerRoutes = (app, deps) => {
     requireApiAccess,
     providerRateLimiter,
     requireAnthropicKey,
-    async (req, res) => {
-      logger.info('Received request at /api/anthropic-chat-youtube-transcript');
+    (req, res) =>
+      handleLegacyTranscript(req, res, {
+        provider: 'anthropic',
+        routePath: '/api/anthropic-chat-youtube-transcript',
+        timeoutMs: 30000,
+        formatResponse: toRawPayload,
+      }),
+  );
 
-      try {
-        const transcript = await getTranscriptOrRespond(res, req.body.videoID);
-        if (!transcript) return;
+  const anthropicTranscriptV2Handler = (req, res) =>
+    handleSummaryWithTags(req, res, {
+      provider: 'anthropic',
+      routePath: '/api/anthropic-chat-youtube-transcript-v2',
+      timeoutMs: 30000,
+    });
 
-        const userMessage = [
-          {
-            role: 'user',
-            content: `${transcript}`,
-          },
-        ];
-
-        const anthropic = createAnthropicClient(30000);
-        const response = await anthropic.messages.create({
-          model: anthropicModel,
-          max_tokens: 1024,
-          temperature: 0.5,
-          system: transcriptSummaryPrompt,
-          messages: userMessage,
-        });
+  app.post(
+    '/api/anthropic-chat-youtube-transcript-v2',
+    requireApiAccess,
+    providerRateLimiter,
+    requireAnthropicKey,
+    anthropicTranscriptV2Handler,
+  );
 
-        res.json(response);
-      } catch (error) {
-        return createProviderErrorResponse(
-          res,
-          'Anthropic',
-          '/api/anthropic-chat-youtube-transcript',
-          error,
-        );
-      }
-    },
+  const requireOpenAiCompatibleProvider = (req, res, next) => {
+    const name = String(req.params?.provider || '')
+      .toLowerCase()
+      .trim();
+    const client = openAiCompatibleProviders.find(
+      (provider) => provider.name === name,
+    );
+    if (!client) {
+      return res.status(404).json({
+        error: `Unknown OpenAI-compatible provider: ${req.params?.provider}`,
+      });
+    }
+    req.openAiCompatibleClient = client;
+    return next();
+  };
+
+  const openAiCompatibleChatHandler = (req, res) => {
+    const client = req.openAiCompatibleClient;
+    return handleLegacyChat(req, res, {
+      provider: client.name,
+      routePath: `/api/providers/${client.name}/chat`,
+      maxTokens: 1024,
+      allowStream: true,
+      formatResponse: toRawPayload,
+    });
+  };
+
+  const openAiCompatibleTranscriptHandler = (req, res) => {
+    const client = req.openAiCompatibleClient;
+    return handleLegacyTranscript(req, res, {
+      provider: client.name,
+      routePath: `/api/providers/${client.name}/chat-youtube-transcript`,
+      formatResponse: toRawPayload,
+    });
+  };
+
+  const openAiCompatibleTranscriptV2Handler = (req, res) => {
+    const client = req.openAiCompatibleClient;
+    return handleSummaryWithTags(req, res, {
+      provider: client.name,
+      routePath: `/api/providers/${client.name}/chat-youtube-transcript-v2`,
+    });
+  };
+
+  app.post(
+    '/api/providers/:provider/chat',
+    requireApiAccess,
+    providerRateLimiter,
+    requireOpenAiCompatibleProvider,
+    openAiCompatibleChatHandler,
+  );
+
+  app.post(
+    '/api/providers/:provider/chat-youtube-transcript',
+    requireApiAccess,
+    providerRateLimiter,
+    requireOpenAiCompatibleProvider,
+    openAiCompatibleTranscriptHandler,
+  );
+
+  app.post(
+    '/api/providers/:provider/chat-youtube-transcript-v2',
+    requireApiAccess,
+    providerRateLimiter,
+    requireOpenAiCompatibleProvider,
+    openAiCompatibleTranscriptV2Handler,
   );
 
   return {
     healthHandler,
+    providerHealthHandler,
     openAiChatHandler,
     openAiChatYoutubeTranscriptHandler,
+    openAiTranscriptV2Handler,
+    deepSeekTranscriptV2Handler,
+    anthropicTranscriptV2Handler,
+    openAiCompatibleChatHandler,
+    openAiCompatibleTranscriptHandler,
+    openAiCompatibleTranscriptV2Handler,
+    requireOpenAiCompatibleProvider,
+    chatHandler,
+    transcriptChaptersHandler,
+    transcriptQaHandler,
+    createSummaryJobHandler,
+    summaryJobStatusHandler,
+    summaryJobRunner,
+    summaryStylesHandler,
+    promptVersionsHandler,
+    createPromptVersionHandler,
+    promotePromptVersionHandler,
+    promptRolloutHandler,
+    ingestTranscriptHandler,
+    usageHandler,
     compareHandler,
     signupWithInviteHandler,
   };
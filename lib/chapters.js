@@ -0,0 +1,303 @@
+const { CHARS_PER_TOKEN } = require('./transcript-chunking');
+
+const CHAPTER_LIMITS = {
+  minCount: 3,
+  maxCount: 20,
+  minLengthSeconds: 10,
+  maxTitleLength: 100,
+  maxDescriptionLength: 200,
+};
+const MAX_SEGMENTS = 20_000;
+// Chapters only need the gist of each stretch of video, so long transcripts
+// are shown to the model as at most this many blocks of merged segments.
+const MAX_OUTLINE_BLOCKS = 400;
+
+const CHAPTERS_RESPONSE_FORMAT = {
+  name: 'transcript_chapters',
+  schema: {
+    type: 'object',
+    properties: {
+      chapters: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            start: { type: 'string' },
+            title: { type: 'string' },
+            description: { type: 'string' },
+          },
+          required: ['start', 'title', 'description'],
+          additionalProperties: false,
+        },
+      },
+    },
+    required: ['chapters'],
+    additionalProperties: false,
+  },
+};
+
+const CHAPTERS_FORMAT_INSTRUCTION = `Respond with only a JSON object of the form {"chapters": [{"start": "m:ss", "title": "...", "description": "..."}]} with ${CHAPTER_LIMITS.minCount} to ${CHAPTER_LIMITS.maxCount} chapters in order. Every "start" must be copied exactly from one of the [timestamp] markers in the transcript, and the first chapter must use the first marker.`;
+
+const isNonNegativeNumber = (value) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Accepts [{ start, end?, text }] with times in seconds. Returns the segments
+// sorted by start time with every end filled in, or { error }.
+const normalizeSegments = (value) => {
+  if (!Array.isArray(value) || value.length === 0) {
+    return { error: '"segments" must be a non-empty array.' };
+  }
+  if (value.length > MAX_SEGMENTS) {
+    return { error: `"segments" must contain at most ${MAX_SEGMENTS} items.` };
+  }
+
+  const segments = [];
+  for (let index = 0; index < value.length; index += 1) {
+    const segment = value[index];
+    const path = `segments[${index}]`;
+    if (!segment || typeof segment !== 'object') {
+      return { error: `${path} must be an object.` };
+    }
+    if (!isNonNegativeNumber(segment.start)) {
+      return {
+        error: `${path}.start must be a non-negative number of seconds.`,
+      };
+    }
+    if (segment.end !== undefined && segment.end !== null) {
+      if (!isNonNegativeNumber(segment.end) || segment.end < segment.start) {
+        return {
+          error: `${path}.end must be a number of seconds not before start.`,
+        };
+      }
+    }
+    if (typeof segment.text !== 'string') {
+      return { error: `${path}.text must be a string.` };
+    }
+    const text = segment.text.replace(/\s+/g, ' ').trim();
+    if (text) segments.push({ start: segment.start, end: segment.end, text });
+  }
+  if (segments.length === 0) {
+    return { error: '"segments" must contain some text.' };
+  }
+
+  segments.sort((a, b) => a.start - b.start);
+  return {
+    segments: segments.map((segment, index) => ({
+      start: segment.start,
+      end: segment.end ?? segments[index + 1]?.start ?? segment.start,
+      text: segment.text,
+    })),
+  };
+};
+
+const formatTimestamp = (seconds) => {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+// Groups segments into blocks that start on a real segment boundary and fit
+// the token budget. Block starts are the only times a chapter may use.
+const buildSegmentOutline = (segments, { tokenBudget }) => {
+  const perBlock = Math.ceil(segments.length / MAX_OUTLINE_BLOCKS);
+  const blocks = [];
+  for (let index = 0; index < segments.length; index += perBlock) {
+    const group = segments.slice(index, index + perBlock);
+    const timestamp = formatTimestamp(group[0].start);
+    // Two segments within the same second share one marker.
+    if (blocks.at(-1)?.timestamp === timestamp) {
+      blocks.at(-1).text +=
+        ` ${group.map((segment) => segment.text).join(' ')}`;
+    } else {
+      blocks.push({
+        segmentIndex: index,
+        start: group[0].start,
+        timestamp,
+        text: group.map((segment) => segment.text).join(' '),
+      });
+    }
+  }
+
+  const maxChars = Math.max(
+    80,
+    Math.floor((tokenBudget * CHARS_PER_TOKEN) / blocks.length),
+  );
+  const text = blocks
+    .map((block) => {
+      const blockText =
+        block.text.length > maxChars
+          ? `${block.text.slice(0, maxChars).trim()}…`
+          : block.text;
+      return `[${block.timestamp}] ${blockText}`;
+    })
+    .join('\n');
+  return { blocks, text };
+};
+
+const stripCodeFence = (text) =>
+  String(text || '')
+    .trim()
+    .replace(/^```[a-z]*\s*\n?/i, '')
+    .replace(/\n?```$/, '')
+    .trim();
+
+const toBoundedString = (value, maxLength) =>
+  typeof value === 'string' && value.trim()
+    ? value.replace(/\s+/g, ' ').trim().slice(0, maxLength)
+    : '';
+
+// Keeps only chapters whose start is one of the outline's block markers, in
+// increasing order and at least minLengthSeconds apart. Everything dropped is
+// listed in rejected with a reason so a repair prompt can cite it.
+const validateChapters = (text, { blocks, duration }) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(stripCodeFence(text));
+  } catch (error) {
+    return { chapters: [], rejected: [], error: 'reply is not valid JSON' };
+  }
+  if (!Array.isArray(parsed?.chapters)) {
+    return {
+      chapters: [],
+      rejected: [],
+      error: 'expected {"chapters": [...]}',
+    };
+  }
+
+  const blocksByTimestamp = new Map(
+    blocks.map((block) => [block.timestamp, block]),
+  );
+  const chapters = [];
+  const rejected = [];
+  parsed.chapters.forEach((entry) => {
+    const timestamp = String(entry?.start ?? '').trim();
+    const reject = (reason) => rejected.push({ start: timestamp, reason });
+    const title = toBoundedString(entry?.title, CHAPTER_LIMITS.maxTitleLength);
+    if (!title) return reject('missing title');
+
+    const block =
+      chapters.length === 0 ? blocks[0] : blocksByTimestamp.get(timestamp);
+    if (!block) return reject('not a segment boundary');
+    const previous = chapters.at(-1);
+    if (previous && block.start <= previous.start) {
+      return reject('not after the previous chapter');
+    }
+    if (
+      previous &&
+      block.start - previous.start < CHAPTER_LIMITS.minLengthSeconds
+    ) {
+      return reject(
+        `less than ${CHAPTER_LIMITS.minLengthSeconds}s after the previous chapter`,
+      );
+    }
+    chapters.push({
+      start: block.start,
+      timestamp: block.timestamp,
+      segmentIndex: block.segmentIndex,
+      title,
+      description: toBoundedString(
+        entry?.description,
+        CHAPTER_LIMITS.maxDescriptionLength,
+      ),
+    });
+    return undefined;
+  });
+
+  const last = chapters.at(-1);
+  if (last && duration - last.start < CHAPTER_LIMITS.minLengthSeconds) {
+    chapters.pop();
+    rejected.push({
+      start: last.timestamp,
+      reason: `less than ${CHAPTER_LIMITS.minLengthSeconds}s before the end of the video`,
+    });
+  }
+  const capped = chapters.slice(0, CHAPTER_LIMITS.maxCount);
+  capped.forEach((chapter, index) => {
+    chapter.end = capped[index + 1]?.start ?? duration;
+  });
+
+  let error = null;
+  if (capped.length < CHAPTER_LIMITS.minCount) {
+    error = `expected at least ${CHAPTER_LIMITS.minCount} valid chapters, got ${capped.length}`;
+  } else if (rejected.length > 0) {
+    error = `${rejected.length} chapter(s) were invalid`;
+  }
+  return { chapters: capped, rejected, error };
+};
+
+const describeRejections = (validation) =>
+  [
+    validation.error,
+    ...validation.rejected.map((entry) => `"${entry.start}": ${entry.reason}`),
+  ].join('; ');
+
+// YouTube requires the first chapter to be listed at 0:00.
+const formatChaptersForDescription = (chapters) =>
+  chapters
+    .map(
+      (chapter, index) =>
+        `${index === 0 ? '0:00' : chapter.timestamp} ${chapter.title}`,
+    )
+    .join('\n');
+
+// complete(messages) runs one chapter request in the provider's structured
+// mode. Makes one repair round-trip when the first reply has invalid
+// chapters, and keeps whichever reply produced more valid ones.
+const generateChapters = async ({
+  segments,
+  prompt,
+  complete,
+  tokenBudget,
+  logger,
+}) => {
+  const outline = buildSegmentOutline(segments, { tokenBudget });
+  const duration = segments.at(-1).end;
+  const messages = [
+    { role: 'system', content: prompt },
+    { role: 'user', content: outline.text },
+    { role: 'system', content: CHAPTERS_FORMAT_INSTRUCTION },
+  ];
+
+  const first = await complete(messages);
+  const firstValidation = validateChapters(first.text, {
+    blocks: outline.blocks,
+    duration,
+  });
+  if (!firstValidation.error) {
+    return { ...firstValidation, repaired: false, results: [first] };
+  }
+
+  logger?.warn?.(
+    `Chapter output failed validation (${firstValidation.error}); repairing`,
+  );
+  const repair = await complete([
+    ...messages,
+    { role: 'assistant', content: first.text || '(empty reply)' },
+    {
+      role: 'user',
+      content: `That reply was invalid: ${describeRejections(firstValidation)}. ${CHAPTERS_FORMAT_INSTRUCTION}`,
+    },
+  ]);
+  const repairValidation = validateChapters(repair.text, {
+    blocks: outline.blocks,
+    duration,
+  });
+  const best =
+    repairValidation.chapters.length >= firstValidation.chapters.length
+      ? repairValidation
+      : firstValidation;
+  return { ...best, repaired: true, results: [first, repair] };
+};
+
+module.exports = {
+  CHAPTER_LIMITS,
+  CHAPTERS_RESPONSE_FORMAT,
+  normalizeSegments,
+  formatTimestamp,
+  buildSegmentOutline,
+  validateChapters,
+  formatChaptersForDescription,
+  generateChapters,
+};
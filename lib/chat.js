@@ -0,0 +1,603 @@
+const {
+  prepareImagePayloads,
+  getImageUnsupportedMessage,
+  extractDeepSeekText,
+  extractAnthropicText,
+} = require('./compare');
+const {
+  iterateOpenAiResponsesDeltas,
+  iterateChatCompletionsDeltas,
+  iterateAnthropicDeltas,
+} = require('./streaming');
+
+const CHAT_ROLES = ['system', 'user', 'assistant'];
+const DEFAULT_MAX_TOKENS = 1024;
+const MAX_TOKENS_LIMIT = 32768;
+const USAGE_WRITE_TIMEOUT_MS = 2000;
+
+const isObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const createChatRequestError = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  err.clientMessage = message;
+  return err;
+};
+
+const normalizeImageUrl = (part) => {
+  if (typeof part.url === 'string') return part.url;
+  if (typeof part.image_url === 'string') return part.image_url;
+  if (typeof part.image_url?.url === 'string') return part.image_url.url;
+  if (part.source?.type === 'base64' && part.source.data) {
+    return `data:${part.source.media_type};base64,${part.source.data}`;
+  }
+  if (part.source?.type === 'url') return part.source.url;
+  return '';
+};
+
+// Accepts the neutral { type: 'text' | 'image' } parts plus the OpenAI and
+// Anthropic part shapes legacy routes already receive in modelMessages.
+const normalizeContentPart = (part, path) => {
+  if (!isObject(part)) {
+    throw createChatRequestError(`${path} must be an object.`);
+  }
+
+  switch (part.type) {
+    case 'text':
+    case 'input_text':
+    case 'output_text':
+      if (typeof part.text !== 'string') {
+        throw createChatRequestError(`${path}.text must be a string.`);
+      }
+      return { type: 'text', text: part.text };
+    case 'image':
+    case 'input_image':
+    case 'image_url': {
+      const url = normalizeImageUrl(part).trim();
+      if (!url) {
+        throw createChatRequestError(`${path} is missing an image URL.`);
+      }
+      return { type: 'image', url };
+    }
+    default:
+      throw createChatRequestError(
+        `${path}.type "${part.type}" is not supported. Use "text" or "image".`,
+      );
+  }
+};
+
+const normalizeChatMessage = (message, index) => {
+  const path = `messages[${index}]`;
+  if (!isObject(message)) {
+    throw createChatRequestError(`${path} must be an object.`);
+  }
+
+  const role = message.role === 'developer' ? 'system' : message.role;
+  if (!CHAT_ROLES.includes(role)) {
+    throw createChatRequestError(
+      `${path}.role must be one of: ${CHAT_ROLES.join(', ')}.`,
+    );
+  }
+
+  const { content } = message;
+  if (typeof content === 'string') {
+    return { role, content };
+  }
+  if (!Array.isArray(content) || content.length === 0) {
+    throw createChatRequestError(
+      `${path}.content must be a string or a non-empty array of parts.`,
+    );
+  }
+
+  const parts = content.map((part, partIndex) =>
+    normalizeContentPart(part, `${path}.content[${partIndex}]`),
+  );
+  if (role !== 'user' && parts.some((part) => part.type === 'image')) {
+    throw createChatRequestError(
+      `${path} can only contain image parts when role is "user".`,
+    );
+  }
+  return { role, content: parts };
+};
+
+const normalizeChatMessages = (messages) => {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw createChatRequestError('"messages" must be a non-empty array.');
+  }
+
+  const normalized = messages.map(normalizeChatMessage);
+  if (!normalized.some((message) => message.role !== 'system')) {
+    throw createChatRequestError(
+      '"messages" must include at least one user or assistant message.',
+    );
+  }
+  return normalized;
+};
+
+const readNumberOption = (options, key, { min, max, integer }) => {
+  const value = options[key];
+  if (value === undefined || value === null) return undefined;
+  const n = Number(value);
+  if (
+    typeof value === 'boolean' ||
+    !Number.isFinite(n) ||
+    n < min ||
+    n > max ||
+    (integer && !Number.isInteger(n))
+  ) {
+    throw createChatRequestError(
+      `"options.${key}" must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}.`,
+    );
+  }
+  return n;
+};
+
+const normalizeChatOptions = (options) => {
+  if (options === undefined) return {};
+  if (!isObject(options)) {
+    throw createChatRequestError('"options" must be an object when provided.');
+  }
+
+  const normalized = {
+    maxTokens: readNumberOption(options, 'maxTokens', {
+      min: 1,
+      max: MAX_TOKENS_LIMIT,
+      integer: true,
+    }),
+    temperature: readNumberOption(options, 'temperature', { min: 0, max: 2 }),
+    topP: readNumberOption(options, 'topP', { min: 0, max: 1 }),
+  };
+  return Object.fromEntries(
+    Object.entries(normalized).filter(([, value]) => value !== undefined),
+  );
+};
+
+const parseChatRequest = (body, { supportedProviders }) => {
+  const provider =
+    typeof body?.provider === 'string'
+      ? body.provider.toLowerCase().trim()
+      : '';
+  if (!provider) {
+    return { error: '"provider" is required and must be a non-empty string.' };
+  }
+  if (!supportedProviders.includes(provider)) {
+    return {
+      error: `Unsupported provider "${body.provider}". Supported providers: ${supportedProviders.join(', ')}.`,
+    };
+  }
+
+  try {
+    return {
+      provider,
+      messages: normalizeChatMessages(body?.messages),
+      options: normalizeChatOptions(body?.options),
+    };
+  } catch (error) {
+    if (error.clientMessage) return { error: error.clientMessage };
+    throw error;
+  }
+};
+
+const contentToText = (content) =>
+  typeof content === 'string'
+    ? content
+    : content
+        .filter((part) => part.type === 'text')
+        .map((part) => part.text)
+        .join('\n');
+
+const toResponsesInput = (messages) =>
+  messages.map(({ role, content }) => ({
+    role,
+    content:
+      typeof content === 'string'
+        ? content
+        : content.map((part) =>
+            part.type === 'image'
+              ? { type: 'input_image', image_url: part.url }
+              : {
+                  type: role === 'assistant' ? 'output_text' : 'input_text',
+                  text: part.text,
+                },
+          ),
+  }));
+
+const toChatCompletionsMessages = (messages) =>
+  messages.map(({ role, content }) => ({
+    role,
+    content:
+      typeof content === 'string'
+        ? content
+        : content.map((part) =>
+            part.type === 'image'
+              ? { type: 'image_url', image_url: { url: part.url } }
+              : { type: 'text', text: part.text },
+          ),
+  }));
+
+const toAnthropicRequest = async (messages) => {
+  const system = messages
+    .filter((message) => message.role === 'system')
+    .map((message) => contentToText(message.content))
+    .filter(Boolean)
+    .join('\n\n');
+
+  const conversation = await Promise.all(
+    messages
+      .filter((message) => message.role !== 'system')
+      .map(async ({ role, content }) => ({
+        role,
+        content:
+          typeof content === 'string'
+            ? content
+            : await Promise.all(
+                content.map(async (part) => {
+                  if (part.type !== 'image') {
+                    return { type: 'text', text: part.text };
+                  }
+                  const image = await prepareImagePayloads(part.url);
+                  return { type: 'image', source: image.anthropicImageSource };
+                }),
+              ),
+      })),
+  );
+
+  return { ...(system ? { system } : {}), messages: conversation };
+};
+
+const hasImageContent = (messages) =>
+  messages.some(
+    (message) =>
+      Array.isArray(message.content) &&
+      message.content.some((part) => part.type === 'image'),
+  );
+
+const getResponsesFinishReason = (data) =>
+  data?.incomplete_details?.reason || data?.status || null;
+
+const createChatCompletionsAdapter = ({
+  label,
+  model,
+  supportsImages,
+  call,
+  stream,
+}) => ({
+  label,
+  model,
+  supportsImages,
+  complete: async (messages, options) => {
+    const response = await call(toChatCompletionsMessages(messages), options);
+    const data = response.data;
+    return {
+      raw: data,
+      text: extractDeepSeekText(data),
+      finishReason: data?.choices?.[0]?.finish_reason || null,
+      usage: {
+        inputTokens: data?.usage?.prompt_tokens ?? null,
+        outputTokens: data?.usage?.completion_tokens ?? null,
+      },
+    };
+  },
+  stream: async (messages, options) => {
+    const response = await stream(toChatCompletionsMessages(messages), options);
+    return iterateChatCompletionsDeltas(response.data);
+  },
+});
+
+const createChatService = ({
+  callOpenAiResponses,
+  streamOpenAiResponses,
+  extractResponsesText,
+  callDeepSeekChatAxios,
+  streamDeepSeekChatAxios,
+  createAnthropicClient,
+  openAiCompatibleProviders = [],
+  providerAvailability,
+  openAiModel,
+  deepSeekModel,
+  anthropicModel,
+  recordUsage,
+  retryRunner,
+  circuitBreakers,
+  logger,
+}) => {
+  // Awaited, because a serverless instance is frozen once the response is
+  // sent; the timeout keeps a slow Firestore from holding the response.
+  const trackUsage = async (context, { provider, model, usage }) => {
+    if (!recordUsage || !context) return;
+    let timer;
+    try {
+      await Promise.race([
+        recordUsage({ ...context, provider, model, usage }),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(
+            () =>
+              reject(new Error(`timed out after ${USAGE_WRITE_TIMEOUT_MS}ms`)),
+            USAGE_WRITE_TIMEOUT_MS,
+          );
+        }),
+      ]);
+    } catch (error) {
+      logger?.warn?.('Usage recording failed:', error?.message || error);
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  async function* tapStreamUsage(deltas, request, model) {
+    for await (const item of deltas) {
+      if (item.type === 'done') {
+        await trackUsage(request.context, {
+          provider: request.provider,
+          model,
+          usage: item.usage,
+        });
+      }
+      yield item;
+    }
+  }
+
+  const buildAnthropicParams = async (messages, options) => ({
+    model: options.model || anthropicModel,
+    max_tokens: options.maxTokens,
+    temperature: options.temperature ?? 0.5,
+    ...(options.topP !== undefined ? { top_p: options.topP } : {}),
+    ...(options.responseFormat
+      ? {
+          tools: [
+            {
+              name: options.responseFormat.name,
+              description: 'Record the structured response.',
+              input_schema: options.responseFormat.schema,
+            },
+          ],
+          tool_choice: { type: 'tool', name: options.responseFormat.name },
+        }
+      : {}),
+    ...(await toAnthropicRequest(messages)),
+  });
+
+  // With a forced tool call the structured output arrives as tool input.
+  const extractAnthropicStructuredText = (data, options) => {
+    const toolUse = options.responseFormat
+      ? data?.content?.find((block) => block?.type === 'tool_use')
+      : null;
+    return toolUse ? JSON.stringify(toolUse.input) : extractAnthropicText(data);
+  };
+
+  const adapters = {
+    openai: {
+      label: 'OpenAI',
+      model: openAiModel,
+      supportsImages: true,
+      complete: async (messages, options) => {
+        const response = await callOpenAiResponses(
+          toResponsesInput(messages),
+          options.maxTokens,
+          options,
+        );
+        const data = response.data;
+        return {
+          raw: data,
+          text: extractResponsesText(data).text,
+          finishReason: getResponsesFinishReason(data),
+          usage: {
+            inputTokens: data?.usage?.input_tokens ?? null,
+            outputTokens: data?.usage?.output_tokens ?? null,
+          },
+        };
+      },
+      stream: async (messages, options) => {
+        const response = await streamOpenAiResponses(
+          toResponsesInput(messages),
+          options.maxTokens,
+          options,
+        );
+        return iterateOpenAiResponsesDeltas(response.data);
+      },
+    },
+    deepseek: createChatCompletionsAdapter({
+      label: 'DeepSeek',
+      model: deepSeekModel,
+      supportsImages: false,
+      call: (messages, options) =>
+        callDeepSeekChatAxios(messages, options.maxTokens, options),
+      stream: (messages, options) =>
+        streamDeepSeekChatAxios(messages, options.maxTokens, options),
+    }),
+    anthropic: {
+      label: 'Anthropic',
+      model: anthropicModel,
+      supportsImages: true,
+      complete: async (messages, options) => {
+        const anthropic = createAnthropicClient(options.timeoutMs);
+        const data = await anthropic.messages.create(
+          await buildAnthropicParams(messages, options),
+        );
+        return {
+          raw: data,
+          text: extractAnthropicStructuredText(data, options),
+          finishReason: data?.stop_reason || null,
+          usage: {
+            inputTokens: data?.usage?.input_tokens ?? null,
+            outputTokens: data?.usage?.output_tokens ?? null,
+          },
+        };
+      },
+      stream: async (messages, options) => {
+        const anthropic = createAnthropicClient(options.timeoutMs);
+        const events = await anthropic.messages.create({
+          ...(await buildAnthropicParams(messages, options)),
+          stream: true,
+        });
+        return iterateAnthropicDeltas(events);
+      },
+    },
+  };
+
+  openAiCompatibleProviders.forEach((client) => {
+    adapters[client.name] = createChatCompletionsAdapter({
+      label: client.label,
+      model: client.model,
+      supportsImages: client.supportsImages,
+      call: (messages, options) =>
+        client.call(messages, options.maxTokens, options),
+      stream: (messages, options) =>
+        client.stream(messages, options.maxTokens, options),
+    });
+  });
+
+  const getAdapter = (provider) => {
+    const adapter = adapters[provider];
+    if (!adapter) {
+      throw createChatRequestError(`Unsupported provider "${provider}".`);
+    }
+    return adapter;
+  };
+
+  const prepareCall = ({ provider, messages, options = {} }) => {
+    const adapter = getAdapter(provider);
+    if (!adapter.supportsImages && hasImageContent(messages)) {
+      throw createChatRequestError(getImageUnsupportedMessage(provider));
+    }
+    return {
+      adapter,
+      model: options.model || adapter.model,
+      options: {
+        ...options,
+        maxTokens: options.maxTokens || DEFAULT_MAX_TOKENS,
+      },
+    };
+  };
+
+  // The circuit breaker sees one outcome per call, after retries. Each
+  // attempt gets at most the time left before the request deadline.
+  const callProvider = (request, adapter, options, call) => {
+    const attempt = ({ remainingMs }) =>
+      call(
+        remainingMs === null
+          ? options
+          : {
+              ...options,
+              timeoutMs: Math.max(
+                1,
+                Math.min(options.timeoutMs || Infinity, remainingMs),
+              ),
+            },
+      );
+    const run = () =>
+      retryRunner
+        ? retryRunner.run(attempt, {
+            provider: request.provider,
+            label: adapter.label,
+            deadline: request.deadline,
+          })
+        : attempt({ remainingMs: null });
+    return circuitBreakers
+      ? circuitBreakers.execute(request.provider, run)
+      : run();
+  };
+
+  const getProviderStatus = (provider) => {
+    const configured = Boolean(providerAvailability[provider]);
+    const circuit = circuitBreakers?.getSnapshot(provider) || null;
+    return {
+      configured,
+      available: configured && circuit?.state !== 'open',
+      circuit,
+    };
+  };
+
+  return {
+    providers: Object.keys(adapters),
+    getLabel: (provider) => getAdapter(provider).label,
+    getModel: (provider) => getAdapter(provider).model,
+    supportsImages: (provider) => Boolean(adapters[provider]?.supportsImages),
+    isAvailable: (provider) => Boolean(providerAvailability[provider]),
+    getProviderStatus,
+    complete: async (request) => {
+      const { adapter, model, options } = prepareCall(request);
+      const startedAt = Date.now();
+      const result = await callProvider(
+        request,
+        adapter,
+        options,
+        (attemptOptions) => adapter.complete(request.messages, attemptOptions),
+      );
+      const completed = {
+        provider: request.provider,
+        model,
+        latencyMs: Date.now() - startedAt,
+        ...result,
+      };
+      await trackUsage(request.context, completed);
+      return completed;
+    },
+    openStream: async (request) => {
+      const { adapter, model, options } = prepareCall(request);
+      const deltas = await callProvider(
+        request,
+        adapter,
+        options,
+        (attemptOptions) => adapter.stream(request.messages, attemptOptions),
+      );
+      return tapStreamUsage(deltas, request, model);
+    },
+  };
+};
+
+const wantsNormalizedResponse = (req) => {
+  const requested =
+    req?.body?.responseFormat ?? req?.headers?.['x-response-format'];
+  return String(requested || '').toLowerCase() === 'normalized';
+};
+
+const sumUsage = (usages) => {
+  const sumField = (field) => {
+    const values = usages.map((usage) => usage?.[field]);
+    if (values.some((value) => typeof value !== 'number')) return null;
+    return values.reduce((total, value) => total + value, 0);
+  };
+  return {
+    inputTokens: sumField('inputTokens'),
+    outputTokens: sumField('outputTokens'),
+  };
+};
+
+const buildChatEnvelope = (result, { includeRaw = false } = {}) => ({
+  text: result.text,
+  provider: result.provider,
+  model: result.model,
+  usage: result.usage,
+  finishReason: result.finishReason,
+  latencyMs: result.latencyMs,
+  ...(result.failedAttempts?.length
+    ? { failedAttempts: result.failedAttempts }
+    : {}),
+  ...(result.chunked !== undefined
+    ? { chunked: result.chunked, chunkCount: result.chunkCount }
+    : {}),
+  ...(result.language ? { language: result.language } : {}),
+  ...(result.style ? { style: result.style } : {}),
+  ...(result.prompts ? { prompts: result.prompts } : {}),
+  ...(result.validation ? { validation: result.validation } : {}),
+  ...(result.cache ? { cache: result.cache } : {}),
+  ...(includeRaw ? { raw: result.raw } : {}),
+});
+
+module.exports = {
+  CHAT_ROLES,
+  createChatRequestError,
+  normalizeChatMessages,
+  normalizeChatOptions,
+  parseChatRequest,
+  toResponsesInput,
+  toChatCompletionsMessages,
+  toAnthropicRequest,
+  hasImageContent,
+  createChatService,
+  wantsNormalizedResponse,
+  buildChatEnvelope,
+  sumUsage,
+};
@@ -0,0 +1,156 @@
+const { getRetryableReason } = require('./retry');
+
+const CIRCUIT_STATES = {
+  closed: 'closed',
+  open: 'open',
+  halfOpen: 'half_open',
+};
+
+const toPositiveNumber = (value, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+const parseCircuitBreakerConfig = (env = process.env) => ({
+  failureRateThreshold: Math.min(
+    1,
+    toPositiveNumber(env.CIRCUIT_BREAKER_FAILURE_RATE, 0.5),
+  ),
+  minimumRequests: Math.floor(
+    toPositiveNumber(env.CIRCUIT_BREAKER_MIN_REQUESTS, 5),
+  ),
+  windowMs: toPositiveNumber(env.CIRCUIT_BREAKER_WINDOW_MS, 60_000),
+  openMs: toPositiveNumber(env.CIRCUIT_BREAKER_OPEN_MS, 30_000),
+  halfOpenProbes: Math.floor(
+    toPositiveNumber(env.CIRCUIT_BREAKER_HALF_OPEN_PROBES, 1),
+  ),
+});
+
+const createCircuitOpenError = (provider, retryAfterMs) => {
+  const err = new Error(`${provider} circuit is open`);
+  err.code = 'circuit_open';
+  err.provider = provider;
+  err.retryAfterMs = retryAfterMs;
+  return err;
+};
+
+const createCircuitBreaker = ({ provider, config, logger, now }) => {
+  let state = CIRCUIT_STATES.closed;
+  let outcomes = [];
+  let openedAt = null;
+  let probesInFlight = 0;
+
+  const transition = (nextState) => {
+    if (state === nextState) return;
+    logger?.warn?.(`${provider} circuit ${state} -> ${nextState}`);
+    state = nextState;
+    if (nextState === CIRCUIT_STATES.open) openedAt = now();
+    if (nextState === CIRCUIT_STATES.halfOpen) probesInFlight = 0;
+    if (nextState === CIRCUIT_STATES.closed) {
+      outcomes = [];
+      openedAt = null;
+    }
+  };
+
+  const refresh = () => {
+    if (state === CIRCUIT_STATES.open && now() - openedAt >= config.openMs) {
+      transition(CIRCUIT_STATES.halfOpen);
+    }
+    const windowStart = now() - config.windowMs;
+    outcomes = outcomes.filter((outcome) => outcome.at > windowStart);
+  };
+
+  const getRetryAfterMs = () =>
+    state === CIRCUIT_STATES.open
+      ? Math.max(0, openedAt + config.openMs - now())
+      : 0;
+
+  const acquire = () => {
+    refresh();
+    if (state === CIRCUIT_STATES.open) {
+      throw createCircuitOpenError(provider, getRetryAfterMs());
+    }
+    if (state === CIRCUIT_STATES.halfOpen) {
+      if (probesInFlight >= config.halfOpenProbes) {
+        throw createCircuitOpenError(provider, config.openMs);
+      }
+      probesInFlight += 1;
+    }
+    return state === CIRCUIT_STATES.halfOpen;
+  };
+
+  const record = (isProbe, outcome) => {
+    if (isProbe) {
+      probesInFlight = Math.max(0, probesInFlight - 1);
+      if (outcome === 'success') transition(CIRCUIT_STATES.closed);
+      if (outcome === 'failure') transition(CIRCUIT_STATES.open);
+      return;
+    }
+    if (state !== CIRCUIT_STATES.closed || outcome === 'neutral') return;
+
+    outcomes.push({ at: now(), ok: outcome === 'success' });
+    refresh();
+    const failures = outcomes.filter((entry) => !entry.ok).length;
+    if (
+      outcomes.length >= config.minimumRequests &&
+      failures / outcomes.length >= config.failureRateThreshold
+    ) {
+      transition(CIRCUIT_STATES.open);
+    }
+  };
+
+  // Only provider-side failures count; caller errors (400, 401, ...) prove
+  // the provider is reachable but say nothing about its health.
+  const execute = async (fn) => {
+    const isProbe = acquire();
+    try {
+      const result = await fn();
+      record(isProbe, 'success');
+      return result;
+    } catch (error) {
+      record(isProbe, getRetryableReason(error) ? 'failure' : 'neutral');
+      throw error;
+    }
+  };
+
+  const getSnapshot = () => {
+    refresh();
+    const failures = outcomes.filter((entry) => !entry.ok).length;
+    return {
+      state,
+      requests: outcomes.length,
+      failures,
+      failureRate: outcomes.length ? failures / outcomes.length : 0,
+      ...(state === CIRCUIT_STATES.open
+        ? { retryAfterMs: getRetryAfterMs() }
+        : {}),
+    };
+  };
+
+  return { execute, getSnapshot };
+};
+
+const createCircuitBreakerRegistry = ({ config, logger, now = Date.now }) => {
+  const breakers = new Map();
+
+  const getBreaker = (provider) => {
+    if (!breakers.has(provider)) {
+      breakers.set(
+        provider,
+        createCircuitBreaker({ provider, config, logger, now }),
+      );
+    }
+    return breakers.get(provider);
+  };
+
+  return {
+    execute: (provider, fn) => getBreaker(provider).execute(fn),
+    getSnapshot: (provider) => getBreaker(provider).getSnapshot(),
+  };
+};
+
+module.exports = {
+  CIRCUIT_STATES,
+  parseCircuitBreakerConfig,
+  createCircuitBreakerRegistry,
+};
@@ -8,10 +8,10 @@ const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
 const isObject = (value) =>
   value !== null && typeof value === 'object' && !Array.isArray(value);
 
-const normalizeProvidersInput = (providers) => {
+const normalizeProvidersInput = (providers, supportedProviders) => {
   if (providers === undefined) {
     return {
-      providers: [...SUPPORTED_PROVIDERS],
+      providers: [...supportedProviders],
       unsupportedProviders: [],
     };
   }
@@ -36,7 +36,7 @@ const normalizeProvidersInput = (providers) => {
     const key = provider.toLowerCase().trim();
     if (!key) return;
 
-    if (!SUPPORTED_PROVIDERS.includes(key)) {
+    if (!supportedProviders.includes(key)) {
       unsupportedProviders.push(provider);
       return;
     }
@@ -58,7 +58,10 @@ const normalizeProvidersInput = (providers) => {
   return { providers: normalized, unsupportedProviders };
 };
 
-const parseCompareRequest = (body) => {
+const parseCompareRequest = (
+  body,
+  { supportedProviders = SUPPORTED_PROVIDERS } = {},
+) => {
   const prompt = body?.prompt;
   if (typeof prompt !== 'string' || !prompt.trim()) {
     return {
@@ -66,7 +69,10 @@ const parseCompareRequest = (body) => {
     };
   }
 
-  const providerSelection = normalizeProvidersInput(body?.providers);
+  const providerSelection = normalizeProvidersInput(
+    body?.providers,
+    supportedProviders,
+  );
   if (providerSelection.validationError) {
     return {
       error: providerSelection.validationError,
@@ -207,11 +213,17 @@ const prepareImagePayloads = async (imageUrl) => {
   };
 };
 
+const getImageUnsupportedMessage = (provider) =>
+  provider === 'deepseek'
+    ? 'Image input is not supported for the configured DeepSeek text model.'
+    : `Image input is not supported for the configured ${provider} model.`;
+
 const runProviderTask = async ({
   provider,
   prompt,
   imageRequested,
   imagePayload,
+  supportsImageInput,
   providerOptions,
   providerAvailability,
   providerExecutors,
@@ -220,7 +232,8 @@ const runProviderTask = async ({
   logger,
 }) => {
   const startedAt = Date.now();
-  if (!providerAvailability[provider]) {
+  const availability = providerAvailability[provider];
+  if (!availability.configured) {
     return {
       provider,
       status: 'error',
@@ -228,13 +241,20 @@ const runProviderTask = async ({
       error: `${provider} API key is not configured`,
     };
   }
-  if (provider === 'deepseek' && imageRequested) {
+  if (!availability.available) {
+    return {
+      provider,
+      status: 'error',
+      latencyMs: 0,
+      error: `${provider} is temporarily unavailable (circuit open)`,
+    };
+  }
+  if (imageRequested && !supportsImageInput(provider)) {
     return {
       provider,
       status: 'error',
       latencyMs: 0,
-      error:
-        'Image input is not supported for the configured DeepSeek text model.',
+      error: getImageUnsupportedMessage(provider),
     };
   }
 
@@ -279,89 +299,74 @@ const runProviderTask = async ({
   }
 };
 
-const createProviderExecutors = ({
-  callOpenAiResponses,
-  callDeepSeekChatAxios,
-  createAnthropicClient,
-  extractResponsesText,
-  openAiModel,
-  deepSeekModel,
-  anthropicModel,
-}) => ({
-  openai: async (prompt, options) => {
-    const imagePayload = options.imagePayload;
-    const modelMessages = imagePayload
-      ? [
-          {
-            role: 'user',
-            content: [
-              { type: 'input_text', text: prompt },
-              { type: 'input_image', image_url: imagePayload.openAiImageUrl },
-            ],
-          },
-        ]
-      : [{ role: 'user', content: prompt }];
-    const maxOutputTokens = toIntegerOrDefault(options.maxOutputTokens, 1024);
-    const response = await callOpenAiResponses(modelMessages, maxOutputTokens);
-    const extracted = extractResponsesText(response.data);
-
-    return {
-      model: openAiModel,
-      text: extracted.text,
-    };
-  },
-  deepseek: async (prompt, options) => {
-    const modelMessages = [{ role: 'user', content: prompt }];
-    const maxTokens = toIntegerOrDefault(options.maxTokens, 1024);
-    const response = await callDeepSeekChatAxios(modelMessages, maxTokens);
-
-    return {
-      model: deepSeekModel,
-      text: extractDeepSeekText(response.data),
-    };
-  },
-  anthropic: async (prompt, options) => {
-    const imagePayload = options.imagePayload;
-    const maxTokens = toIntegerOrDefault(options.maxTokens, 1024);
-    const anthropic = createAnthropicClient();
-    const userContent = imagePayload
+const toCompareMessages = (prompt, imagePayload) => [
+  {
+    role: 'user',
+    content: imagePayload
       ? [
           { type: 'text', text: prompt },
-          {
-            type: 'image',
-            source: imagePayload.anthropicImageSource,
-          },
+          { type: 'image', url: imagePayload.openAiImageUrl },
         ]
-      : prompt;
-
-    const response = await anthropic.messages.create({
-      model: anthropicModel,
-      max_tokens: maxTokens,
-      temperature: 0.5,
-      messages: [{ role: 'user', content: userContent }],
-    });
-
-    return {
-      model: anthropicModel,
-      text: extractAnthropicText(response),
-    };
+      : prompt,
   },
-});
+];
 
-const runCompare = async (request, deps) => {
-  const timeoutMs = toIntegerOrDefault(
+const createProviderExecutors = ({ chatService, usageContext, deadline }) =>
+  Object.fromEntries(
+    chatService.providers.map((provider) => [
+      provider,
+      async (prompt, options) => {
+        const maxTokens =
+          provider === 'openai'
+            ? toIntegerOrDefault(options.maxOutputTokens, 1024)
+            : toIntegerOrDefault(options.maxTokens, 1024);
+        const result = await chatService.complete({
+          provider,
+          messages: toCompareMessages(prompt, options.imagePayload),
+          options: { maxTokens, model: options.model },
+          context: usageContext,
+          deadline,
+        });
+
+        return {
+          model: result.model,
+          text: result.text,
+        };
+      },
+    ]),
+  );
+
+const resolveCompareTimeout = (request) =>
+  toIntegerOrDefault(
     request?.providerOptions?.timeoutMs,
     DEFAULT_COMPARE_TIMEOUT_MS,
   );
 
+const buildProviderAvailability = (request, deps) =>
+  Object.fromEntries(
+    request.providers.map((provider) => [
+      provider,
+      deps.chatService.getProviderStatus(provider),
+    ]),
+  );
+
+const buildRequestMetadata = (request, timeoutMs, providerAvailability) => ({
+  prompt: request.prompt,
+  imageUrl: request.imageUrl,
+  providers: request.providers,
+  timeoutMs,
+  unsupportedProviders: request.unsupportedProviders,
+  providerAvailability,
+});
+
+const createCompareTasks = async (request, deps, timeoutMs) => {
   let imagePayload = null;
   let imagePreparationError = null;
+  const supportsImageInput = deps.chatService.supportsImages;
   const needsPreparedImage =
     typeof request.imageUrl === 'string' &&
     request.imageUrl &&
-    request.providers.some(
-      (provider) => provider === 'openai' || provider === 'anthropic',
-    );
+    request.providers.some(supportsImageInput);
 
   if (needsPreparedImage) {
     try {
@@ -385,9 +390,13 @@ const runCompare = async (request, deps) => {
     }
   }
 
-  const providerExecutors = createProviderExecutors(deps);
-  const tasks = request.providers.map((provider) =>
-    imagePreparationError && (provider === 'openai' || provider === 'anthropic')
+  // Retries must also settle within the compare timeout.
+  const providerExecutors = createProviderExecutors({
+    ...deps,
+    deadline: Math.min(deps.deadline ?? Infinity, Date.now() + timeoutMs),
+  });
+  return request.providers.map((provider) =>
+    imagePreparationError && supportsImageInput(provider)
       ? Promise.resolve({
           provider,
           status: 'error',
@@ -399,6 +408,7 @@ const runCompare = async (request, deps) => {
           prompt: request.prompt,
           imageRequested: Boolean(request.imageUrl),
           imagePayload,
+          supportsImageInput,
           providerOptions: request.providerOptions,
           providerAvailability: deps.providerAvailability,
           providerExecutors,
@@ -407,22 +417,69 @@ const runCompare = async (request, deps) => {
           logger: deps.logger,
         }),
   );
+};
+
+const buildCompareSummary = (results, startedAt) => {
+  const succeeded = results.filter(
+    (result) => result.status === 'success',
+  ).length;
+  return {
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    durationMs: Date.now() - startedAt,
+  };
+};
 
+const runCompare = async (request, deps) => {
+  const timeoutMs = resolveCompareTimeout(request);
+  const providerAvailability = buildProviderAvailability(request, deps);
+  const tasks = await createCompareTasks(
+    request,
+    { ...deps, providerAvailability },
+    timeoutMs,
+  );
   const results = await Promise.all(tasks);
   return {
-    request: {
-      prompt: request.prompt,
-      imageUrl: request.imageUrl,
-      providers: request.providers,
-      timeoutMs,
-      unsupportedProviders: request.unsupportedProviders,
-    },
+    request: buildRequestMetadata(request, timeoutMs, providerAvailability),
     results,
   };
 };
 
+const streamCompare = async (request, deps, onEvent) => {
+  const startedAt = Date.now();
+  const timeoutMs = resolveCompareTimeout(request);
+  const providerAvailability = buildProviderAvailability(request, deps);
+  onEvent(
+    'request',
+    buildRequestMetadata(request, timeoutMs, providerAvailability),
+  );
+
+  const tasks = await createCompareTasks(
+    request,
+    { ...deps, providerAvailability },
+    timeoutMs,
+  );
+  const results = await Promise.all(
+    tasks.map((task) =>
+      task.then((result) => {
+        onEvent('result', result);
+        return result;
+      }),
+    ),
+  );
+
+  onEvent('summary', buildCompareSummary(results, startedAt));
+  return results;
+};
+
 module.exports = {
   SUPPORTED_PROVIDERS,
+  prepareImagePayloads,
+  getImageUnsupportedMessage,
+  extractDeepSeekText,
+  extractAnthropicText,
   parseCompareRequest,
   runCompare,
+  streamCompare,
 };
@@ -0,0 +1,126 @@
+const { hasImageContent } = require('./chat');
+const { getErrorStatus, getRetryableReason } = require('./retry');
+
+const isObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const parseFailoverChains = (
+  value,
+  { supportedProviders = [], logger } = {},
+) => {
+  const raw = typeof value === 'string' ? value.trim() : '';
+  if (!raw) return {};
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    logger?.error?.(
+      'PROVIDER_FAILOVER_CHAINS is not valid JSON:',
+      error.message,
+    );
+    return {};
+  }
+  if (!isObject(parsed)) {
+    logger?.error?.(
+      'PROVIDER_FAILOVER_CHAINS must be a JSON object keyed by provider.',
+    );
+    return {};
+  }
+
+  const chains = {};
+  Object.entries(parsed).forEach(([primary, fallbacks]) => {
+    const provider = primary.toLowerCase().trim();
+    if (!supportedProviders.includes(provider) || !Array.isArray(fallbacks)) {
+      logger?.warn?.(
+        `Ignoring PROVIDER_FAILOVER_CHAINS entry for "${primary}": expected a supported provider mapped to an array of providers.`,
+      );
+      return;
+    }
+    const chain = [];
+    fallbacks.forEach((fallback) => {
+      const name = String(fallback).toLowerCase().trim();
+      if (!supportedProviders.includes(name)) {
+        logger?.warn?.(
+          `Ignoring unknown fallback provider "${fallback}" for "${provider}".`,
+        );
+        return;
+      }
+      if (name !== provider && !chain.includes(name)) chain.push(name);
+    });
+    if (chain.length) chains[provider] = chain;
+  });
+  return chains;
+};
+
+const createFailoverService = ({ chatService, chains, logger }) => {
+  const getChain = (provider) => [provider, ...(chains[provider] || [])];
+
+  const canServe = (provider, request) =>
+    chatService.isAvailable(provider) &&
+    (provider === request.provider ||
+      chatService.supportsImages(provider) ||
+      !hasImageContent(request.messages));
+
+  // The requested model only applies to the primary provider; fallbacks run
+  // on their configured default model.
+  const toAttemptRequest = (request, provider) => {
+    if (provider === request.provider) return request;
+    const { model, ...options } = request.options || {};
+    return { ...request, provider, options };
+  };
+
+  const complete = async (request, { failover = true } = {}) => {
+    const providers = failover
+      ? getChain(request.provider)
+      : [request.provider];
+    const candidates = providers.filter((provider) =>
+      canServe(provider, request),
+    );
+    const failedAttempts = [];
+
+    for (const [index, provider] of candidates.entries()) {
+      const attemptRequest = toAttemptRequest(request, provider);
+      const startedAt = Date.now();
+      try {
+        const result = await chatService.complete(attemptRequest);
+        if (failedAttempts.length) {
+          logger?.warn?.(
+            `Served ${request.provider} request with fallback provider ${provider}`,
+          );
+        }
+        return { ...result, failedAttempts };
+      } catch (error) {
+        const reason = getRetryableReason(error);
+        if (reason) {
+          failedAttempts.push({
+            provider,
+            model:
+              attemptRequest.options?.model || chatService.getModel(provider),
+            reason,
+            status: getErrorStatus(error),
+            latencyMs: Date.now() - startedAt,
+          });
+        }
+        const outOfTime = request.deadline && Date.now() >= request.deadline;
+        if (!reason || outOfTime || index === candidates.length - 1) {
+          if (candidates.length > 1) error.failedAttempts = failedAttempts;
+          throw error;
+        }
+        logger?.warn?.(
+          `${chatService.getLabel(provider)} attempt failed (${reason}); trying ${candidates[index + 1]}`,
+        );
+      }
+    }
+
+    // Only reachable when the primary provider itself cannot be called.
+    return chatService.complete(request);
+  };
+
+  return { getChain, complete };
+};
+
+module.exports = {
+  parseFailoverChains,
+  createFailoverService,
+};
@@ -0,0 +1,95 @@
+const DEFAULT_OUTPUT_LANGUAGES = ['en'];
+
+const canonicalizeLanguage = (value) => {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  try {
+    return Intl.getCanonicalLocales(value.trim())[0] || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const parseLanguageConfig = (env = process.env, logger) => {
+  const raw = String(env.TRANSCRIPT_OUTPUT_LANGUAGES || '').trim();
+  const supported = [];
+  raw
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const language = canonicalizeLanguage(entry);
+      if (!language) {
+        logger?.warn?.(
+          `Ignoring TRANSCRIPT_OUTPUT_LANGUAGES entry "${entry}": not a valid BCP-47 tag.`,
+        );
+        return;
+      }
+      if (!supported.includes(language)) supported.push(language);
+    });
+  if (supported.length === 0) supported.push(...DEFAULT_OUTPUT_LANGUAGES);
+
+  const requestedDefault = canonicalizeLanguage(
+    env.TRANSCRIPT_DEFAULT_LANGUAGE,
+  );
+  if (
+    env.TRANSCRIPT_DEFAULT_LANGUAGE &&
+    !supported.includes(requestedDefault)
+  ) {
+    logger?.warn?.(
+      `TRANSCRIPT_DEFAULT_LANGUAGE "${env.TRANSCRIPT_DEFAULT_LANGUAGE}" is not in TRANSCRIPT_OUTPUT_LANGUAGES; using "${supported[0]}".`,
+    );
+  }
+  return {
+    supported,
+    defaultLanguage: supported.includes(requestedDefault)
+      ? requestedDefault
+      : supported[0],
+  };
+};
+
+// Exact match first, then the primary subtag, so "es-MX" is served as "es"
+// when only "es" is configured. The reverse is not done: a regional variant
+// is only used when it was asked for.
+const resolveLanguage = (value, config) => {
+  if (value === undefined || value === null || value === '') {
+    return { language: config.defaultLanguage };
+  }
+  const language = canonicalizeLanguage(value);
+  if (!language) {
+    return { error: '"language" must be a valid BCP-47 language tag.' };
+  }
+  const match =
+    config.supported.find(
+      (entry) => entry.toLowerCase() === language.toLowerCase(),
+    ) ||
+    config.supported.find(
+      (entry) => entry.toLowerCase() === language.split('-')[0].toLowerCase(),
+    );
+  if (!match) {
+    return {
+      error: `Unsupported language "${value}". Supported languages: ${config.supported.join(', ')}.`,
+    };
+  }
+  return { language: match };
+};
+
+const getLanguageName = (language) => {
+  try {
+    return (
+      new Intl.DisplayNames(['en'], { type: 'language' }).of(language) ||
+      language
+    );
+  } catch (error) {
+    return language;
+  }
+};
+
+const buildLanguageInstruction = (language) =>
+  `Write your entire response in ${getLanguageName(language)} (${language}), including any headings, titles and tags, whatever the language of the transcript.`;
+
+module.exports = {
+  canonicalizeLanguage,
+  parseLanguageConfig,
+  resolveLanguage,
+  buildLanguageInstruction,
+};
@@ -0,0 +1,93 @@
+const { toUsageKeyId } = require('./usage');
+
+const isObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const toModelList = (value) =>
+  Array.isArray(value)
+    ? value
+        .filter((model) => typeof model === 'string')
+        .map((model) => model.trim())
+        .filter(Boolean)
+    : [];
+
+const toProviderModelMap = (value) => {
+  if (!isObject(value)) return {};
+  return Object.fromEntries(
+    Object.entries(value).map(([provider, models]) => [
+      provider.toLowerCase().trim(),
+      toModelList(models),
+    ]),
+  );
+};
+
+const parseModelAllowlist = (value, logger) => {
+  const empty = { defaults: {}, keys: {} };
+  const raw = typeof value === 'string' ? value.trim() : '';
+  if (!raw) return empty;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    logger?.error?.('MODEL_ALLOWLIST is not valid JSON:', error.message);
+    return empty;
+  }
+  if (!isObject(parsed)) {
+    logger?.error?.('MODEL_ALLOWLIST must be a JSON object.');
+    return empty;
+  }
+
+  const keys = isObject(parsed.keys)
+    ? Object.fromEntries(
+        Object.entries(parsed.keys).map(([key, scope]) => [
+          key,
+          toProviderModelMap(scope),
+        ]),
+      )
+    : {};
+  return { defaults: toProviderModelMap(parsed.default), keys };
+};
+
+const createModelPolicy = ({ allowlist, defaultModels, accessKeys = [] }) => {
+  // Key scopes may be written with the raw access key or its usage keyId.
+  const keyScopes = {};
+  Object.entries(allowlist.keys).forEach(([key, scope]) => {
+    const keyId = accessKeys.includes(key) ? toUsageKeyId(key) : key;
+    keyScopes[keyId] = scope;
+  });
+
+  const getAllowedModels = (provider, keyId) => {
+    const scoped = keyScopes[keyId]?.[provider];
+    const configured = scoped || allowlist.defaults[provider] || [];
+    return [...new Set([defaultModels[provider], ...configured])].filter(
+      Boolean,
+    );
+  };
+
+  const resolveModel = ({ provider, requestedModel, keyId }) => {
+    if (requestedModel === undefined || requestedModel === null) {
+      return { model: defaultModels[provider] };
+    }
+    if (typeof requestedModel !== 'string' || !requestedModel.trim()) {
+      return { error: '"model" must be a non-empty string when provided.' };
+    }
+
+    const model = requestedModel.trim();
+    const allowedModels = getAllowedModels(provider, keyId);
+    if (!allowedModels.includes(model)) {
+      return {
+        error: `Model "${model}" is not allowed for provider "${provider}".`,
+        allowedModels,
+      };
+    }
+    return { model };
+  };
+
+  return { getAllowedModels, resolveModel };
+};
+
+module.exports = {
+  parseModelAllowlist,
+  createModelPolicy,
+};
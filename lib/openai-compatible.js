@@ -0,0 +1,175 @@
+const axios = require('axios');
+
+const PROVIDER_NAME_PATTERN = /^[a-z][a-z0-9-]{0,31}$/;
+const DEFAULT_REQUEST_TIMEOUT_MS = 60000;
+
+const isObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const toSafeString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const toPositiveInt = (value, fallback) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.floor(n);
+};
+
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+const buildChatCompletionsUrl = (baseUrl) =>
+  `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+const parseProviderEntry = (entry, { env, reservedNames }) => {
+  if (!isObject(entry)) {
+    return { error: 'entry must be an object' };
+  }
+
+  const name = toSafeString(entry.name).toLowerCase();
+  if (!PROVIDER_NAME_PATTERN.test(name)) {
+    return {
+      error: `"name" must match ${PROVIDER_NAME_PATTERN} (got "${entry.name}")`,
+    };
+  }
+  if (reservedNames.includes(name)) {
+    return { error: `"${name}" is reserved for a built-in provider` };
+  }
+
+  const baseUrl = toSafeString(entry.baseUrl);
+  if (!isHttpUrl(baseUrl)) {
+    return { error: `"baseUrl" for "${name}" must be an http(s) URL` };
+  }
+
+  const model = toSafeString(entry.model);
+  if (!model) {
+    return { error: `"model" is required for "${name}"` };
+  }
+
+  const apiKeyEnv = toSafeString(entry.apiKeyEnv);
+  const apiKey = toSafeString(entry.apiKey) || toSafeString(env[apiKeyEnv]);
+
+  return {
+    provider: {
+      name,
+      label: toSafeString(entry.label) || name,
+      baseUrl,
+      model,
+      apiKey,
+      timeoutMs: toPositiveInt(entry.timeoutMs, DEFAULT_REQUEST_TIMEOUT_MS),
+      supportsImages: entry.supportsImages === true,
+      supportsJsonMode: entry.supportsJsonMode === true,
+    },
+  };
+};
+
+const parseOpenAiCompatibleProviders = (
+  value,
+  { env = process.env, reservedNames = [], logger } = {},
+) => {
+  const raw = toSafeString(value);
+  if (!raw) return [];
+
+  let entries;
+  try {
+    entries = JSON.parse(raw);
+  } catch (error) {
+    logger?.error?.(
+      'OPENAI_COMPATIBLE_PROVIDERS is not valid JSON:',
+      error.message,
+    );
+    return [];
+  }
+
+  if (!Array.isArray(entries)) {
+    logger?.error?.('OPENAI_COMPATIBLE_PROVIDERS must be a JSON array.');
+    return [];
+  }
+
+  const providers = [];
+  entries.forEach((entry, index) => {
+    const parsed = parseProviderEntry(entry, { env, reservedNames });
+    if (parsed.error) {
+      logger?.warn?.(
+        `Skipping OpenAI-compatible provider at index ${index}: ${parsed.error}`,
+      );
+      return;
+    }
+    if (providers.some((provider) => provider.name === parsed.provider.name)) {
+      logger?.warn?.(
+        `Skipping duplicate OpenAI-compatible provider "${parsed.provider.name}"`,
+      );
+      return;
+    }
+    providers.push(parsed.provider);
+  });
+
+  return providers;
+};
+
+// The API key stays in this closure: clients are passed around and logged,
+// so only the non-secret settings are exposed.
+const createOpenAiCompatibleClient = (config) => {
+  const url = buildChatCompletionsUrl(config.baseUrl);
+  const buildHeaders = (accept) => ({
+    'Content-Type': 'application/json',
+    Accept: accept,
+    ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}),
+  });
+  const buildPayload = (
+    modelMessages,
+    maxTokens,
+    { temperature = 0.5, topP, model = config.model, responseFormat } = {},
+  ) => ({
+    model,
+    messages: modelMessages,
+    max_tokens: maxTokens,
+    temperature,
+    ...(topP !== undefined ? { top_p: topP } : {}),
+    ...(responseFormat && config.supportsJsonMode
+      ? { response_format: { type: 'json_object' } }
+      : {}),
+  });
+
+  return {
+    name: config.name,
+    label: config.label,
+    baseUrl: config.baseUrl,
+    model: config.model,
+    supportsImages: config.supportsImages,
+    call: async (modelMessages, maxTokens = 1024, generationOptions) =>
+      axios.post(
+        url,
+        buildPayload(modelMessages, maxTokens, generationOptions),
+        {
+          headers: buildHeaders('application/json'),
+          timeout: generationOptions?.timeoutMs || config.timeoutMs,
+        },
+      ),
+    stream: async (modelMessages, maxTokens = 1024, generationOptions) =>
+      axios.post(
+        url,
+        {
+          ...buildPayload(modelMessages, maxTokens, generationOptions),
+          stream: true,
+          stream_options: { include_usage: true },
+        },
+        {
+          headers: buildHeaders('text/event-stream'),
+          timeout: generationOptions?.timeoutMs || config.timeoutMs,
+          responseType: 'stream',
+        },
+      ),
+  };
+};
+
+module.exports = {
+  buildChatCompletionsUrl,
+  parseOpenAiCompatibleProviders,
+  createOpenAiCompatibleClient,
+};
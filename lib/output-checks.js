@@ -0,0 +1,330 @@
+const { TAG_LIMITS, parseStructuredTags } = require('./tags');
+
+const HEADING_PATTERN = /^\s*(?:[-*]\s+)?#{1,6}\s+(.+?)\s*$/;
+const ITEM_PATTERN = /^ ?(?:\d+[.)]|[-*•])\s+(.+)$/;
+
+const normalizeTitle = (title) =>
+  title.replace(/[*_]/g, '').replace(/:$/, '').trim().toLowerCase();
+
+const countWords = (text) =>
+  text.replace(/[*_`]/g, '').split(/\s+/).filter(Boolean).length;
+
+// Splits Markdown into heading sections. A heading written as
+// "## Title: text" keeps the text after the colon as the section's first line.
+const parseSections = (text) => {
+  const sections = [];
+  let current = { title: null, lines: [] };
+  String(text || '')
+    .split('\n')
+    .forEach((line) => {
+      const match = HEADING_PATTERN.exec(line);
+      if (!match) {
+        current.lines.push(line);
+        return;
+      }
+      sections.push(current);
+      const [title, ...rest] = match[1].split(':');
+      const inline = rest.join(':').trim();
+      current = { title: normalizeTitle(title), lines: inline ? [inline] : [] };
+    });
+  sections.push(current);
+  return sections.filter((section) => section.title !== null);
+};
+
+const findSection = (sections, title) =>
+  sections.find((section) => section.title === title.toLowerCase());
+
+// Maps each expected title to its section. Output written in another language
+// has translated headings, so its sections are taken in order instead.
+const locateSections = (text, titles, { byPosition }) => {
+  const sections = parseSections(text);
+  return Object.fromEntries(
+    titles.map((title, index) => [
+      title,
+      byPosition ? sections[index] : findSection(sections, title),
+    ]),
+  );
+};
+
+const listItems = (section) =>
+  section.lines
+    .map((line) => ITEM_PATTERN.exec(line))
+    .filter(Boolean)
+    .map(([, item]) => item.trim());
+
+const sectionText = (section) =>
+  section.lines
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .join(' ');
+
+const pass = (name) => ({ name, passed: true });
+const fail = (name, detail) => ({ name, passed: false, detail });
+const missing = (name, title) => fail(name, `missing "## ${title}" section`);
+
+const checkSections = (sections) => {
+  const absent = Object.keys(sections).filter((title) => !sections[title]);
+  return absent.length
+    ? fail('sections', `missing sections: ${absent.join(', ')}`)
+    : pass('sections');
+};
+
+const checkItemCount = (sections, title, name, min, max = min) => {
+  const section = sections[title];
+  if (!section) return missing(name, title);
+  const count = listItems(section).length;
+  if (count >= min && count <= max) return pass(name);
+  const expected = min === max ? `${min}` : `${min}-${max}`;
+  return fail(name, `expected ${expected} items in "${title}", got ${count}`);
+};
+
+const checkItemWords = (sections, title, name, maxWords) => {
+  const section = sections[title];
+  if (!section) return missing(name, title);
+  const tooLong = listItems(section).findIndex(
+    (item) => countWords(item) > maxWords,
+  );
+  return tooLong === -1
+    ? pass(name)
+    : fail(
+        name,
+        `item ${tooLong + 1} of "${title}" is longer than ${maxWords} words`,
+      );
+};
+
+const checkSectionWords = (sections, title, name, maxWords) => {
+  const section = sections[title];
+  if (!section) return missing(name, title);
+  const words = countWords(sectionText(section));
+  return words > 0 && words <= maxWords
+    ? pass(name)
+    : fail(name, `"${title}" has ${words} words, expected 1-${maxWords}`);
+};
+
+const checkSummary = (text, values, options) => {
+  const sections = locateSections(
+    text,
+    ['One Sentence Summary', 'Main Points', 'Takeaways'],
+    options,
+  );
+  return [
+    checkSections(sections),
+    checkSectionWords(
+      sections,
+      'One Sentence Summary',
+      'summaryWords',
+      values.summaryWords,
+    ),
+    checkItemCount(
+      sections,
+      'Main Points',
+      'mainPointCount',
+      values.mainPointCount,
+    ),
+    checkItemWords(
+      sections,
+      'Main Points',
+      'mainPointWords',
+      values.mainPointWords,
+    ),
+    checkItemCount(
+      sections,
+      'Takeaways',
+      'takeawayCount',
+      values.takeawayCount,
+    ),
+  ];
+};
+
+const checkStudyNotes = (text, values, options) => {
+  const sections = locateSections(
+    text,
+    ['Overview', 'Key Concepts', 'Notes', 'Review Questions'],
+    options,
+  );
+  return [
+    checkSections(sections),
+    checkItemCount(
+      sections,
+      'Review Questions',
+      'reviewQuestionCount',
+      values.reviewQuestionCount,
+    ),
+  ];
+};
+
+const checkTldr = (text, values) => {
+  const body = String(text || '').trim();
+  const words = countWords(body);
+  const lines = body.split('\n');
+  return [
+    words > 0 && words <= values.maxWords
+      ? pass('maxWords')
+      : fail('maxWords', `${words} words, expected 1-${values.maxWords}`),
+    body.split(/\n\s*\n/).length === 1 &&
+    !lines.some((line) => HEADING_PATTERN.test(line) || ITEM_PATTERN.test(line))
+      ? pass('singleParagraph')
+      : fail('singleParagraph', 'expected one plain paragraph'),
+  ];
+};
+
+const checkSocialThread = (text) => {
+  const posts = String(text || '')
+    .trim()
+    .split(/\n\s*\n/)
+    .map((post) => post.trim())
+    .filter(Boolean);
+  const unnumbered = posts.findIndex(
+    (post, index) => !post.startsWith(`${index + 1}/`),
+  );
+  const tooLong = posts.findIndex((post) => post.length > 280);
+  return [
+    posts.length >= 5 && posts.length <= 8
+      ? pass('postCount')
+      : fail('postCount', `expected 5-8 posts, got ${posts.length}`),
+    unnumbered === -1
+      ? pass('postNumbers')
+      : fail('postNumbers', `post ${unnumbered + 1} is not numbered in order`),
+    tooLong === -1
+      ? pass('postLength')
+      : fail('postLength', `post ${tooLong + 1} is longer than 280 characters`),
+  ];
+};
+
+const checkExecutiveBrief = (text, values, options) => {
+  const sections = locateSections(
+    text,
+    ['Bottom Line', 'Key Points', 'Implications', 'Recommended Actions'],
+    options,
+  );
+  return [
+    checkSections(sections),
+    checkItemCount(sections, 'Key Points', 'keyPointCount', 3, 5),
+    checkItemWords(sections, 'Key Points', 'keyPointWords', 25),
+    checkItemCount(sections, 'Recommended Actions', 'actionCount', 2, 3),
+  ];
+};
+
+const checkTags = (text, values) => {
+  const parsed = parseStructuredTags(text, {
+    ...TAG_LIMITS,
+    minCount: values.minTags,
+    maxCount: values.maxTags,
+  });
+  return [parsed.error ? fail('tags', parsed.error) : pass('tags')];
+};
+
+// Structural checks per prompt key, mirroring what each prompt asks for.
+// values are the rendered template variables (defaults included).
+const outputCheckers = {
+  transcript_summary: checkSummary,
+  transcript_summary_v2: checkSummary,
+  transcript_tags: checkTags,
+  transcript_study_notes: checkStudyNotes,
+  transcript_tldr: checkTldr,
+  transcript_social_thread: checkSocialThread,
+  transcript_executive_brief: checkExecutiveBrief,
+};
+
+// Returns { passed, checks: [{ name, passed, detail? }] }, or null for prompt
+// keys without structural checks. language is the BCP-47 output language.
+const checkOutput = (promptKey, text, values = {}, { language } = {}) => {
+  const checker = outputCheckers[promptKey];
+  if (!checker) return null;
+  const checks = checker(text, values, {
+    byPosition: Boolean(language) && !/^en(?:-|$)/i.test(language),
+  });
+  return { passed: checks.every((check) => check.passed), checks };
+};
+
+const toErrors = (outcome) =>
+  outcome.checks
+    .filter((check) => !check.passed)
+    .map((check) => `${check.name}: ${check.detail}`);
+
+const buildRepairMessages = (messages, reply, errors) => [
+  ...messages,
+  { role: 'assistant', content: reply || '(empty reply)' },
+  {
+    role: 'user',
+    content: `That reply does not follow the required structure:\n${errors.map((error) => `- ${error}`).join('\n')}\nRewrite it so it follows every instruction above, keeping the same content. Reply with the corrected output only.`,
+  },
+];
+
+// complete(messages) resolves to a chat result. Output that fails the checks
+// for promptKey gets one repair round-trip with the errors (unless repair is
+// false); the reply with fewer failed checks is kept. Returns the chosen
+// result, every chat result (for usage), and validation: { passed,
+// repairAttempted, errors }, which is null for prompt keys without checks.
+const completeWithValidation = async ({
+  promptKey,
+  values,
+  language,
+  messages,
+  complete,
+  repair: repairEnabled = true,
+  logger,
+}) => {
+  const first = await complete(messages);
+  const outcome = checkOutput(promptKey, first.text, values, { language });
+  if (!outcome || outcome.passed) {
+    return {
+      result: first,
+      results: [first],
+      validation: outcome && {
+        passed: true,
+        repairAttempted: false,
+        errors: [],
+      },
+    };
+  }
+
+  const errors = toErrors(outcome);
+  if (!repairEnabled) {
+    return {
+      result: first,
+      results: [first],
+      validation: { passed: false, repairAttempted: false, errors },
+    };
+  }
+  logger?.warn?.(
+    `${promptKey} output failed validation (${errors.join('; ')}); repairing`,
+  );
+  let repair;
+  try {
+    repair = await complete(buildRepairMessages(messages, first.text, errors));
+  } catch (error) {
+    logger?.warn?.(
+      `${promptKey} repair request failed; keeping the original output:`,
+      error?.message || error,
+    );
+    return {
+      result: first,
+      results: [first],
+      validation: { passed: false, repairAttempted: true, errors },
+    };
+  }
+
+  const repaired = checkOutput(promptKey, repair.text, values, { language });
+  const repairedErrors = toErrors(repaired);
+  const keepRepair = repairedErrors.length <= errors.length;
+  return {
+    result: {
+      ...(keepRepair ? repair : first),
+      latencyMs: first.latencyMs + repair.latencyMs,
+    },
+    results: keepRepair ? [repair, first] : [first, repair],
+    validation: {
+      passed: keepRepair && repaired.passed,
+      repairAttempted: true,
+      errors: keepRepair ? repairedErrors : errors,
+    },
+  };
+};
+
+module.exports = {
+  countWords,
+  parseSections,
+  checkOutput,
+  completeWithValidation,
+};
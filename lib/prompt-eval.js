@@ -0,0 +1,353 @@
+const {
+  mergeDefinitions,
+  resolveVariables,
+  renderPrompt,
+  hashPrompt,
+} = require('./prompt-variables');
+const { countWords, checkOutput } = require('./output-checks');
+
+const DEFAULT_FIXTURES_DIR = 'scripts/eval-fixtures';
+const FIXTURE_EXTENSIONS = ['.txt', '.srt', '.vtt', '.json'];
+
+const splitList = (value) =>
+  String(value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// "openai" or "openai:gpt-4o-mini"; the model defaults to the API's.
+const parseProviderSpec = (spec) => {
+  const [provider, ...model] = spec.split(':');
+  return {
+    spec,
+    provider: provider.toLowerCase(),
+    model: model.join(':') || null,
+  };
+};
+
+// "v2" names a built-in version; "candidate=prompts/summary.md" reads a
+// version that is not deployed yet from a file.
+const parseVersionSpec = (spec) => {
+  const [version, ...path] = spec.split('=');
+  return { version, file: path.join('=') || null };
+};
+
+const FLAGS = {
+  '--prompt': 'promptKey',
+  '--versions': 'versions',
+  '--providers': 'providers',
+  '--fixtures': 'fixturesDir',
+  '--variables': 'variables',
+  '--record': 'recordFile',
+  '--replay': 'replayFile',
+  '--format': 'format',
+  '--output': 'outputFile',
+};
+const SWITCHES = { '--mock': 'mock' };
+
+// Returns the options, or { error } for anything the runner cannot use.
+const parseEvalArgs = (args, { library, defaultVersions }) => {
+  const raw = {};
+  for (let idx = 0; idx < args.length; idx += 1) {
+    if (SWITCHES[args[idx]]) {
+      raw[SWITCHES[args[idx]]] = true;
+      continue;
+    }
+    const option = FLAGS[args[idx]];
+    if (!option || args[idx + 1] === undefined) {
+      return { error: `Unknown or incomplete option "${args[idx]}".` };
+    }
+    raw[option] = args[idx + 1];
+    idx += 1;
+  }
+
+  const promptKey = raw.promptKey || 'transcript_summary';
+  if (!Object.hasOwn(library, promptKey)) {
+    return { error: `Unknown prompt key "${promptKey}".` };
+  }
+  const versions = splitList(raw.versions || defaultVersions[promptKey]).map(
+    parseVersionSpec,
+  );
+  const unknown = versions.find(
+    ({ version, file }) => !file && !Object.hasOwn(library[promptKey], version),
+  );
+  if (unknown) {
+    return {
+      error: `Version "${unknown.version}" of "${promptKey}" is not built in. Use name=path to evaluate a prompt file.`,
+    };
+  }
+  const providers = splitList(raw.providers || (raw.mock ? 'mock' : '')).map(
+    parseProviderSpec,
+  );
+  if (providers.length === 0) {
+    return {
+      error: '"--providers" is required, e.g. --providers openai,deepseek.',
+    };
+  }
+  if (raw.recordFile && raw.replayFile) {
+    return { error: 'Use either --record or --replay, not both.' };
+  }
+  if (raw.mock && (raw.recordFile || raw.replayFile)) {
+    return { error: '"--mock" cannot be combined with --record or --replay.' };
+  }
+  const format = raw.format || 'markdown';
+  if (!['markdown', 'json'].includes(format)) {
+    return { error: '"--format" must be markdown or json.' };
+  }
+
+  let variables;
+  try {
+    variables = raw.variables ? JSON.parse(raw.variables) : undefined;
+  } catch (error) {
+    return { error: '"--variables" must be a JSON object.' };
+  }
+
+  return {
+    promptKey,
+    versions,
+    providers,
+    variables,
+    fixturesDir: raw.fixturesDir || DEFAULT_FIXTURES_DIR,
+    mock: Boolean(raw.mock),
+    recordFile: raw.recordFile || null,
+    replayFile: raw.replayFile || null,
+    format,
+    outputFile: raw.outputFile || null,
+  };
+};
+
+// Recordings are keyed by the rendered prompt, so editing a prompt or its
+// variables never replays an output produced for different instructions.
+const buildRecordingKey = ({ fixtureId, promptKey, promptHash, provider }) =>
+  [fixtureId, `${promptKey}@${promptHash}`, provider].join('|');
+
+// Mock outputs are built from the fixture's own words in the shape each
+// prompt key asks for, so --mock exercises the whole pipeline offline and
+// always produces the same report. Prompt keys without checks get the
+// opening words of the transcript.
+const mockOutputs = {
+  transcript_summary: (take, values) =>
+    [
+      '## One Sentence Summary',
+      take(Math.min(values.summaryWords, 12)),
+      '## Main Points',
+      ...Array.from(
+        { length: values.mainPointCount },
+        (_, index) =>
+          `${index + 1}. ${take(Math.min(values.mainPointWords, 8))}`,
+      ),
+      '## Takeaways',
+      ...Array.from(
+        { length: values.takeawayCount },
+        (_, index) => `${index + 1}. ${take(6)}`,
+      ),
+    ].join('\n'),
+  transcript_tags: (take, values) =>
+    JSON.stringify({
+      tags: Array.from(
+        { length: values.minTags },
+        (_, index) => `${take(2).slice(0, 30)} ${index + 1}`,
+      ),
+    }),
+  transcript_study_notes: (take, values) =>
+    [
+      '## Overview',
+      take(20),
+      '## Key Concepts',
+      `- ${take(4)}`,
+      '## Notes',
+      `1. ${take(12)}`,
+      '## Review Questions',
+      ...Array.from(
+        { length: values.reviewQuestionCount },
+        (_, index) => `${index + 1}. ${take(6)}?`,
+      ),
+    ].join('\n'),
+  transcript_tldr: (take, values) => take(Math.min(values.maxWords, 40)),
+  transcript_social_thread: (take) =>
+    Array.from({ length: 5 }, (_, index) => `${index + 1}/ ${take(12)}`).join(
+      '\n\n',
+    ),
+  transcript_executive_brief: (take) =>
+    [
+      '## Bottom Line',
+      take(20),
+      '## Key Points',
+      ...Array.from({ length: 3 }, (_, index) => `${index + 1}. ${take(10)}`),
+      '## Implications',
+      take(20),
+      '## Recommended Actions',
+      ...Array.from({ length: 2 }, (_, index) => `${index + 1}. ${take(8)}`),
+    ].join('\n'),
+};
+mockOutputs.transcript_summary_v2 = mockOutputs.transcript_summary;
+
+// A complete() for runPromptEval that never calls a provider. values are the
+// resolved template variables, as passed to runPromptEval.
+const createMockCompletion =
+  ({ promptKey, values }) =>
+  async ({ messages }) => {
+    const words = String(messages[messages.length - 1].content || '')
+      .split(/\s+/)
+      .filter(Boolean);
+    let next = 0;
+    const take = (count) =>
+      Array.from({ length: count }, () => {
+        const word = words.length ? words[next % words.length] : 'transcript';
+        next += 1;
+        return word;
+      }).join(' ');
+    const build = mockOutputs[promptKey] || (() => take(40));
+    return build(take, values);
+  };
+
+// Runs every fixture through every version on every provider, one call at a
+// time. complete({ provider, model, messages, recordingKey }) resolves to the
+// output text. Returns one result per run; failed calls keep their error.
+const runPromptEval = async ({
+  promptKey,
+  versions,
+  providers,
+  fixtures,
+  definitions,
+  values,
+  complete,
+  logger,
+}) => {
+  const results = [];
+  for (const fixture of fixtures) {
+    for (const { version, template } of versions) {
+      const prompt = renderPrompt(template, definitions, values);
+      const promptHash = hashPrompt(prompt);
+      for (const { spec, provider, model } of providers) {
+        const run = {
+          fixture: fixture.id,
+          version,
+          provider: spec,
+          promptHash,
+        };
+        try {
+          const text = await complete({
+            provider,
+            model,
+            messages: [
+              { role: 'system', content: prompt },
+              { role: 'user', content: fixture.transcript },
+            ],
+            recordingKey: buildRecordingKey({
+              fixtureId: fixture.id,
+              promptKey,
+              promptHash,
+              provider: spec,
+            }),
+          });
+          const outcome = checkOutput(promptKey, text, values);
+          results.push({
+            ...run,
+            words: countWords(text || ''),
+            passed: outcome ? outcome.passed : null,
+            checks: outcome ? outcome.checks : [],
+            text,
+          });
+        } catch (error) {
+          logger?.warn?.(
+            `Eval run ${fixture.id} ${version} ${spec} failed: ${error?.message || error}`,
+          );
+          results.push({ ...run, error: error?.message || String(error) });
+        }
+      }
+    }
+  }
+  return results;
+};
+
+// One row per version and provider: pass rate, failures per check and mean
+// output length, so versions can be compared side by side.
+const summarizePromptEval = ({ promptKey, versions, providers, results }) => ({
+  promptKey,
+  rows: versions.flatMap(({ version }) =>
+    providers.map(({ spec }) => {
+      const runs = results.filter(
+        (result) => result.version === version && result.provider === spec,
+      );
+      const completed = runs.filter((result) => !result.error);
+      const failures = {};
+      completed.forEach((result) =>
+        result.checks
+          .filter((check) => !check.passed)
+          .forEach((check) => {
+            failures[check.name] = (failures[check.name] || 0) + 1;
+          }),
+      );
+      return {
+        version,
+        provider: spec,
+        runs: runs.length,
+        passed: completed.filter((result) => result.passed).length,
+        errors: runs.length - completed.length,
+        failures,
+        meanWords: completed.length
+          ? Math.round(
+              completed.reduce((sum, result) => sum + result.words, 0) /
+                completed.length,
+            )
+          : null,
+      };
+    }),
+  ),
+  results: results.map(({ text, ...result }) => result),
+});
+
+const formatPromptEvalReport = (report) => {
+  const lines = [
+    `# Prompt evaluation: ${report.promptKey}`,
+    '',
+    '| Version | Provider | Passed | Errors | Mean words | Failed checks |',
+    '| --- | --- | --- | --- | --- | --- |',
+    ...report.rows.map((row) => {
+      const failed = Object.entries(row.failures)
+        .map(([name, count]) => `${name} (${count})`)
+        .join(', ');
+      return `| ${row.version} | ${row.provider} | ${row.passed}/${row.runs - row.errors} | ${row.errors} | ${row.meanWords ?? '-'} | ${failed || '-'} |`;
+    }),
+  ];
+  const failing = report.results.filter(
+    (result) => result.error || result.passed === false,
+  );
+  if (failing.length) {
+    lines.push('', '## Failures', '');
+    failing.forEach((result) => {
+      const reasons = result.error
+        ? [result.error]
+        : result.checks
+            .filter((check) => !check.passed)
+            .map((check) => `${check.name}: ${check.detail}`);
+      lines.push(
+        `- ${result.fixture} / ${result.version} / ${result.provider}: ${reasons.join('; ')}`,
+      );
+    });
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+// Validates --variables against the prompt's declarations and fills in the
+// defaults, exactly as the routes do.
+const resolveEvalVariables = (promptVariables, promptKey, input) => {
+  const definitions = mergeDefinitions(promptVariables, [promptKey]);
+  const resolved = resolveVariables(definitions, input);
+  return resolved.error
+    ? { error: resolved.error }
+    : { definitions, values: resolved.values };
+};
+
+module.exports = {
+  DEFAULT_FIXTURES_DIR,
+  FIXTURE_EXTENSIONS,
+  parseEvalArgs,
+  buildRecordingKey,
+  createMockCompletion,
+  resolveEvalVariables,
+  runPromptEval,
+  summarizePromptEval,
+  formatPromptEvalReport,
+};
@@ -0,0 +1,441 @@
+const crypto = require('crypto');
+const {
+  findUndeclaredPlaceholder,
+  describeDefinitions,
+} = require('./prompt-variables');
+
+const PROMPTS_COLLECTION = 'prompts';
+const VERSION_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const MAX_PROMPT_LENGTH = 20_000;
+const ROLLOUT_BUCKETS = 10_000;
+
+const isObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Versions are keys of plain objects, so names inherited from
+// Object.prototype ("constructor", "__proto__") are not valid versions.
+const isVersionName = (value) =>
+  typeof value === 'string' &&
+  VERSION_PATTERN.test(value) &&
+  !(value in Object.prototype);
+
+const toPositiveInt = (value, fallback) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.floor(n);
+};
+
+const toIsoString = (value) => {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : value;
+  return date instanceof Date ? date.toISOString() : String(value);
+};
+
+// A rollout maps versions to the percentage of traffic they receive; the
+// rest is served the active version.
+const validateRollout = (rollout, hasVersion) => {
+  if (!isObject(rollout)) {
+    return {
+      error: '"rollout" must be an object mapping versions to percentages.',
+    };
+  }
+  let total = 0;
+  for (const [version, percent] of Object.entries(rollout)) {
+    if (!hasVersion(version)) {
+      return { error: `Rollout version "${version}" does not exist.` };
+    }
+    if (
+      typeof percent !== 'number' ||
+      !Number.isFinite(percent) ||
+      percent <= 0 ||
+      percent > 100
+    ) {
+      return {
+        error: `Rollout percentage for "${version}" must be a number above 0 and at most 100.`,
+      };
+    }
+    total += percent;
+  }
+  if (total > 100) {
+    return { error: 'Rollout percentages must add up to at most 100.' };
+  }
+  return { rollout: { ...rollout } };
+};
+
+// PROMPT_ROLLOUTS: {"transcript_summary": {"v2": 10}}, limited to built-in
+// versions. A rollout stored in the registry replaces the one set here.
+const parsePromptRollouts = (value, { library, logger } = {}) => {
+  const raw = typeof value === 'string' ? value.trim() : '';
+  if (!raw) return {};
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    logger?.error?.('PROMPT_ROLLOUTS is not valid JSON:', error.message);
+    return {};
+  }
+  if (!isObject(parsed)) {
+    logger?.error?.('PROMPT_ROLLOUTS must be a JSON object keyed by prompt.');
+    return {};
+  }
+
+  const rollouts = {};
+  Object.entries(parsed).forEach(([promptKey, rollout]) => {
+    if (!Object.hasOwn(library, promptKey)) {
+      logger?.warn?.(
+        `Ignoring PROMPT_ROLLOUTS entry for unknown prompt "${promptKey}".`,
+      );
+      return;
+    }
+    const validated = validateRollout(rollout, (version) =>
+      Object.hasOwn(library[promptKey], version),
+    );
+    if (validated.error) {
+      logger?.warn?.(
+        `Ignoring PROMPT_ROLLOUTS entry for "${promptKey}": ${validated.error}`,
+      );
+      return;
+    }
+    rollouts[promptKey] = validated.rollout;
+  });
+  return rollouts;
+};
+
+const parsePromptRegistryConfig = (env = process.env, { library, logger }) => ({
+  cacheTtlMs: toPositiveInt(env.PROMPT_CACHE_TTL_MS, 30_000),
+  rollouts: parsePromptRollouts(env.PROMPT_ROLLOUTS, { library, logger }),
+});
+
+const parseCreateVersionRequest = (body) => {
+  if (typeof body?.prompt !== 'string' || !body.prompt.trim()) {
+    return { error: '"prompt" is required and must be a non-empty string.' };
+  }
+  if (body.prompt.length > MAX_PROMPT_LENGTH) {
+    return {
+      error: `"prompt" must be at most ${MAX_PROMPT_LENGTH} characters.`,
+    };
+  }
+  if (body.version !== undefined && !isVersionName(body.version)) {
+    return {
+      error:
+        '"version" must be 1-32 letters, digits, "_" or "-" (and not a reserved name) when provided.',
+    };
+  }
+  if (body.activate !== undefined && typeof body.activate !== 'boolean') {
+    return { error: '"activate" must be a boolean when provided.' };
+  }
+  return {
+    prompt: body.prompt.trim(),
+    version: body.version,
+    activate: body.activate === true,
+  };
+};
+
+// Next "v<n>" after every numbered version stored or built in.
+const nextVersion = (versions) => {
+  const highest = versions.reduce((max, version) => {
+    const match = /^v(\d+)$/.exec(version);
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0);
+  return `v${highest + 1}`;
+};
+
+// Stable bucket per prompt key and subject, so a caller keeps its variant for
+// as long as the rollout is unchanged.
+const toRolloutBucket = (promptKey, subject) =>
+  parseInt(
+    crypto
+      .createHash('sha256')
+      .update(`${promptKey}\n${subject}`)
+      .digest('hex')
+      .slice(0, 8),
+    16,
+  ) % ROLLOUT_BUCKETS;
+
+// Versions are taken in name order, so the split does not depend on the
+// order the rollout object was written in.
+const pickRolloutVersion = (rollout, bucket) => {
+  let upper = 0;
+  for (const version of Object.keys(rollout).sort()) {
+    upper += Math.round((rollout[version] * ROLLOUT_BUCKETS) / 100);
+    if (bucket < upper) return version;
+  }
+  return null;
+};
+
+// Prompts live in Firestore as prompts/{promptKey}:
+//   { activeVersion, rollout, versions: { [version]: { prompt, createdAt } } }
+// library holds the built-in versions and defaultVersions the version chosen
+// by PROMPT_VERSION_* at startup. A stored activeVersion wins over the
+// default, and may point at a built-in version. Resolutions are cached for
+// cacheTtlMs, so a promotion reaches every instance within that window.
+const createPromptRegistry = ({
+  db,
+  library,
+  variables = {},
+  defaultVersions,
+  config,
+  logger,
+  now = () => new Date(),
+}) => {
+  const cache = new Map();
+  const promptsRef = () => db.collection(PROMPTS_COLLECTION);
+
+  const isKnownKey = (promptKey) => Object.hasOwn(library, promptKey);
+
+  const builtinTexts = (promptKey) =>
+    Object.fromEntries(
+      Object.entries(library[promptKey]).map(([version, prompt]) => [
+        version,
+        { prompt, source: 'builtin' },
+      ]),
+    );
+
+  const builtinState = (promptKey) => ({
+    activeVersion: defaultVersions[promptKey],
+    rollout: config.rollouts[promptKey] || {},
+    texts: builtinTexts(promptKey),
+  });
+
+  const load = async (promptKey) => {
+    if (!db) return builtinState(promptKey);
+    let stored;
+    try {
+      const snap = await promptsRef().doc(promptKey).get();
+      stored = snap.exists ? snap.data() : {};
+    } catch (error) {
+      logger?.warn?.(
+        `Prompt registry read failed for "${promptKey}"; using the built-in prompt:`,
+        error?.message || error,
+      );
+      return builtinState(promptKey);
+    }
+
+    const texts = builtinTexts(promptKey);
+    Object.entries(stored.versions || {}).forEach(([version, entry]) => {
+      if (entry?.prompt) {
+        texts[version] = { prompt: entry.prompt, source: 'firestore' };
+      }
+    });
+    let activeVersion = stored.activeVersion || defaultVersions[promptKey];
+    if (!Object.hasOwn(texts, activeVersion)) {
+      logger?.warn?.(
+        `Active version "${activeVersion}" of "${promptKey}" does not exist; using the built-in prompt.`,
+      );
+      activeVersion = defaultVersions[promptKey];
+    }
+    const rollout = Object.fromEntries(
+      Object.entries(stored.rollout || config.rollouts[promptKey] || {}).filter(
+        ([version]) => Object.hasOwn(texts, version),
+      ),
+    );
+    return { activeVersion, rollout, texts };
+  };
+
+  const getState = (promptKey) => {
+    const at = now().getTime();
+    const cached = cache.get(promptKey);
+    if (cached && cached.expiresAt > at) return cached.value;
+    const value = load(promptKey);
+    cache.set(promptKey, { value, expiresAt: at + config.cacheTtlMs });
+    return value;
+  };
+
+  // Resolves to { prompt, version, source, assignment }. assignment is
+  // "forced" for an explicit version, "rollout" when the subject's bucket
+  // falls in the rollout, and "active" otherwise; without a subject the
+  // active version is served. Resolves to null only for a forced version that
+  // does not exist. Registry failures fall back to the built-in library.
+  const resolvePrompt = async (promptKey, { subject, version } = {}) => {
+    if (!isKnownKey(promptKey)) {
+      throw new Error(`Unknown prompt key: ${promptKey}`);
+    }
+    const state = await getState(promptKey);
+    const serve = (served, assignment) => ({
+      ...state.texts[served],
+      version: served,
+      assignment,
+    });
+    if (version !== undefined) {
+      return Object.hasOwn(state.texts, version)
+        ? serve(version, 'forced')
+        : null;
+    }
+    const rolloutVersion =
+      subject === undefined
+        ? null
+        : pickRolloutVersion(
+            state.rollout,
+            toRolloutBucket(promptKey, subject),
+          );
+    return rolloutVersion
+      ? serve(rolloutVersion, 'rollout')
+      : serve(state.activeVersion, 'active');
+  };
+
+  // versions maps prompt keys to forced versions.
+  const resolvePrompts = async (promptKeys, { subject, versions = {} } = {}) =>
+    Object.fromEntries(
+      await Promise.all(
+        promptKeys.map(async (promptKey) => [
+          promptKey,
+          await resolvePrompt(promptKey, {
+            subject,
+            version: Object.hasOwn(versions, promptKey)
+              ? versions[promptKey]
+              : undefined,
+          }),
+        ]),
+      ),
+    );
+
+  const describe = (promptKey, stored) => {
+    const storedVersions = stored.versions || {};
+    const versions = [
+      ...Object.keys(library[promptKey]).map((version) => ({
+        version,
+        source: 'builtin',
+      })),
+      ...Object.entries(storedVersions)
+        .filter(([version]) => !Object.hasOwn(library[promptKey], version))
+        .map(([version, entry]) => ({
+          version,
+          source: 'firestore',
+          createdAt: toIsoString(entry.createdAt),
+        })),
+    ];
+    return {
+      promptKey,
+      activeVersion: stored.activeVersion || defaultVersions[promptKey],
+      defaultVersion: defaultVersions[promptKey],
+      rollout: stored.rollout || config.rollouts[promptKey] || {},
+      variables: describeDefinitions(variables[promptKey] || {}),
+      versions,
+    };
+  };
+
+  const get = async (promptKey) => {
+    const snap = await promptsRef().doc(promptKey).get();
+    return describe(promptKey, snap.exists ? snap.data() : {});
+  };
+
+  const hasVersion = (promptKey, stored, version) =>
+    Object.hasOwn(stored.versions || {}, version) ||
+    Object.hasOwn(library[promptKey], version);
+
+  // Drops this instance's cached resolution once the write has committed.
+  const update = (promptKey, runner) =>
+    db.runTransaction(runner).finally(() => cache.delete(promptKey));
+
+  // The updates resolve to { status, body } for the admin routes. New versions
+  // may only use the placeholders declared for their prompt key.
+  const createVersion = async (promptKey, { prompt, version, activate }) => {
+    const undeclared = findUndeclaredPlaceholder(prompt, variables[promptKey]);
+    if (undeclared) {
+      return {
+        status: 400,
+        body: {
+          error: `Placeholder "{{${undeclared}}}" is not a declared variable of "${promptKey}".`,
+          variable: undeclared,
+        },
+      };
+    }
+    return update(promptKey, async (tx) => {
+      const ref = promptsRef().doc(promptKey);
+      const snap = await tx.get(ref);
+      const stored = snap.exists ? snap.data() : {};
+      const versions = stored.versions || {};
+      const newVersion =
+        version ||
+        nextVersion([
+          ...Object.keys(library[promptKey]),
+          ...Object.keys(versions),
+        ]);
+      if (hasVersion(promptKey, stored, newVersion)) {
+        return {
+          status: 409,
+          body: {
+            error: `Version "${newVersion}" of "${promptKey}" already exists.`,
+          },
+        };
+      }
+      const updated = {
+        ...stored,
+        versions: {
+          ...versions,
+          [newVersion]: { prompt, createdAt: now() },
+        },
+        ...(activate ? { activeVersion: newVersion } : {}),
+        updatedAt: now(),
+      };
+      tx.set(ref, updated);
+      return {
+        status: 201,
+        body: { ...describe(promptKey, updated), version: newVersion },
+      };
+    });
+  };
+
+  const promote = (promptKey, version) =>
+    update(promptKey, async (tx) => {
+      const ref = promptsRef().doc(promptKey);
+      const snap = await tx.get(ref);
+      const stored = snap.exists ? snap.data() : {};
+      if (!hasVersion(promptKey, stored, version)) {
+        return {
+          status: 404,
+          body: { error: `Version "${version}" of "${promptKey}" not found.` },
+        };
+      }
+      const previousVersion =
+        stored.activeVersion || defaultVersions[promptKey];
+      const updated = { ...stored, activeVersion: version, updatedAt: now() };
+      tx.set(ref, updated);
+      return {
+        status: 200,
+        body: { ...describe(promptKey, updated), previousVersion },
+      };
+    });
+
+  // An empty rollout sends all traffic to the active version.
+  const setRollout = (promptKey, rollout) =>
+    update(promptKey, async (tx) => {
+      const ref = promptsRef().doc(promptKey);
+      const snap = await tx.get(ref);
+      const stored = snap.exists ? snap.data() : {};
+      const validated = validateRollout(rollout, (version) =>
+        hasVersion(promptKey, stored, version),
+      );
+      if (validated.error) {
+        return { status: 400, body: { error: validated.error } };
+      }
+      const updated = {
+        ...stored,
+        rollout: validated.rollout,
+        updatedAt: now(),
+      };
+      tx.set(ref, updated);
+      return { status: 200, body: describe(promptKey, updated) };
+    });
+
+  return {
+    isKnownKey,
+    resolvePrompt,
+    resolvePrompts,
+    get,
+    createVersion,
+    promote,
+    setRollout,
+  };
+};
+
+module.exports = {
+  PROMPTS_COLLECTION,
+  VERSION_PATTERN,
+  isVersionName,
+  parsePromptRollouts,
+  parsePromptRegistryConfig,
+  parseCreateVersionRequest,
+  createPromptRegistry,
+};
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+
+const isObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const findPlaceholders = (template) => [
+  ...new Set(
+    [...template.matchAll(PLACEHOLDER_PATTERN)].map(([, name]) => name),
+  ),
+];
+
+// Placeholders with no declaration would reach the model verbatim.
+const findUndeclaredPlaceholder = (template, definitions = {}) =>
+  findPlaceholders(template).find((name) => !Object.hasOwn(definitions, name));
+
+// Merges the declarations of every prompt a request uses. Prompts that share
+// a variable name declare it identically.
+const mergeDefinitions = (definitionsByPrompt, promptKeys) =>
+  Object.assign(
+    {},
+    ...promptKeys.map((promptKey) => definitionsByPrompt[promptKey] || {}),
+  );
+
+// Public shape of the declarations, without the enum rendering text.
+const describeDefinitions = (definitions) =>
+  Object.fromEntries(
+    Object.entries(definitions).map(([name, definition]) => [
+      name,
+      {
+        type: definition.type,
+        description: definition.description,
+        default: definition.default,
+        ...(definition.type === 'enum'
+          ? { values: Object.keys(definition.values) }
+          : { min: definition.min, max: definition.max }),
+      },
+    ]),
+  );
+
+const checkValue = (name, definition, value) => {
+  const path = `"variables.${name}"`;
+  if (definition.type === 'integer') {
+    if (
+      !Number.isInteger(value) ||
+      value < definition.min ||
+      value > definition.max
+    ) {
+      return `${path} must be an integer between ${definition.min} and ${definition.max}.`;
+    }
+    return null;
+  }
+  if (typeof value !== 'string' || !Object.hasOwn(definition.values, value)) {
+    return `${path} must be one of: ${Object.keys(definition.values).join(', ')}.`;
+  }
+  return null;
+};
+
+// Validates caller values against the declarations and fills in defaults.
+// Returns { values, overrides } (overrides holds only values that differ
+// from the defaults) or { error, variable }.
+const resolveVariables = (definitions, input) => {
+  if (input !== undefined && !isObject(input)) {
+    return {
+      error: '"variables" must be an object mapping variable names to values.',
+      variable: null,
+    };
+  }
+  const provided = input || {};
+  const unknown = Object.keys(provided).find(
+    (name) => !Object.hasOwn(definitions, name),
+  );
+  if (unknown) {
+    const declared = Object.keys(definitions);
+    return {
+      error: `Unknown variable "${unknown}". ${declared.length ? `Variables for this request: ${declared.join(', ')}.` : 'This request takes no variables.'}`,
+      variable: unknown,
+    };
+  }
+
+  const values = {};
+  const overrides = {};
+  for (const [name, definition] of Object.entries(definitions)) {
+    const value = Object.hasOwn(provided, name)
+      ? provided[name]
+      : definition.default;
+    if (value === undefined) {
+      return { error: `"variables.${name}" is required.`, variable: name };
+    }
+    const error = checkValue(name, definition, value);
+    if (error) return { error, variable: name };
+    values[name] = value;
+    if (value !== definition.default) overrides[name] = value;
+  }
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    const floor = definition.atLeast;
+    if (floor && Object.hasOwn(values, floor) && values[name] < values[floor]) {
+      return {
+        error: `"variables.${name}" must be at least "variables.${floor}" (${values[floor]}).`,
+        variable: name,
+      };
+    }
+  }
+  return { values, overrides };
+};
+
+const renderValue = (definition, value) =>
+  definition.type === 'enum' ? definition.values[value] : String(value);
+
+// Values are already validated, so only integers and fixed enum texts are
+// inserted. A line holding only placeholders that render empty is dropped,
+// so optional instructions leave no blank lines behind.
+const renderPrompt = (template, definitions, values) =>
+  template
+    .split('\n')
+    .flatMap((line) => {
+      const rendered = line.replace(PLACEHOLDER_PATTERN, (match, name) =>
+        Object.hasOwn(definitions, name)
+          ? renderValue(definitions[name], values[name])
+          : match,
+      );
+      return line.trim() && !rendered.trim() ? [] : [rendered];
+    })
+    .join('\n')
+    .trim();
+
+const hashPrompt = (prompt) =>
+  crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 16);
+
+module.exports = {
+  findPlaceholders,
+  findUndeclaredPlaceholder,
+  mergeDefinitions,
+  describeDefinitions,
+  resolveVariables,
+  renderPrompt,
+  hashPrompt,
+};
@@ -0,0 +1,185 @@
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'timeout'];
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+const DEFAULT_RETRY_POLICY = {
+  maxRetries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+};
+// A retry is pointless if it cannot get at least this long to run.
+const MIN_ATTEMPT_MS = 1000;
+
+const isObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const getErrorStatus = (error) => {
+  const status = error?.response?.status ?? error?.status;
+  return Number.isInteger(status) ? status : null;
+};
+
+// Returns why a failed provider call is worth retrying, or null when the
+// error is the caller's fault (bad request, auth, validation).
+const getRetryableReason = (error) => {
+  if (error?.clientMessage) return null;
+  if (error?.code === 'circuit_open') return 'circuit_open';
+  const status = getErrorStatus(error);
+  if (status === 429) return 'rate_limited';
+  if (status !== null && status >= 500) return 'server_error';
+  if (status !== null) return null;
+  if (
+    TIMEOUT_CODES.includes(error?.code) ||
+    error?.name === 'APIConnectionTimeoutError'
+  ) {
+    return 'timeout';
+  }
+  if (
+    NETWORK_CODES.includes(error?.code) ||
+    error?.name === 'APIConnectionError'
+  ) {
+    return 'unavailable';
+  }
+  return null;
+};
+
+const getHeader = (headers, name) => {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name);
+  return headers[name];
+};
+
+const getRetryAfterMs = (error, now = Date.now()) => {
+  const headers = error?.response?.headers || error?.headers;
+  const retryAfterMs = Number(getHeader(headers, 'retry-after-ms'));
+  if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) return retryAfterMs;
+
+  const retryAfter = getHeader(headers, 'retry-after');
+  if (retryAfter === undefined || retryAfter === null || retryAfter === '') {
+    return null;
+  }
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds) && seconds >= 0) return seconds * 1000;
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+// Full-jitter exponential backoff; an upstream Retry-After is a lower bound.
+const computeRetryDelayMs = ({
+  attempt,
+  policy,
+  retryAfterMs = null,
+  random = Math.random,
+}) => {
+  const ceiling = Math.min(
+    policy.maxDelayMs,
+    policy.baseDelayMs * 2 ** attempt,
+  );
+  const backoffMs = Math.round(random() * ceiling);
+  return retryAfterMs === null ? backoffMs : Math.max(backoffMs, retryAfterMs);
+};
+
+const toNonNegativeInt = (value, fallback) =>
+  Number.isInteger(value) && value >= 0 ? value : fallback;
+
+const toRetryPolicy = (value, fallback) => ({
+  maxRetries: toNonNegativeInt(value?.maxRetries, fallback.maxRetries),
+  baseDelayMs: toNonNegativeInt(value?.baseDelayMs, fallback.baseDelayMs),
+  maxDelayMs: toNonNegativeInt(value?.maxDelayMs, fallback.maxDelayMs),
+});
+
+const parseRetryPolicies = (
+  value,
+  { supportedProviders = [], logger } = {},
+) => {
+  const raw = typeof value === 'string' ? value.trim() : '';
+  if (!raw) return { default: { ...DEFAULT_RETRY_POLICY } };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    logger?.error?.(
+      'PROVIDER_RETRY_POLICIES is not valid JSON:',
+      error.message,
+    );
+    return { default: { ...DEFAULT_RETRY_POLICY } };
+  }
+  if (!isObject(parsed)) {
+    logger?.error?.(
+      'PROVIDER_RETRY_POLICIES must be a JSON object keyed by provider.',
+    );
+    return { default: { ...DEFAULT_RETRY_POLICY } };
+  }
+
+  const defaults = toRetryPolicy(parsed.default, DEFAULT_RETRY_POLICY);
+  const policies = { default: defaults };
+  Object.entries(parsed).forEach(([key, policy]) => {
+    const provider = key.toLowerCase().trim();
+    if (provider === 'default') return;
+    if (!supportedProviders.includes(provider) || !isObject(policy)) {
+      logger?.warn?.(
+        `Ignoring PROVIDER_RETRY_POLICIES entry for "${key}": expected a supported provider mapped to an object.`,
+      );
+      return;
+    }
+    policies[provider] = toRetryPolicy(policy, defaults);
+  });
+  return policies;
+};
+
+const createRetryRunner = ({
+  policies,
+  logger,
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  now = Date.now,
+  random = Math.random,
+}) => {
+  const getPolicy = (provider) => policies[provider] || policies.default;
+
+  // Calls fn({ attempt, remainingMs }) until it succeeds, the error is not
+  // retryable, the provider's retry limit is hit, or the next attempt would
+  // not fit before the deadline.
+  const run = async (fn, { provider, label = provider, deadline } = {}) => {
+    const policy = getPolicy(provider);
+    for (let attempt = 0; ; attempt += 1) {
+      const remainingMs = deadline ? deadline - now() : null;
+      try {
+        return await fn({ attempt, remainingMs });
+      } catch (error) {
+        const reason = getRetryableReason(error);
+        if (!reason) throw error;
+
+        const status = getErrorStatus(error);
+        const delayMs = computeRetryDelayMs({
+          attempt,
+          policy,
+          retryAfterMs: getRetryAfterMs(error, now()),
+          random,
+        });
+        const fitsBudget =
+          !deadline || now() + delayMs + MIN_ATTEMPT_MS <= deadline;
+        const willRetry = attempt < policy.maxRetries && fitsBudget;
+        logger?.warn?.(
+          `${label} attempt ${attempt + 1} failed (${reason}${status ? ` ${status}` : ''}); ${
+            willRetry
+              ? `retrying in ${delayMs}ms`
+              : `giving up${fitsBudget ? '' : ' (time budget exhausted)'}`
+          }`,
+        );
+        if (!willRetry) throw error;
+        await sleep(delayMs);
+      }
+    }
+  };
+
+  return { getPolicy, run };
+};
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  getErrorStatus,
+  getRetryableReason,
+  getRetryAfterMs,
+  computeRetryDelayMs,
+  parseRetryPolicies,
+  createRetryRunner,
+};
@@ -18,6 +18,16 @@ const getRequestIp = (req) => {
   return req.ip || req.socket?.remoteAddress || 'unknown';
 };
 
+const getSuppliedAccessKey = (req) => {
+  const headerKey = req.headers?.['x-api-key'];
+  const authHeader = req.headers?.authorization;
+  const bearerToken =
+    typeof authHeader === 'string' && authHeader.startsWith('Bearer ')
+      ? authHeader.slice(7).trim()
+      : '';
+  return String(headerKey || bearerToken || '').trim();
+};
+
 const createApiAccessMiddleware = ({ keys, logger }) => {
   const allowList = Array.isArray(keys) ? keys.filter(Boolean) : [];
   if (allowList.length === 0) {
@@ -25,13 +35,7 @@ const createApiAccessMiddleware = ({ keys, logger }) => {
   }
 
   return (req, res, next) => {
-    const headerKey = req.headers?.['x-api-key'];
-    const authHeader = req.headers?.authorization;
-    const bearerToken =
-      typeof authHeader === 'string' && authHeader.startsWith('Bearer ')
-        ? authHeader.slice(7).trim()
-        : '';
-    const suppliedKey = String(headerKey || bearerToken || '').trim();
+    const suppliedKey = getSuppliedAccessKey(req);
 
     if (!suppliedKey) {
       return res.status(401).json({
@@ -47,6 +51,37 @@ const createApiAccessMiddleware = ({ keys, logger }) => {
       });
     }
 
+    req.apiAccessKey = suppliedKey;
+    return next();
+  };
+};
+
+const createAdminAccessMiddleware = ({ keys, logger }) => {
+  const allowList = Array.isArray(keys) ? keys.filter(Boolean) : [];
+
+  return (req, res, next) => {
+    if (allowList.length === 0) {
+      return res.status(503).json({
+        error: 'Admin endpoints are disabled',
+        details: 'Set ADMIN_API_KEYS to enable them.',
+      });
+    }
+
+    const suppliedKey = getSuppliedAccessKey(req);
+    if (!suppliedKey) {
+      return res.status(401).json({
+        error: 'Missing admin access key',
+        details: 'Provide X-API-Key or Authorization: Bearer <token>.',
+      });
+    }
+
+    if (!allowList.includes(suppliedKey)) {
+      logger?.warn?.('Rejected request with invalid admin access key');
+      return res.status(403).json({
+        error: 'Invalid admin access key',
+      });
+    }
+
     return next();
   };
 };
@@ -102,5 +137,6 @@ const createIpRateLimiter = ({
 module.exports = {
   parseAccessKeys,
   createApiAccessMiddleware,
+  createAdminAccessMiddleware,
   createIpRateLimiter,
 };
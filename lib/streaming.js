@@ -0,0 +1,260 @@
+const wantsEventStream = (req) => {
+  if (req?.body?.stream === true) return true;
+  const accept = req?.headers?.accept;
+  return typeof accept === 'string' && accept.includes('text/event-stream');
+};
+
+const isReadableStream = (value) =>
+  Boolean(value) &&
+  typeof value === 'object' &&
+  typeof value[Symbol.asyncIterator] === 'function' &&
+  typeof value.pipe === 'function';
+
+// Streaming axios errors carry the upstream body as a stream; buffer it so
+// getClientErrorDetails and logProviderError can read it like a normal error.
+const hydrateStreamErrorBody = async (error) => {
+  const data = error?.response?.data;
+  if (!isReadableStream(data)) return error;
+
+  let raw = '';
+  try {
+    for await (const chunk of data) {
+      raw += chunk.toString();
+    }
+  } catch {
+    // Keep whatever was buffered before the body stream failed.
+  }
+
+  try {
+    error.response.data = JSON.parse(raw);
+  } catch {
+    error.response.data = raw;
+  }
+  return error;
+};
+
+const parseSseBlock = (block) => {
+  let event = 'message';
+  const dataLines = [];
+
+  block.split(/\r?\n/).forEach((line) => {
+    if (!line || line.startsWith(':')) return;
+    const separatorIndex = line.indexOf(':');
+    const field = separatorIndex === -1 ? line : line.slice(0, separatorIndex);
+    let value = separatorIndex === -1 ? '' : line.slice(separatorIndex + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (field === 'event') event = value;
+    if (field === 'data') dataLines.push(value);
+  });
+
+  if (dataLines.length === 0) return null;
+  return { event, data: dataLines.join('\n') };
+};
+
+async function* parseSseEvents(stream) {
+  let buffer = '';
+  for await (const chunk of stream) {
+    buffer += chunk.toString();
+    let boundary = buffer.search(/\r?\n\r?\n/);
+    while (boundary !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+      const parsed = parseSseBlock(block);
+      if (parsed) yield parsed;
+      boundary = buffer.search(/\r?\n\r?\n/);
+    }
+  }
+
+  const trailing = parseSseBlock(buffer);
+  if (trailing) yield trailing;
+}
+
+const createStreamError = (message, payload) => {
+  const err = new Error(message || 'Provider stream failed');
+  err.response = { data: payload };
+  return err;
+};
+
+const parseJsonOrNull = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
+
+async function* iterateOpenAiResponsesDeltas(stream) {
+  for await (const { event, data } of parseSseEvents(stream)) {
+    const payload = parseJsonOrNull(data);
+    if (!payload) continue;
+    const type = payload.type || event;
+
+    if (type === 'response.output_text.delta') {
+      if (payload.delta) yield { type: 'delta', text: payload.delta };
+      continue;
+    }
+
+    if (type === 'response.completed' || type === 'response.incomplete') {
+      const response = payload.response || {};
+      yield {
+        type: 'done',
+        finishReason:
+          response.incomplete_details?.reason || response.status || 'completed',
+        usage: {
+          inputTokens: response.usage?.input_tokens ?? null,
+          outputTokens: response.usage?.output_tokens ?? null,
+        },
+      };
+      return;
+    }
+
+    if (type === 'response.failed' || type === 'error') {
+      const message =
+        payload.response?.error?.message ||
+        payload.error?.message ||
+        payload.message;
+      throw createStreamError(message, payload);
+    }
+  }
+}
+
+async function* iterateChatCompletionsDeltas(stream) {
+  let finishReason = null;
+  let usage = null;
+
+  for await (const { data } of parseSseEvents(stream)) {
+    if (data === '[DONE]') break;
+    const payload = parseJsonOrNull(data);
+    if (!payload) continue;
+    if (payload.error) {
+      throw createStreamError(payload.error.message, payload);
+    }
+
+    const choice = Array.isArray(payload.choices) ? payload.choices[0] : null;
+    const content = choice?.delta?.content;
+    if (typeof content === 'string' && content.length > 0) {
+      yield { type: 'delta', text: content };
+    }
+    if (choice?.finish_reason) finishReason = choice.finish_reason;
+    if (payload.usage) usage = payload.usage;
+  }
+
+  yield {
+    type: 'done',
+    finishReason,
+    usage: {
+      inputTokens: usage?.prompt_tokens ?? null,
+      outputTokens: usage?.completion_tokens ?? null,
+    },
+  };
+}
+
+async function* iterateAnthropicDeltas(events) {
+  let finishReason = null;
+  let inputTokens = null;
+  let outputTokens = null;
+
+  for await (const event of events) {
+    if (event?.type === 'message_start') {
+      inputTokens = event.message?.usage?.input_tokens ?? inputTokens;
+      outputTokens = event.message?.usage?.output_tokens ?? outputTokens;
+    } else if (
+      event?.type === 'content_block_delta' &&
+      event.delta?.type === 'text_delta' &&
+      event.delta.text
+    ) {
+      yield { type: 'delta', text: event.delta.text };
+    } else if (event?.type === 'message_delta') {
+      finishReason = event.delta?.stop_reason || finishReason;
+      outputTokens = event.usage?.output_tokens ?? outputTokens;
+    } else if (event?.type === 'error') {
+      throw createStreamError(event.error?.message, event);
+    }
+  }
+
+  yield {
+    type: 'done',
+    finishReason,
+    usage: { inputTokens, outputTokens },
+  };
+}
+
+const createSseWriter = (res) => {
+  const isClosed = () => res.writableEnded || res.destroyed;
+
+  return {
+    open: () => {
+      res.status(200);
+      res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-cache, no-transform');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('X-Accel-Buffering', 'no');
+      if (typeof res.flushHeaders === 'function') res.flushHeaders();
+    },
+    send: (event, payload) => {
+      if (isClosed()) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+    },
+    end: () => {
+      if (isClosed()) return;
+      res.end();
+    },
+  };
+};
+
+const streamDeltasAsSse = async ({
+  res,
+  provider,
+  providerLabel,
+  model,
+  openStream,
+  getClientErrorDetails,
+  onOpenError,
+  onStreamError,
+}) => {
+  let deltas;
+  try {
+    deltas = await openStream();
+  } catch (error) {
+    await hydrateStreamErrorBody(error);
+    return onOpenError(error);
+  }
+
+  const sse = createSseWriter(res);
+  sse.open();
+
+  let finishReason = null;
+  let usage = { inputTokens: null, outputTokens: null };
+  try {
+    for await (const item of deltas) {
+      if (item.type === 'delta') {
+        sse.send('delta', { text: item.text });
+      } else if (item.type === 'done') {
+        finishReason = item.finishReason;
+        usage = item.usage;
+      }
+    }
+    sse.send('done', { provider, model, finishReason, usage });
+  } catch (error) {
+    await hydrateStreamErrorBody(error);
+    if (onStreamError) onStreamError(error);
+    sse.send('error', {
+      error: `An error occurred while communicating with the ${providerLabel} API`,
+      details: getClientErrorDetails(error),
+    });
+  } finally {
+    sse.end();
+  }
+};
+
+module.exports = {
+  wantsEventStream,
+  hydrateStreamErrorBody,
+  parseSseEvents,
+  iterateOpenAiResponsesDeltas,
+  iterateChatCompletionsDeltas,
+  iterateAnthropicDeltas,
+  createSseWriter,
+  streamDeltasAsSse,
+};
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+
+const SUMMARY_CACHE_COLLECTION = 'summary_cache';
+
+const toIsoString = (value) => {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : value;
+  return date instanceof Date ? date.toISOString() : String(value);
+};
+
+// prompts maps every prompt key that shaped the output to its active version,
+// so bumping any PROMPT_VERSION_* produces a new key. The output language is
+// part of the key too, as are template variables that differ from their
+// defaults (requests using only defaults keep their existing keys).
+const buildSummaryCacheKey = ({
+  videoID,
+  prompts,
+  variables = {},
+  provider,
+  model,
+  language,
+}) => {
+  const promptParts = Object.keys(prompts)
+    .sort()
+    .map((key) => `${key}@${prompts[key]}`);
+  const variableParts = Object.keys(variables)
+    .sort()
+    .map((name) => `${name}=${variables[name]}`);
+  return crypto
+    .createHash('sha256')
+    .update(
+      [
+        videoID,
+        ...promptParts,
+        ...variableParts,
+        provider,
+        model,
+        language || '',
+      ].join('\n'),
+    )
+    .digest('hex');
+};
+
+// Firestore rejects undefined values; provider payloads are plain JSON.
+const toStorable = (value) =>
+  value === undefined ? null : JSON.parse(JSON.stringify(value));
+
+const createSummaryCache = ({ db, logger, now = () => new Date() }) => {
+  const getRef = (key) =>
+    db.collection(SUMMARY_CACHE_COLLECTION).doc(buildSummaryCacheKey(key));
+
+  // Cache failures never fail the request; they only cost a regeneration.
+  const get = async (key) => {
+    if (!db) return null;
+    try {
+      const snap = await getRef(key).get();
+      if (!snap.exists) return null;
+      const data = snap.data() || {};
+      if (!data.entry) return null;
+      return { entry: data.entry, cachedAt: toIsoString(data.createdAt) };
+    } catch (error) {
+      logger?.warn?.('Summary cache read failed:', error?.message || error);
+      return null;
+    }
+  };
+
+  const set = async (key, entry) => {
+    if (!db) return;
+    try {
+      await getRef(key).set({
+        videoID: key.videoID,
+        prompts: key.prompts,
+        variables: key.variables || {},
+        provider: key.provider,
+        model: key.model,
+        language: key.language || null,
+        entry: toStorable(entry),
+        createdAt: now(),
+      });
+    } catch (error) {
+      logger?.warn?.('Summary cache write failed:', error?.message || error);
+    }
+  };
+
+  // Entries are keyed without the transcript's content, so replacing a
+  // transcript must drop every entry for the video. Resolves to the number of
+  // entries removed; unlike reads and writes, failures reach the caller.
+  const invalidate = async (videoID) => {
+    if (!db) return 0;
+    const snap = await db
+      .collection(SUMMARY_CACHE_COLLECTION)
+      .where('videoID', '==', videoID)
+      .get();
+    await Promise.all(snap.docs.map((doc) => doc.ref.delete()));
+    return snap.docs.length;
+  };
+
+  return { get, set, invalidate };
+};
+
+module.exports = {
+  SUMMARY_CACHE_COLLECTION,
+  buildSummaryCacheKey,
+  createSummaryCache,
+};
@@ -0,0 +1,379 @@
+const crypto = require('crypto');
+const { mapWithConcurrency } = require('./transcript-chunking');
+const { computeRetryDelayMs, getRetryAfterMs } = require('./retry');
+
+const SUMMARY_JOBS_COLLECTION = 'summary_jobs';
+const SUMMARY_JOB_ITEMS_COLLECTION = 'summary_job_items';
+const SUMMARY_JOB_KINDS = ['summary', 'summary_with_tags'];
+const JOB_STATUSES = { pending: 'pending', completed: 'completed' };
+const ITEM_STATUSES = {
+  queued: 'queued',
+  running: 'running',
+  succeeded: 'succeeded',
+  failed: 'failed',
+};
+const MAX_VIDEO_ID_LENGTH = 128;
+// No item is started with less time than this left before a deadline.
+const MIN_ITEM_MS = 10_000;
+
+const toPositiveInt = (value, fallback) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.floor(n);
+};
+
+const parseSummaryJobConfig = (env = process.env) => ({
+  maxItems: toPositiveInt(env.SUMMARY_JOB_MAX_ITEMS, 100),
+  concurrency: toPositiveInt(env.SUMMARY_JOB_CONCURRENCY, 2),
+  leaseMs: toPositiveInt(env.SUMMARY_JOB_LEASE_MS, 120_000),
+  maxAttempts: toPositiveInt(env.SUMMARY_JOB_MAX_ATTEMPTS, 3),
+  retryBaseDelayMs: toPositiveInt(env.SUMMARY_JOB_RETRY_BASE_MS, 5000),
+  retryMaxDelayMs: toPositiveInt(env.SUMMARY_JOB_RETRY_MAX_MS, 300_000),
+});
+
+const toIsoString = (value) => {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : value;
+  return date instanceof Date ? date.toISOString() : String(value);
+};
+
+// Validates the job-specific fields; provider, model and language are checked
+// by the route with the same rules as the synchronous transcript routes.
+const parseSummaryJobRequest = (body, { maxItems }) => {
+  if (!Array.isArray(body?.videoIDs) || body.videoIDs.length === 0) {
+    return { error: '"videoIDs" must be a non-empty array of strings.' };
+  }
+  const invalidIndex = body.videoIDs.findIndex(
+    (videoID) =>
+      typeof videoID !== 'string' ||
+      !videoID.trim() ||
+      videoID.trim().length > MAX_VIDEO_ID_LENGTH ||
+      videoID.includes('/'),
+  );
+  if (invalidIndex !== -1) {
+    return {
+      error: `videoIDs[${invalidIndex}] must be a non-empty string of at most ${MAX_VIDEO_ID_LENGTH} characters without "/".`,
+    };
+  }
+  const videoIDs = [...new Set(body.videoIDs.map((videoID) => videoID.trim()))];
+  if (videoIDs.length > maxItems) {
+    return { error: `"videoIDs" must contain at most ${maxItems} videos.` };
+  }
+
+  const kind = body.kind ?? 'summary';
+  if (!SUMMARY_JOB_KINDS.includes(kind)) {
+    return {
+      error: `"kind" must be one of: ${SUMMARY_JOB_KINDS.join(', ')}.`,
+    };
+  }
+  return { videoIDs, kind };
+};
+
+const countItems = (items) =>
+  Object.values(ITEM_STATUSES).reduce(
+    (counts, status) => ({
+      ...counts,
+      [status]: items.filter((item) => item.status === status).length,
+    }),
+    {},
+  );
+
+// Firestore rejects undefined values; responses are plain JSON.
+const toStorable = (value) =>
+  value === undefined ? null : JSON.parse(JSON.stringify(value));
+
+// Errors worth another attempt: provider outages, rate limits, timeouts.
+// Provider failures are all 500s, so one whose body says retryable: false
+// (bad request, auth, context length) fails right away.
+const isRetryableOutcome = (statusCode, body) =>
+  (statusCode === 429 || statusCode >= 500) && body?.retryable !== false;
+
+// Minimal stand-in for an Express response, so job items run through the same
+// handlers as the synchronous routes and record what they would have sent.
+const createCapturedResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(payload) {
+      res.body = payload;
+      return res;
+    },
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+    },
+  };
+  return res;
+};
+
+// processItem({ job, item, deadline }) runs one video and resolves to
+// { statusCode, body, headers? }.
+// Items are claimed with a lease, so an item left "running" by an instance
+// that stopped is picked up again once the lease expires.
+const createSummaryJobRunner = ({
+  db,
+  config,
+  processItem,
+  logger,
+  now = () => new Date(),
+  createId = () => crypto.randomUUID(),
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  random = Math.random,
+}) => {
+  const jobsRef = () => db.collection(SUMMARY_JOBS_COLLECTION);
+  const itemsRef = () => db.collection(SUMMARY_JOB_ITEMS_COLLECTION);
+  const itemDocId = (jobId, index) => `${jobId}_${index}`;
+  const activeJobs = new Map();
+
+  const create = async ({ keyId, videoIDs, ...options }) => {
+    const jobId = createId();
+    const createdAt = now();
+    const job = {
+      keyId,
+      ...options,
+      itemCount: videoIDs.length,
+      status: JOB_STATUSES.pending,
+      createdAt,
+      updatedAt: createdAt,
+    };
+    await Promise.all(
+      videoIDs.map((videoID, index) =>
+        itemsRef().doc(itemDocId(jobId, index)).set({
+          jobId,
+          index,
+          videoID,
+          status: ITEM_STATUSES.queued,
+          attempts: 0,
+          leaseUntil: null,
+          retryAt: null,
+          updatedAt: createdAt,
+        }),
+      ),
+    );
+    // Written last: a job is only visible (and resumable) once all of its
+    // items exist.
+    await jobsRef().doc(jobId).set(job);
+    return { id: jobId, ...job };
+  };
+
+  const getItems = async (jobId) => {
+    const snap = await itemsRef().where('jobId', '==', jobId).get();
+    return snap.docs.map((doc) => doc.data()).sort((a, b) => a.index - b.index);
+  };
+
+  const get = async (jobId) => {
+    const snap = await jobsRef().doc(jobId).get();
+    if (!snap.exists) return null;
+    const job = { id: jobId, ...snap.data() };
+    return { job, items: await getItems(jobId) };
+  };
+
+  // Re-queued items wait for their retryAt backoff before another attempt.
+  const isClaimable = (item, at) =>
+    (item.status === ITEM_STATUSES.queued && (item.retryAt || 0) <= at) ||
+    (item.status === ITEM_STATUSES.running && (item.leaseUntil || 0) <= at);
+
+  const claim = (jobId, index) =>
+    db.runTransaction(async (tx) => {
+      const ref = itemsRef().doc(itemDocId(jobId, index));
+      const snap = await tx.get(ref);
+      const item = snap.data();
+      const at = now().getTime();
+      if (!snap.exists || !isClaimable(item, at)) return null;
+      const claimed = {
+        ...item,
+        status: ITEM_STATUSES.running,
+        attempts: (item.attempts || 0) + 1,
+        leaseUntil: at + config.leaseMs,
+        retryAt: null,
+        updatedAt: now(),
+      };
+      tx.set(ref, claimed);
+      return claimed;
+    });
+
+  // Same full-jitter backoff as provider retries, with the provider's
+  // Retry-After (passed through by the route) as a lower bound.
+  const getRetryAt = (item, headers) => {
+    const at = now().getTime();
+    return (
+      at +
+      computeRetryDelayMs({
+        attempt: item.attempts - 1,
+        policy: {
+          baseDelayMs: config.retryBaseDelayMs,
+          maxDelayMs: config.retryMaxDelayMs,
+        },
+        retryAfterMs: getRetryAfterMs({ headers }, at),
+        random,
+      })
+    );
+  };
+
+  const settle = async (jobId, item, { statusCode, body, headers }) => {
+    const ok = statusCode >= 200 && statusCode < 300;
+    const retry =
+      !ok &&
+      isRetryableOutcome(statusCode, body) &&
+      item.attempts < config.maxAttempts;
+    const status = ok
+      ? ITEM_STATUSES.succeeded
+      : retry
+        ? ITEM_STATUSES.queued
+        : ITEM_STATUSES.failed;
+    await itemsRef()
+      .doc(itemDocId(jobId, item.index))
+      .set({
+        ...item,
+        status,
+        leaseUntil: null,
+        retryAt:
+          status === ITEM_STATUSES.queued ? getRetryAt(item, headers) : null,
+        result: ok ? toStorable(body) : null,
+        error: ok ? null : toStorable({ statusCode, ...(body || {}) }),
+        updatedAt: now(),
+      });
+    return status;
+  };
+
+  const runItem = async (job, index, deadline) => {
+    if (deadline && deadline - now().getTime() < MIN_ITEM_MS) return;
+    const item = await claim(job.id, index);
+    if (!item) return;
+    let outcome;
+    try {
+      outcome = await processItem({ job, item, deadline });
+    } catch (error) {
+      logger?.error?.(
+        `Summary job ${job.id} item ${index} threw:`,
+        error?.message || error,
+      );
+      outcome = { statusCode: 500, body: { error: 'Internal server error' } };
+    }
+    const status = await settle(job.id, item, outcome);
+    logger?.info?.(
+      `Summary job ${job.id} item ${index} (${item.videoID}) ${status} after attempt ${item.attempts}`,
+    );
+  };
+
+  // Works through every claimable item, re-reading the job until nothing
+  // is left to claim, and sleeps until the earliest retryAt while items are
+  // backing off. Items still leased by another instance are left alone.
+  // With a deadline it stops once another item would not fit before it.
+  const drain = async (jobId, { deadline } = {}) => {
+    const fits = (at) => !deadline || deadline - at >= MIN_ITEM_MS;
+    for (;;) {
+      const state = await get(jobId);
+      if (!state) return;
+      const { job, items } = state;
+      const at = now().getTime();
+      const claimable = items.filter((item) => isClaimable(item, at));
+      const settled = items.every(
+        (item) =>
+          item.status === ITEM_STATUSES.succeeded ||
+          item.status === ITEM_STATUSES.failed,
+      );
+      if (settled) {
+        if (job.status !== JOB_STATUSES.completed) {
+          await jobsRef()
+            .doc(jobId)
+            .set(
+              { status: JOB_STATUSES.completed, updatedAt: now() },
+              { merge: true },
+            );
+          logger?.info?.(`Summary job ${jobId} completed`);
+        }
+        return;
+      }
+      if (claimable.length === 0) {
+        const retryAts = items
+          .filter((item) => item.status === ITEM_STATUSES.queued)
+          .map((item) => item.retryAt || 0);
+        if (retryAts.length === 0) return;
+        const retryAt = Math.min(...retryAts);
+        if (!fits(retryAt)) return;
+        await sleep(Math.max(0, retryAt - at));
+        continue;
+      }
+      if (!fits(at)) return;
+      await mapWithConcurrency(claimable, config.concurrency, (item) =>
+        runItem(job, item.index, deadline),
+      );
+    }
+  };
+
+  // One drain per job per instance; later calls share the running one. A
+  // caller with a deadline (a request) does not wait on a run it did not
+  // start, since that run may outlast the request.
+  const processJob = (jobId, { deadline } = {}) => {
+    if (activeJobs.has(jobId)) {
+      return deadline ? Promise.resolve() : activeJobs.get(jobId);
+    }
+    const run = drain(jobId, { deadline })
+      .catch((error) => {
+        logger?.error?.(
+          `Summary job ${jobId} processing failed:`,
+          error?.message || error,
+        );
+      })
+      .finally(() => activeJobs.delete(jobId));
+    activeJobs.set(jobId, run);
+    return run;
+  };
+
+  const resumePending = async () => {
+    try {
+      const snap = await jobsRef()
+        .where('status', '==', JOB_STATUSES.pending)
+        .get();
+      if (snap.docs.length > 0) {
+        logger?.info?.(`Resuming ${snap.docs.length} pending summary job(s)`);
+      }
+      await Promise.all(snap.docs.map((doc) => processJob(doc.id)));
+    } catch (error) {
+      logger?.error?.('Resuming summary jobs failed:', error?.message || error);
+    }
+  };
+
+  return { create, get, processJob, resumePending };
+};
+
+const formatSummaryJob = ({ job, items }) => ({
+  jobId: job.id,
+  status: job.status,
+  kind: job.kind,
+  provider: job.provider,
+  model: job.model,
+  language: job.language,
+  style: job.style,
+  variables: job.variables,
+  createdAt: toIsoString(job.createdAt),
+  updatedAt: toIsoString(job.updatedAt),
+  counts: countItems(items),
+  items: items.map((item) => ({
+    index: item.index,
+    videoID: item.videoID,
+    status: item.status,
+    attempts: item.attempts,
+    ...(item.status === ITEM_STATUSES.queued && item.retryAt
+      ? { retryAt: toIsoString(new Date(item.retryAt)) }
+      : {}),
+    ...(item.result ? { result: item.result } : {}),
+    ...(item.error ? { error: item.error } : {}),
+  })),
+});
+
+module.exports = {
+  SUMMARY_JOBS_COLLECTION,
+  SUMMARY_JOB_ITEMS_COLLECTION,
+  SUMMARY_JOB_KINDS,
+  parseSummaryJobConfig,
+  parseSummaryJobRequest,
+  createCapturedResponse,
+  createSummaryJobRunner,
+  formatSummaryJob,
+};
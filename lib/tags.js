@@ -0,0 +1,167 @@
+const TAG_LIMITS = {
+  minCount: 5,
+  maxCount: 10,
+  maxLength: 40,
+};
+
+// Structure only: bounds are enforced by validateTags, because not every
+// provider's structured mode accepts length or count keywords.
+const TAGS_RESPONSE_FORMAT = {
+  name: 'transcript_tags',
+  schema: {
+    type: 'object',
+    properties: {
+      tags: { type: 'array', items: { type: 'string' } },
+    },
+    required: ['tags'],
+    additionalProperties: false,
+  },
+};
+
+const buildFormatInstruction = (limits) =>
+  `Respond with only a JSON object of the form {"tags": ["..."]} containing ${limits.minCount} to ${limits.maxCount} unique tags of at most ${limits.maxLength} characters each.`;
+
+const stripCodeFence = (text) =>
+  String(text || '')
+    .trim()
+    .replace(/^```[a-z]*\s*\n?/i, '')
+    .replace(/\n?```$/, '')
+    .trim();
+
+const dedupe = (tags) => {
+  const seen = new Set();
+  return tags.filter((tag) => {
+    const key = tag.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const validateTags = (value, limits = TAG_LIMITS) => {
+  const list = Array.isArray(value) ? value : value?.tags;
+  if (!Array.isArray(list)) {
+    return { error: 'expected {"tags": [...]} with an array of strings' };
+  }
+  if (list.some((tag) => typeof tag !== 'string')) {
+    return { error: 'every tag must be a string' };
+  }
+
+  const tags = dedupe(list.map((tag) => tag.trim()).filter(Boolean));
+  const tooLong = tags.find((tag) => tag.length > limits.maxLength);
+  if (tooLong) {
+    return {
+      error: `tag "${tooLong}" is longer than ${limits.maxLength} characters`,
+    };
+  }
+  if (tags.length < limits.minCount || tags.length > limits.maxCount) {
+    return {
+      error: `expected ${limits.minCount}-${limits.maxCount} unique tags, got ${tags.length}`,
+    };
+  }
+  return { tags };
+};
+
+const parseStructuredTags = (text, limits = TAG_LIMITS) => {
+  try {
+    return validateTags(JSON.parse(stripCodeFence(text)), limits);
+  } catch (error) {
+    return { error: 'reply is not valid JSON' };
+  }
+};
+
+// Best effort for replies that are neither valid JSON nor schema-conformant:
+// numbered or bulleted lists, comma-separated lines, quoted items.
+const parseFallbackTags = (text, limits = TAG_LIMITS) => {
+  const body = stripCodeFence(text)
+    .replace(/^\s*\{?\s*"?tags"?\s*:\s*/i, '')
+    .replace(/[[\]{}]/g, '');
+  const tags = body
+    .split(/\n|,/)
+    .map((tag) =>
+      tag
+        .replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '')
+        .replace(/^["'`]+|["'`]+$/g, '')
+        .trim(),
+    )
+    .filter((tag) => tag && tag.length <= limits.maxLength);
+  return dedupe(tags).slice(0, limits.maxCount);
+};
+
+const buildRepairMessages = (messages, reply, error, limits) => [
+  ...messages,
+  { role: 'assistant', content: reply || '(empty reply)' },
+  {
+    role: 'user',
+    content: `That reply was invalid: ${error}. ${buildFormatInstruction(limits)}`,
+  },
+];
+
+// complete(messages) runs one tag request in the provider's structured mode
+// and resolves to a chat result. Returns the tags, where they came from, and
+// every chat result so callers can account for usage. limits overrides the
+// default tag count and length bounds.
+const generateTags = async ({
+  messages,
+  complete,
+  logger,
+  limits = TAG_LIMITS,
+}) => {
+  const tagMessages = [
+    ...messages,
+    { role: 'system', content: buildFormatInstruction(limits) },
+  ];
+  const first = await complete(tagMessages);
+  const parsed = parseStructuredTags(first.text, limits);
+  if (!parsed.error) {
+    return {
+      tags: parsed.tags,
+      tagsSource: 'structured',
+      results: [first],
+    };
+  }
+
+  logger?.warn?.(`Tag output failed validation (${parsed.error}); repairing`);
+  let repair;
+  try {
+    repair = await complete(
+      buildRepairMessages(tagMessages, first.text, parsed.error, limits),
+    );
+  } catch (error) {
+    logger?.warn?.(
+      'Tag repair request failed; using fallback parsing:',
+      error?.message || error,
+    );
+    return {
+      tags: parseFallbackTags(first.text, limits),
+      tagsSource: 'fallback',
+      results: [first],
+    };
+  }
+  const repaired = parseStructuredTags(repair.text, limits);
+  if (!repaired.error) {
+    return {
+      tags: repaired.tags,
+      tagsSource: 'structured',
+      results: [first, repair],
+    };
+  }
+
+  logger?.warn?.(
+    `Repaired tag output failed validation (${repaired.error}); using fallback parsing`,
+  );
+  return {
+    tags: parseFallbackTags(repair.text || first.text, limits),
+    tagsSource: 'fallback',
+    results: [first, repair],
+  };
+};
+
+module.exports = {
+  TAG_LIMITS,
+  TAGS_RESPONSE_FORMAT,
+  validateTags,
+  parseStructuredTags,
+  parseFallbackTags,
+  generateTags,
+};
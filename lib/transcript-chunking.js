@@ -0,0 +1,150 @@
+// Rough token estimate; avoids shipping a tokenizer per provider.
+const CHARS_PER_TOKEN = 4;
+const CHUNK_NOTES_MAX_TOKENS = 512;
+const MAX_REDUCE_ROUNDS = 3;
+
+const toPositiveInt = (value, fallback) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.floor(n);
+};
+
+const parseChunkingConfig = (env = process.env) => {
+  const tokenBudget = toPositiveInt(env.TRANSCRIPT_TOKEN_BUDGET, 12_000);
+  return {
+    tokenBudget,
+    overlapTokens: Math.min(
+      toPositiveInt(env.TRANSCRIPT_CHUNK_OVERLAP_TOKENS, 200),
+      Math.floor(tokenBudget / 4),
+    ),
+    concurrency: toPositiveInt(env.TRANSCRIPT_CHUNK_CONCURRENCY, 4),
+  };
+};
+
+const estimateTokens = (text) =>
+  Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+
+// Prefer to cut at a sentence end, then at whitespace, in the last fifth of
+// the window so chunks stay close to the budget.
+const findCutIndex = (text, start, end) => {
+  if (end >= text.length) return text.length;
+  const floor = start + Math.floor((end - start) * 0.8);
+  const window = text.slice(floor, end);
+  const sentenceEnd = Math.max(
+    window.lastIndexOf('. '),
+    window.lastIndexOf('? '),
+    window.lastIndexOf('! '),
+    window.lastIndexOf('\n'),
+  );
+  if (sentenceEnd !== -1) return floor + sentenceEnd + 1;
+  const space = window.lastIndexOf(' ');
+  return space !== -1 ? floor + space + 1 : end;
+};
+
+const splitIntoChunks = (text, { chunkTokens, overlapTokens = 0 }) => {
+  const chunkChars = chunkTokens * CHARS_PER_TOKEN;
+  const overlapChars = Math.min(
+    overlapTokens * CHARS_PER_TOKEN,
+    Math.floor(chunkChars / 2),
+  );
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    const cut = findCutIndex(text, start, start + chunkChars);
+    chunks.push(text.slice(start, cut).trim());
+    if (cut >= text.length) break;
+    const next = cut - overlapChars;
+    const space = text.indexOf(' ', next);
+    start = space !== -1 && space < cut ? space + 1 : next;
+  }
+  return chunks.filter(Boolean);
+};
+
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker),
+  );
+  return results;
+};
+
+const formatChunkNotes = (notes) =>
+  [
+    'The transcript was too long to process at once. Below are notes from consecutive, slightly overlapping parts of it, in order. Treat them together as the full transcript.',
+    ...notes.map((text, index) => `### Part ${index + 1}\n${text.trim()}`),
+  ].join('\n\n');
+
+// Returns the transcript itself when it fits the token budget; otherwise
+// summarizes overlapping chunks (map) and returns their combined notes, to be
+// passed to the final prompt in place of the transcript (reduce).
+const condenseTranscript = async ({
+  transcript,
+  config,
+  chunkPrompt,
+  complete,
+  logger,
+}) => {
+  if (estimateTokens(transcript) <= config.tokenBudget) {
+    return {
+      content: transcript,
+      chunked: false,
+      chunkCount: 1,
+      results: [],
+    };
+  }
+
+  const results = [];
+  let content = transcript;
+  let chunkCount = 0;
+  for (
+    let round = 0;
+    round < MAX_REDUCE_ROUNDS && estimateTokens(content) > config.tokenBudget;
+    round += 1
+  ) {
+    const chunks = splitIntoChunks(content, {
+      chunkTokens: config.tokenBudget,
+      overlapTokens: config.overlapTokens,
+    });
+    if (round === 0) chunkCount = chunks.length;
+    logger?.info?.(
+      `Transcript over ${config.tokenBudget} tokens; summarizing ${chunks.length} chunks (round ${round + 1})`,
+    );
+
+    const chunkResults = await mapWithConcurrency(
+      chunks,
+      config.concurrency,
+      (chunk, index) =>
+        complete({
+          messages: [
+            { role: 'system', content: chunkPrompt },
+            {
+              role: 'user',
+              content: `Part ${index + 1} of ${chunks.length}:\n\n${chunk}`,
+            },
+          ],
+          maxTokens: CHUNK_NOTES_MAX_TOKENS,
+        }),
+    );
+    results.push(...chunkResults);
+    content = formatChunkNotes(chunkResults.map((result) => result.text));
+  }
+
+  return { content, chunked: true, chunkCount, results };
+};
+
+module.exports = {
+  CHARS_PER_TOKEN,
+  parseChunkingConfig,
+  estimateTokens,
+  splitIntoChunks,
+  mapWithConcurrency,
+  condenseTranscript,
+};
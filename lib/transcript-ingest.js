@@ -0,0 +1,225 @@
+const TRANSCRIPT_FORMATS = ['text', 'srt', 'vtt'];
+const MAX_VIDEO_ID_LENGTH = 128;
+// Firestore documents are capped at 1 MiB; leave room for field names.
+const MAX_STORED_BYTES = 900_000;
+
+const TIMING_PATTERN =
+  /^\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+const SRT_TIMING_PATTERN = /\d{2}:\d{2}:\d{2},\d{3}\s*-->/;
+
+const toPositiveInt = (value, fallback) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.floor(n);
+};
+
+const parseIngestConfig = (env = process.env) => ({
+  maxChars: toPositiveInt(env.TRANSCRIPT_INGEST_MAX_CHARS, 500_000),
+  maxSegments: toPositiveInt(env.TRANSCRIPT_INGEST_MAX_SEGMENTS, 20_000),
+});
+
+const parseIngestRequest = (videoID, body, config) => {
+  const id = typeof videoID === 'string' ? videoID.trim() : '';
+  if (!id || id.length > MAX_VIDEO_ID_LENGTH || id.includes('/')) {
+    return {
+      error: `Video ID must be a non-empty string of at most ${MAX_VIDEO_ID_LENGTH} characters without "/".`,
+    };
+  }
+  if (typeof body?.content !== 'string' || !body.content.trim()) {
+    return { error: '"content" is required and must be a non-empty string.' };
+  }
+  if (body.content.length > config.maxChars) {
+    return {
+      status: 413,
+      error: `"content" must be at most ${config.maxChars} characters.`,
+    };
+  }
+  const format = body.format ?? 'auto';
+  if (format !== 'auto' && !TRANSCRIPT_FORMATS.includes(format)) {
+    return {
+      error: `"format" must be "auto" or one of: ${TRANSCRIPT_FORMATS.join(', ')}.`,
+    };
+  }
+  if (body.overwrite !== undefined && typeof body.overwrite !== 'boolean') {
+    return { error: '"overwrite" must be a boolean when provided.' };
+  }
+  return {
+    videoID: id,
+    content: body.content,
+    format,
+    overwrite: body.overwrite === true,
+  };
+};
+
+const detectFormat = (content) => {
+  const head = content.replace(/^\uFEFF/, '').trimStart();
+  if (head.startsWith('WEBVTT')) return 'vtt';
+  if (SRT_TIMING_PATTERN.test(content)) return 'srt';
+  if (content.includes('-->')) return 'vtt';
+  return 'text';
+};
+
+const parseTimestamp = (value) => {
+  const [clock, fraction] = value.split(/[.,]/);
+  const seconds = clock
+    .split(':')
+    .map(Number)
+    .reduce((total, part) => total * 60 + part, 0);
+  return seconds + Number(`0.${fraction}`);
+};
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+
+// Drops inline markup (<v Speaker>, <c>, <i>, karaoke <00:00:01.000> marks,
+// SRT {\an8} positioning) and collapses whitespace.
+const cleanCueText = (lines) =>
+  decodeEntities(
+    lines
+      .join(' ')
+      .replace(/<[^>]*>/g, '')
+      .replace(/\{\\[^}]*\}/g, ''),
+  )
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Cue numbers (SRT) and cue identifiers (VTT) precede the timing line and are
+// discarded; header, NOTE, STYLE and REGION blocks have no timing line.
+const parseCues = (content) =>
+  content
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map((block) => {
+      const lines = block.split('\n');
+      const timingIndex = lines.findIndex((line) => TIMING_PATTERN.test(line));
+      if (timingIndex === -1) return null;
+      const [, start, end] = lines[timingIndex].match(TIMING_PATTERN);
+      return {
+        start: parseTimestamp(start),
+        end: parseTimestamp(end),
+        text: cleanCueText(lines.slice(timingIndex + 1)),
+      };
+    })
+    .filter((cue) => cue && cue.text);
+
+const toWords = (text) => text.split(' ');
+const RECENT_WORDS = 200;
+
+// Longest k such that the last k words of tail are the first k words of
+// words. Knuth-Morris-Pratt over word arrays, so linear in both lengths.
+const findOverlap = (tail, words) => {
+  const pattern = words.slice(0, tail.length);
+  const failure = [0];
+  for (let index = 1, length = 0; index < pattern.length; index += 1) {
+    while (length > 0 && pattern[index] !== pattern[length]) {
+      length = failure[length - 1];
+    }
+    if (pattern[index] === pattern[length]) length += 1;
+    failure[index] = length;
+  }
+  let matched = 0;
+  tail.forEach((word) => {
+    while (
+      matched > 0 &&
+      (matched === pattern.length || word !== pattern[matched])
+    ) {
+      matched = failure[matched - 1];
+    }
+    if (word === pattern[matched]) matched += 1;
+  });
+  return matched;
+};
+
+// Auto-generated captions scroll: each cue repeats the tail of the previous
+// one before adding new words. Keeps only the new words, and folds cues that
+// add nothing into the previous segment's timing. Only as many recent words
+// as the cue has can overlap it, so each cue costs time linear in its length.
+const dedupeRollingCaptions = (cues) => {
+  const segments = [];
+  let recentWords = [];
+  cues.forEach((cue) => {
+    const words = toWords(cue.text);
+    let overlap = findOverlap(recentWords.slice(-words.length), words);
+    // A single shared word is usually coincidence, not a repeated line.
+    if (overlap === 1 && words.length > 1) overlap = 0;
+    const added = words.slice(overlap);
+    const previous = segments.at(-1);
+    if (added.length === 0) {
+      if (previous) previous.end = Math.max(previous.end, cue.end);
+      return;
+    }
+    segments.push({
+      start: cue.start,
+      end: Math.max(cue.start, cue.end),
+      text: added.join(' '),
+    });
+    recentWords = recentWords.concat(added).slice(-RECENT_WORDS);
+  });
+  return segments;
+};
+
+const normalizePlainText = (content) =>
+  content
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map((line) => line.replace(/\s+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+const roundSeconds = (value) => Math.round(value * 1000) / 1000;
+
+// Returns { format, transcript, segments } with segments only for timed
+// formats, or { error } when nothing usable could be parsed.
+const parseTranscriptContent = (content, { format = 'auto', maxSegments }) => {
+  const resolvedFormat = format === 'auto' ? detectFormat(content) : format;
+  if (resolvedFormat === 'text') {
+    const transcript = normalizePlainText(content);
+    return transcript
+      ? { format: 'text', transcript, segments: [] }
+      : { error: 'The transcript has no text.' };
+  }
+
+  const cues = parseCues(content).sort((a, b) => a.start - b.start);
+  if (cues.length === 0) {
+    return {
+      error: `No ${resolvedFormat.toUpperCase()} cues with text were found.`,
+    };
+  }
+  const segments = dedupeRollingCaptions(cues).map((segment) => ({
+    start: roundSeconds(segment.start),
+    end: roundSeconds(segment.end),
+    text: segment.text,
+  }));
+  if (segments.length > maxSegments) {
+    return {
+      status: 413,
+      error: `The transcript has ${segments.length} segments; at most ${maxSegments} are allowed.`,
+    };
+  }
+  return {
+    format: resolvedFormat,
+    transcript: segments.map((segment) => segment.text).join(' '),
+    segments,
+  };
+};
+
+const exceedsStoredSize = (doc) =>
+  Buffer.byteLength(JSON.stringify(doc)) > MAX_STORED_BYTES;
+
+module.exports = {
+  TRANSCRIPT_FORMATS,
+  parseIngestConfig,
+  parseIngestRequest,
+  detectFormat,
+  parseTranscriptContent,
+  exceedsStoredSize,
+};
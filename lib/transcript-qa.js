@@ -0,0 +1,115 @@
+const { splitIntoChunks } = require('./transcript-chunking');
+
+const PASSAGE_TOKENS = 200;
+const PASSAGE_OVERLAP_TOKENS = 25;
+const DEFAULT_TOP_K = 5;
+const MAX_TOP_K = 10;
+const MAX_QUESTION_LENGTH = 1000;
+// BM25 parameters.
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set(
+  `a an and are as at be but by did do does for from had has have he her his how i
+if in is it its just me my not of on or our she so that the their them they this
+to was we were what when where which who why will with would you your about said
+say says talk talked`.split(/\s+/),
+);
+
+const tokenize = (text) =>
+  (
+    String(text || '')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || []
+  ).filter((term) => term.length > 1 && !STOPWORDS.has(term));
+
+const parseQaRequest = (body) => {
+  const question =
+    typeof body?.question === 'string' ? body.question.trim() : '';
+  if (!question) {
+    return { error: '"question" is required and must be a non-empty string.' };
+  }
+  if (question.length > MAX_QUESTION_LENGTH) {
+    return {
+      error: `"question" must be at most ${MAX_QUESTION_LENGTH} characters.`,
+    };
+  }
+  if (tokenize(question).length === 0) {
+    return { error: '"question" must contain at least one searchable word.' };
+  }
+
+  const topK = body?.topK ?? DEFAULT_TOP_K;
+  if (!Number.isInteger(topK) || topK < 1 || topK > MAX_TOP_K) {
+    return { error: `"topK" must be an integer between 1 and ${MAX_TOP_K}.` };
+  }
+  return { question, topK };
+};
+
+const splitIntoPassages = (transcript) =>
+  splitIntoChunks(String(transcript), {
+    chunkTokens: PASSAGE_TOKENS,
+    overlapTokens: PASSAGE_OVERLAP_TOKENS,
+  }).map((text, index) => ({ index, text }));
+
+// Okapi BM25 over the transcript's own passages; passages sharing no term
+// with the question are left out.
+const rankPassages = (passages, question, { topK = DEFAULT_TOP_K } = {}) => {
+  const queryTerms = [...new Set(tokenize(question))];
+  const docs = passages.map((passage) => {
+    const counts = new Map();
+    const terms = tokenize(passage.text);
+    terms.forEach((term) => counts.set(term, (counts.get(term) || 0) + 1));
+    return { passage, counts, length: terms.length };
+  });
+  const avgLength =
+    docs.reduce((total, doc) => total + doc.length, 0) / (docs.length || 1) ||
+    1;
+  const idf = new Map(
+    queryTerms.map((term) => {
+      const df = docs.filter((doc) => doc.counts.has(term)).length;
+      return [term, Math.log(1 + (docs.length - df + 0.5) / (df + 0.5))];
+    }),
+  );
+
+  return docs
+    .map(({ passage, counts, length }) => {
+      const score = queryTerms.reduce((total, term) => {
+        const tf = counts.get(term) || 0;
+        if (!tf) return total;
+        const norm = K1 * (1 - B + (B * length) / avgLength);
+        return total + (idf.get(term) * tf * (K1 + 1)) / (tf + norm);
+      }, 0);
+      return { ...passage, score: Number(score.toFixed(4)) };
+    })
+    .filter((passage) => passage.score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, topK)
+    .map((passage, rank) => ({ id: `P${rank + 1}`, ...passage }));
+};
+
+const buildQaUserMessage = (question, passages) =>
+  [
+    'Transcript passages:',
+    ...passages.map((passage) => `[${passage.id}] ${passage.text}`),
+    `Question: ${question}`,
+  ].join('\n\n');
+
+// Citations are the [P<n>] markers in the answer that name a retrieved
+// passage, in order of first mention.
+const extractCitations = (answer, passages) => {
+  const byId = new Map(passages.map((passage) => [passage.id, passage]));
+  const cited = [];
+  for (const match of String(answer || '').matchAll(/\[(P\d+)\]/g)) {
+    const passage = byId.get(match[1]);
+    if (passage && !cited.includes(passage)) cited.push(passage);
+  }
+  return cited;
+};
+
+module.exports = {
+  parseQaRequest,
+  splitIntoPassages,
+  rankPassages,
+  buildQaUserMessage,
+  extractCitations,
+};
@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+
+const USAGE_COLLECTION = 'usage_daily';
+const ANONYMOUS_KEY_ID = 'anonymous';
+const DEFAULT_USAGE_QUERY_DAYS = 30;
+const MAX_USAGE_QUERY_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// USD per million tokens. Override or extend with MODEL_PRICING.
+const DEFAULT_MODEL_PRICING = {
+  'gpt-4o-mini': { inputPerMillion: 0.15, outputPerMillion: 0.6 },
+  'gpt-4o': { inputPerMillion: 2.5, outputPerMillion: 10 },
+  'deepseek-chat': { inputPerMillion: 0.27, outputPerMillion: 1.1 },
+  'claude-3-5-haiku-latest': { inputPerMillion: 0.8, outputPerMillion: 4 },
+};
+
+const isObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isNonNegativeNumber = (value) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+const parseModelPricing = (value, logger) => {
+  const raw = typeof value === 'string' ? value.trim() : '';
+  if (!raw) return { ...DEFAULT_MODEL_PRICING };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    logger?.error?.('MODEL_PRICING is not valid JSON:', error.message);
+    return { ...DEFAULT_MODEL_PRICING };
+  }
+  if (!isObject(parsed)) {
+    logger?.error?.('MODEL_PRICING must be a JSON object keyed by model.');
+    return { ...DEFAULT_MODEL_PRICING };
+  }
+
+  const pricing = { ...DEFAULT_MODEL_PRICING };
+  Object.entries(parsed).forEach(([model, price]) => {
+    if (
+      !isObject(price) ||
+      !isNonNegativeNumber(price.inputPerMillion) ||
+      !isNonNegativeNumber(price.outputPerMillion)
+    ) {
+      logger?.warn?.(
+        `Ignoring MODEL_PRICING entry for "${model}": inputPerMillion and outputPerMillion must be non-negative numbers.`,
+      );
+      return;
+    }
+    pricing[model] = {
+      inputPerMillion: price.inputPerMillion,
+      outputPerMillion: price.outputPerMillion,
+    };
+  });
+  return pricing;
+};
+
+const roundUsd = (value) => Math.round(value * 1e6) / 1e6;
+
+const computeCostUsd = (pricing, model, usage) => {
+  const price = pricing[model];
+  if (!price) return null;
+  const inputTokens = usage?.inputTokens || 0;
+  const outputTokens = usage?.outputTokens || 0;
+  return roundUsd(
+    (inputTokens * price.inputPerMillion +
+      outputTokens * price.outputPerMillion) /
+      1e6,
+  );
+};
+
+const toUsageKeyId = (accessKey) => {
+  if (typeof accessKey !== 'string' || !accessKey) return ANONYMOUS_KEY_ID;
+  return crypto
+    .createHash('sha256')
+    .update(accessKey)
+    .digest('hex')
+    .slice(0, 16);
+};
+
+const toUtcDate = (date) => date.toISOString().slice(0, 10);
+
+// "key@version" for every prompt that shaped the call, sorted.
+const toPromptLabels = (prompts) =>
+  Object.keys(prompts || {})
+    .sort()
+    .map((promptKey) => `${promptKey}@${prompts[promptKey]}`);
+
+// Calls made without prompts keep the IDs they had before prompt versions
+// were tracked.
+const buildUsageDocId = ({ date, keyId, provider, model, route, prompts }) =>
+  crypto
+    .createHash('sha256')
+    .update(
+      [date, keyId, provider, model, route, ...toPromptLabels(prompts)].join(
+        '\n',
+      ),
+    )
+    .digest('hex');
+
+const parseUsageQuery = (query, now = new Date()) => {
+  const readString = (key) =>
+    typeof query?.[key] === 'string' ? query[key].trim() : '';
+
+  const to = readString('to') || toUtcDate(now);
+  const defaultFrom = new Date(now);
+  defaultFrom.setUTCDate(defaultFrom.getUTCDate() - DEFAULT_USAGE_QUERY_DAYS);
+  const from = readString('from') || toUtcDate(defaultFrom);
+
+  // Date parsing rolls impossible days over (2026-02-31 becomes March 3), so
+  // a date is only valid if it formats back to itself.
+  const isValidDate = (value) => {
+    if (!DATE_PATTERN.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && toUtcDate(date) === value;
+  };
+  if (!isValidDate(from) || !isValidDate(to)) {
+    return { error: '"from" and "to" must be dates in YYYY-MM-DD format.' };
+  }
+  if (from > to) {
+    return { error: '"from" must be on or before "to".' };
+  }
+  const days =
+    (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS +
+    1;
+  if (days > MAX_USAGE_QUERY_DAYS) {
+    return {
+      error: `The date range can span at most ${MAX_USAGE_QUERY_DAYS} days.`,
+    };
+  }
+
+  return {
+    from,
+    to,
+    keyId: readString('keyId') || undefined,
+    provider: readString('provider').toLowerCase() || undefined,
+    model: readString('model') || undefined,
+    route: readString('route') || undefined,
+    prompt: readString('prompt') || undefined,
+  };
+};
+
+const emptyTotals = () => ({
+  requests: 0,
+  inputTokens: 0,
+  outputTokens: 0,
+  costUsd: 0,
+});
+
+const addToTotals = (totals, entry) => {
+  totals.requests += entry.requests || 0;
+  totals.inputTokens += entry.inputTokens || 0;
+  totals.outputTokens += entry.outputTokens || 0;
+  totals.costUsd = roundUsd(totals.costUsd + (entry.costUsd || 0));
+  return totals;
+};
+
+const createUsageTracker = ({
+  db,
+  pricing,
+  logger,
+  now = () => new Date(),
+}) => {
+  const record = async ({ keyId, route, prompts, provider, model, usage }) => {
+    const costUsd = computeCostUsd(pricing, model, usage);
+    logger?.debug?.(
+      'Provider usage',
+      JSON.stringify({
+        keyId,
+        route,
+        prompts,
+        provider,
+        model,
+        usage,
+        costUsd,
+      }),
+    );
+    if (!db) return;
+
+    const entry = {
+      date: toUtcDate(now()),
+      keyId: keyId || ANONYMOUS_KEY_ID,
+      provider,
+      model,
+      route: route || 'unknown',
+      ...(prompts ? { prompts } : {}),
+    };
+    const usageRef = db
+      .collection(USAGE_COLLECTION)
+      .doc(buildUsageDocId(entry));
+
+    await db.runTransaction(async (tx) => {
+      const snap = await tx.get(usageRef);
+      const data = snap.exists ? snap.data() || {} : {};
+      const totals = addToTotals(
+        {
+          requests: data.requests || 0,
+          inputTokens: data.inputTokens || 0,
+          outputTokens: data.outputTokens || 0,
+          costUsd: data.costUsd || 0,
+        },
+        {
+          requests: 1,
+          inputTokens: usage?.inputTokens || 0,
+          outputTokens: usage?.outputTokens || 0,
+          costUsd: costUsd || 0,
+        },
+      );
+      tx.set(
+        usageRef,
+        {
+          ...entry,
+          ...totals,
+          unpriced: Boolean(data.unpriced) || costUsd === null,
+          updatedAt: now(),
+        },
+        { merge: true },
+      );
+    });
+  };
+
+  const query = async (filters) => {
+    const snapshot = await db
+      .collection(USAGE_COLLECTION)
+      .where('date', '>=', filters.from)
+      .where('date', '<=', filters.to)
+      .get();
+
+    const entries = snapshot.docs
+      .map((doc) => doc.data() || {})
+      .filter(
+        (entry) =>
+          (!filters.keyId || entry.keyId === filters.keyId) &&
+          (!filters.provider || entry.provider === filters.provider) &&
+          (!filters.model || entry.model === filters.model) &&
+          (!filters.route || entry.route === filters.route) &&
+          (!filters.prompt ||
+            toPromptLabels(entry.prompts).includes(filters.prompt)),
+      )
+      .map((entry) => ({
+        date: entry.date,
+        keyId: entry.keyId,
+        route: entry.route,
+        provider: entry.provider,
+        model: entry.model,
+        prompts: entry.prompts || {},
+        requests: entry.requests || 0,
+        inputTokens: entry.inputTokens || 0,
+        outputTokens: entry.outputTokens || 0,
+        costUsd: entry.costUsd || 0,
+        unpriced: Boolean(entry.unpriced),
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    return {
+      filters,
+      totals: entries.reduce(addToTotals, emptyTotals()),
+      entries,
+    };
+  };
+
+  return { record, query };
+};
+
+module.exports = {
+  USAGE_COLLECTION,
+  ANONYMOUS_KEY_ID,
+  DEFAULT_MODEL_PRICING,
+  parseModelPricing,
+  computeCostUsd,
+  toUsageKeyId,
+  parseUsageQuery,
+  createUsageTracker,
+};
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const {
+  promptLibrary,
+  promptVariables,
+  defaultPromptVersions,
+} = require('../api/prompts');
+const {
+  parseIngestConfig,
+  parseTranscriptContent,
+} = require('../lib/transcript-ingest');
+const { findUndeclaredPlaceholder } = require('../lib/prompt-variables');
+const {
+  FIXTURE_EXTENSIONS,
+  parseEvalArgs,
+  createMockCompletion,
+  resolveEvalVariables,
+  runPromptEval,
+  summarizePromptEval,
+  formatPromptEvalReport,
+} = require('../lib/prompt-eval');
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+// .json fixtures hold { transcript }; .txt, .srt and .vtt files are parsed
+// like admin ingestion. The file name (without extension) is the fixture id.
+const loadFixtures = (dir) => {
+  const { maxSegments } = parseIngestConfig();
+  return fs
+    .readdirSync(dir)
+    .filter((name) => FIXTURE_EXTENSIONS.includes(path.extname(name)))
+    .sort()
+    .map((name) => {
+      const file = path.join(dir, name);
+      const id = path.basename(name, path.extname(name));
+      if (path.extname(name) === '.json') {
+        return { id, transcript: String(readJson(file).transcript || '') };
+      }
+      const parsed = parseTranscriptContent(fs.readFileSync(file, 'utf-8'), {
+        maxSegments,
+      });
+      if (parsed.error) throw new Error(`${file}: ${parsed.error}`);
+      return { id, transcript: parsed.transcript };
+    })
+    .filter((fixture) => fixture.transcript.trim());
+};
+
+// Prompt files may only use the placeholders declared for the prompt key,
+// like versions published through the registry; a typo would otherwise reach
+// the model verbatim.
+const loadVersions = (promptKey, versions, definitions) =>
+  versions.map(({ version, file }) => {
+    if (!file) {
+      return { version, template: promptLibrary[promptKey][version] };
+    }
+    const template = fs.readFileSync(file, 'utf-8').trim();
+    const undeclared = findUndeclaredPlaceholder(template, definitions);
+    if (undeclared) {
+      throw new Error(
+        `${file}: placeholder "{{${undeclared}}}" is not a declared variable of "${promptKey}".`,
+      );
+    }
+    return { version, template };
+  });
+
+// Live runs go through a running API's /api/chat, so they use its provider
+// keys, models and retries; replays read a file written with --record, and
+// --mock needs neither.
+const createCompletion = (options, variables, recorded) => {
+  if (options.mock) {
+    return createMockCompletion({
+      promptKey: options.promptKey,
+      values: variables.values,
+    });
+  }
+  if (options.replayFile) {
+    const { outputs = {} } = readJson(options.replayFile);
+    return async ({ recordingKey }) => {
+      if (!Object.hasOwn(outputs, recordingKey)) {
+        throw new Error(`No recorded output for ${recordingKey}`);
+      }
+      return outputs[recordingKey];
+    };
+  }
+
+  const baseUrl = process.env.BASE_URL || 'http://localhost:3001';
+  const apiKey = process.env.API_ACCESS_KEY;
+  return async ({ provider, model, messages, recordingKey }) => {
+    const { data } = await axios.post(
+      `${baseUrl}/api/chat`,
+      { provider, ...(model ? { model } : {}), messages },
+      { headers: apiKey ? { 'X-API-Key': apiKey } : {} },
+    );
+    recorded[recordingKey] = data.text;
+    return data.text;
+  };
+};
+
+const writeRecording = (file, outputs) => {
+  const existing = fs.existsSync(file) ? readJson(file).outputs : {};
+  fs.writeFileSync(
+    file,
+    `${JSON.stringify({ outputs: { ...existing, ...outputs } }, null, 2)}\n`,
+  );
+};
+
+const main = async () => {
+  const options = parseEvalArgs(process.argv.slice(2), {
+    library: promptLibrary,
+    defaultVersions: defaultPromptVersions,
+  });
+  if (options.error) throw new Error(options.error);
+  const variables = resolveEvalVariables(
+    promptVariables,
+    options.promptKey,
+    options.variables,
+  );
+  if (variables.error) throw new Error(variables.error);
+
+  const fixtures = loadFixtures(options.fixturesDir);
+  if (fixtures.length === 0) {
+    throw new Error(`No fixtures found in ${options.fixturesDir}.`);
+  }
+  const versions = loadVersions(
+    options.promptKey,
+    options.versions,
+    variables.definitions,
+  );
+  const recorded = {};
+  const results = await runPromptEval({
+    promptKey: options.promptKey,
+    versions,
+    providers: options.providers,
+    fixtures,
+    definitions: variables.definitions,
+    values: variables.values,
+    complete: createCompletion(options, variables, recorded),
+    logger: console,
+  });
+  if (options.recordFile) writeRecording(options.recordFile, recorded);
+
+  const report = summarizePromptEval({
+    promptKey: options.promptKey,
+    versions,
+    providers: options.providers,
+    results,
+  });
+  const output =
+    options.format === 'json'
+      ? `${JSON.stringify(report, null, 2)}\n`
+      : formatPromptEvalReport(report);
+  if (options.outputFile) {
+    fs.writeFileSync(options.outputFile, output);
+  } else {
+    process.stdout.write(output);
+  }
+};
+
+main().catch((error) => {
+  console.error(error?.message || error);
+  process.exit(1);
+});
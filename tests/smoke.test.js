@@ -1,15 +1,32 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
+const { Readable } = require('node:stream');
 const { hashInviteCode } = require('../lib/invite-signup');
+const { promptLibrary } = require('../api/prompts');
 
 const originalEnv = { ...process.env };
 let firestoreGetMock = async () => ({ exists: false, data: () => ({}) });
+let transactionDelayMs = 0;
 let authCreateUserMock = async ({ email }) => ({ uid: 'uid-default', email });
 let authDeleteUserMock = async () => {};
 const deletedUserIds = [];
 const firestoreDocs = new Map();
 
 const docMapKey = (collectionName, docId) => `${collectionName}::${docId}`;
+
+// A reply that passes the transcript_summary structural checks, so it is
+// cached like any valid summary.
+const numberedItems = (count) =>
+  Array.from({ length: count }, (_, index) => `${index + 1}. Point ${index}`);
+const wellFormedSummary = (sentence = 'A short summary of the video.') =>
+  [
+    '## One Sentence Summary',
+    sentence,
+    '## Main Points',
+    ...numberedItems(10),
+    '## Takeaways',
+    ...numberedItems(5),
+  ].join('\n');
 const getStoredDoc = (collectionName, docId) =>
   firestoreDocs.get(docMapKey(collectionName, docId));
 const setStoredDoc = (collectionName, docId, payload, options = {}) => {
@@ -18,6 +35,56 @@ const setStoredDoc = (collectionName, docId, payload, options = {}) => {
   firestoreDocs.set(key, options.merge ? { ...previous, ...payload } : payload);
 };
 
+let anthropicCreateMock = async () => {
+  throw new Error('anthropicCreateMock not configured for this test');
+};
+
+class MockAnthropic {
+  constructor(options) {
+    this.options = options;
+    this.messages = {
+      create: (...args) => anthropicCreateMock(...args),
+    };
+  }
+}
+
+const compareWithOperator = (left, operator, right) => {
+  switch (operator) {
+    case '==':
+      return left === right;
+    case '>=':
+      return left >= right;
+    case '<=':
+      return left <= right;
+    case '>':
+      return left > right;
+    case '<':
+      return left < right;
+    default:
+      throw new Error(`Unsupported mock query operator: ${operator}`);
+  }
+};
+
+const createMockQuery = (collectionName, filters) => ({
+  where: (...filter) => createMockQuery(collectionName, [...filters, filter]),
+  get: async () => {
+    const prefix = `${collectionName}::`;
+    const docs = [...firestoreDocs.entries()]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, data]) => ({
+        id: key.slice(prefix.length),
+        data: () => data,
+        ref: { delete: async () => firestoreDocs.delete(key) },
+      }))
+      .filter((doc) =>
+        filters.every(([field, operator, value]) =>
+          compareWithOperator(doc.data()[field], operator, value),
+        ),
+      );
+    return { docs, empty: docs.length === 0, size: docs.length };
+  },
+});
+
 const mockAxios = {
   post: async () => {
     throw new Error('mockAxios.post not configured for this test');
@@ -34,6 +101,7 @@ const mockFirebaseAdmin = {
   initializeApp: () => {},
   firestore: () => ({
     collection: (collectionName) => ({
+      where: (...firstFilter) => createMockQuery(collectionName, [firstFilter]),
       doc: (docId) => ({
         collectionName,
         id: docId,
@@ -53,6 +121,9 @@ const mockFirebaseAdmin = {
       }),
     }),
     runTransaction: async (runner) => {
+      if (transactionDelayMs) {
+        await new Promise((resolve) => setTimeout(resolve, transactionDelayMs));
+      }
       const tx = {
         get: async (docRef) => {
           const stored = getStoredDoc(docRef.collectionName, docRef.id);
@@ -79,6 +150,7 @@ const mockFirebaseAdmin = {
 
 const axiosPath = require.resolve('axios');
 const firebasePath = require.resolve('firebase-admin');
+const anthropicPath = require.resolve('@anthropic-ai/sdk');
 
 const loadAppWithMocks = (overrides = {}) => {
   const envOverrides = overrides.env || {};
@@ -94,6 +166,10 @@ const loadAppWithMocks = (overrides = {}) => {
     NODE_ENV: 'production',
     LOG_LEVEL: 'error',
     VERCEL: '1',
+    // Tests opt in to provider retries explicitly.
+    PROVIDER_RETRY_POLICIES: JSON.stringify({ default: { maxRetries: 0 } }),
+    // ...and to summary repair round-trips.
+    SUMMARY_OUTPUT_REPAIR: 'false',
     OPENAI_API_KEY,
     DEEPSEEK_API_KEY,
     ANTHROPIC_API_KEY,
@@ -114,16 +190,26 @@ const loadAppWithMocks = (overrides = {}) => {
     loaded: true,
     exports: mockFirebaseAdmin,
   };
+  require.cache[anthropicPath] = {
+    id: anthropicPath,
+    filename: anthropicPath,
+    loaded: true,
+    exports: { Anthropic: MockAnthropic },
+  };
 
   return require('../api/index');
 };
 
 test.afterEach(() => {
+  transactionDelayMs = 0;
   firestoreGetMock = async () => ({ exists: false, data: () => ({}) });
   authCreateUserMock = async ({ email }) => ({ uid: 'uid-default', email });
   authDeleteUserMock = async () => {};
   deletedUserIds.length = 0;
   firestoreDocs.clear();
+  anthropicCreateMock = async () => {
+    throw new Error('anthropicCreateMock not configured for this test');
+  };
   mockAxios.post = async () => {
     throw new Error('mockAxios.post not configured for this test');
   };
@@ -141,7 +227,9 @@ const createMockResponse = () => ({
   body: undefined,
   text: undefined,
   headers: {},
+  chunks: [],
   sent: false,
+  writableEnded: false,
   status(code) {
     this.statusCode = code;
     return this;
@@ -162,8 +250,36 @@ const createMockResponse = () => ({
   getHeader(key) {
     return this.headers[String(key).toLowerCase()];
   },
+  flushHeaders() {},
+  write(chunk) {
+    this.chunks.push(String(chunk));
+    return true;
+  },
+  end() {
+    this.writableEnded = true;
+    this.sent = true;
+    return this;
+  },
 });
 
+const parseSseChunks = (chunks) =>
+  chunks
+    .join('')
+    .split('\n\n')
+    .filter(Boolean)
+    .map((block) => {
+      const lines = block.split('\n');
+      return {
+        event: lines[0].replace('event: ', ''),
+        data: JSON.parse(lines[1].replace('data: ', '')),
+      };
+    });
+
+const toSseStream = (events) =>
+  Readable.from(
+    events.map((event) => Buffer.from(`data: ${JSON.stringify(event)}\n\n`)),
+  );
+
 const invokeHandlers = async (handlers, req) => {
   const res = createMockResponse();
 
@@ -235,6 +351,7 @@ test('POST /api/openai-chat returns sanitized provider failure in production', a
   assert.deepEqual(res.body, {
     error: 'An error occurred while communicating with the OpenAI API',
     details: 'upstream internal detail',
+    retryable: true,
   });
 });
 
@@ -756,3 +873,2605 @@ test('API rate limiter returns 429 after configured limit', async () => {
   assert.equal(second.statusCode, 429);
   assert.equal(second.body.error, 'Rate limit exceeded');
 });
+
+test('POST /api/openai-chat streams deltas as server-sent events', async () => {
+  let capturedPayload;
+  let capturedConfig;
+  mockAxios.post = async (url, payload, config) => {
+    capturedPayload = payload;
+    capturedConfig = config;
+    return {
+      data: toSseStream([
+        { type: 'response.output_text.delta', delta: 'Hel' },
+        { type: 'response.output_text.delta', delta: 'lo' },
+        {
+          type: 'response.completed',
+          response: {
+            status: 'completed',
+            usage: { input_tokens: 12, output_tokens: 2 },
+          },
+        },
+      ]),
+    };
+  };
+
+  const mod = loadAppWithMocks();
+  const { openAiChatHandler } = mod.testHandlers;
+  const res = await invokeHandlers([openAiChatHandler], {
+    method: 'POST',
+    path: '/api/openai-chat',
+    url: '/api/openai-chat',
+    body: {
+      modelMessages: [{ role: 'user', content: 'Hello' }],
+      stream: true,
+    },
+    headers: {},
+    query: {},
+  });
+
+  assert.equal(capturedPayload.stream, true);
+  assert.equal(capturedConfig.responseType, 'stream');
+  assert.equal(res.statusCode, 200);
+  assert.match(res.headers['content-type'], /^text\/event-stream/);
+  assert.equal(res.writableEnded, true);
+  const events = parseSseChunks(res.chunks);
+  assert.deepEqual(
+    events.map((event) => event.event),
+    ['delta', 'delta', 'done'],
+  );
+  assert.equal(events.map((event) => event.data.text).join(''), 'Hello');
+  assert.deepEqual(events[2].data, {
+    provider: 'openai',
+    model: 'gpt-4o-mini',
+    finishReason: 'completed',
+    usage: { inputTokens: 12, outputTokens: 2 },
+  });
+});
+
+test('POST /api/openai-chat sends sanitized error event when stream fails midway', async () => {
+  mockAxios.post = async () => ({
+    data: Readable.from(
+      (async function* failingStream() {
+        yield Buffer.from(
+          `data: ${JSON.stringify({ type: 'response.output_text.delta', delta: 'Partial' })}\n\n`,
+        );
+        throw new Error('socket hang up');
+      })(),
+    ),
+  });
+
+  const mod = loadAppWithMocks();
+  const { openAiChatHandler } = mod.testHandlers;
+  const res = await invokeHandlers([openAiChatHandler], {
+    method: 'POST',
+    path: '/api/openai-chat',
+    url: '/api/openai-chat',
+    body: { modelMessages: [{ role: 'user', content: 'Hello' }] },
+    headers: { accept: 'text/event-stream' },
+    query: {},
+  });
+
+  const events = parseSseChunks(res.chunks);
+  assert.deepEqual(events, [
+    { event: 'delta', data: { text: 'Partial' } },
+    {
+      event: 'error',
+      data: {
+        error: 'An error occurred while communicating with the OpenAI API',
+        details:
+          'Upstream provider request failed. Check server logs for details.',
+      },
+    },
+  ]);
+  assert.equal(res.writableEnded, true);
+});
+
+test('POST /api/openai-chat returns JSON error when stream cannot be opened', async () => {
+  mockAxios.post = async () => {
+    const err = new Error('Request failed with status code 429');
+    err.response = {
+      status: 429,
+      data: Readable.from([
+        Buffer.from(JSON.stringify({ error: { message: 'Slow down' } })),
+      ]),
+    };
+    throw err;
+  };
+
+  const mod = loadAppWithMocks();
+  const { openAiChatHandler } = mod.testHandlers;
+  const res = await invokeHandlers([openAiChatHandler], {
+    method: 'POST',
+    path: '/api/openai-chat',
+    url: '/api/openai-chat',
+    body: {
+      modelMessages: [{ role: 'user', content: 'Hello' }],
+      stream: true,
+    },
+    headers: {},
+    query: {},
+  });
+
+  assert.equal(res.statusCode, 500);
+  assert.deepEqual(res.body, {
+    error: 'An error occurred while communicating with the OpenAI API',
+    details: 'Slow down',
+    retryable: true,
+  });
+});
+
+test('POST /api/compare streams each provider result as it settles', async () => {
+  mockAxios.post = async () => ({
+    data: {
+      output: [
+        {
+          content: [{ type: 'output_text', text: 'OpenAI streamed compare' }],
+        },
+      ],
+    },
+  });
+
+  const mod = loadAppWithMocks({ env: { DEEPSEEK_API_KEY: '' } });
+  const { compareHandler } = mod.testHandlers;
+  const res = await invokeHandlers([compareHandler], {
+    method: 'POST',
+    path: '/api/compare',
+    url: '/api/compare',
+    body: {
+      prompt: 'Compare this answer',
+      providers: ['openai', 'deepseek'],
+      stream: true,
+    },
+    headers: {},
+    query: {},
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.match(res.headers['content-type'], /^text\/event-stream/);
+  const events = parseSseChunks(res.chunks);
+  assert.deepEqual(
+    events.map((event) => event.event),
+    ['request', 'result', 'result', 'summary'],
+  );
+  assert.deepEqual(events[0].data.providers, ['openai', 'deepseek']);
+  const results = events.filter((event) => event.event === 'result');
+  assert.deepEqual(results.map((event) => event.data.provider).sort(), [
+    'deepseek',
+    'openai',
+  ]);
+  const openAiResult = results.find(
+    (event) => event.data.provider === 'openai',
+  );
+  assert.equal(openAiResult.data.text, 'OpenAI streamed compare');
+  assert.equal(events[3].data.total, 2);
+  assert.equal(events[3].data.succeeded, 1);
+  assert.equal(events[3].data.failed, 1);
+  assert.equal(typeof events[3].data.durationMs, 'number');
+});
+
+const localModelProviders = JSON.stringify([
+  {
+    name: 'local-llama',
+    baseUrl: 'http://127.0.0.1:11434/v1/',
+    model: 'llama3.1:8b',
+    apiKeyEnv: 'LOCAL_LLAMA_KEY',
+  },
+]);
+
+test('OpenAI-compatible provider config skips invalid and reserved entries', () => {
+  const {
+    parseOpenAiCompatibleProviders,
+    createOpenAiCompatibleClient,
+  } = require('../lib/openai-compatible');
+  const warnings = [];
+  const providers = parseOpenAiCompatibleProviders(
+    JSON.stringify([
+      { name: 'vllm', baseUrl: 'http://vllm:8000/v1', model: 'qwen2.5' },
+      { name: 'openai', baseUrl: 'http://x/v1', model: 'm' },
+      { name: 'bad url', baseUrl: 'ftp://x', model: 'm' },
+      { name: 'nomodel', baseUrl: 'http://x/v1' },
+      { name: 'vllm', baseUrl: 'http://other/v1', model: 'dup' },
+    ]),
+    {
+      env: {},
+      reservedNames: ['openai', 'deepseek', 'anthropic'],
+      logger: { warn: (message) => warnings.push(message) },
+    },
+  );
+
+  assert.equal(providers.length, 1);
+  assert.equal(providers[0].name, 'vllm');
+  assert.equal(providers[0].apiKey, '');
+  assert.equal(warnings.length, 4);
+
+  const client = createOpenAiCompatibleClient({
+    ...providers[0],
+    apiKey: 'secret-key',
+  });
+  assert.equal(client.model, 'qwen2.5');
+  assert.ok(!JSON.stringify(client).includes('secret-key'));
+});
+
+test('POST /api/compare includes configured OpenAI-compatible providers', async () => {
+  const calls = [];
+  mockAxios.post = async (url, payload, config) => {
+    calls.push({ url, payload, config });
+    return {
+      data: { choices: [{ message: { content: 'Local model answer' } }] },
+    };
+  };
+
+  const mod = loadAppWithMocks({
+    env: {
+      OPENAI_COMPATIBLE_PROVIDERS: localModelProviders,
+      LOCAL_LLAMA_KEY: 'local-secret',
+    },
+  });
+  const { compareHandler } = mod.testHandlers;
+  const res = await invokeHandlers([compareHandler], {
+    method: 'POST',
+    path: '/api/compare',
+    url: '/api/compare',
+    body: { prompt: 'Say hi', providers: ['local-llama'] },
+    headers: {},
+    query: {},
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.results[0].provider, 'local-llama');
+  assert.equal(res.body.results[0].status, 'success');
+  assert.equal(res.body.results[0].model, 'llama3.1:8b');
+  assert.equal(res.body.results[0].text, 'Local model answer');
+  assert.equal(calls[0].url, 'http://127.0.0.1:11434/v1/chat/completions');
+  assert.equal(calls[0].payload.model, 'llama3.1:8b');
+  assert.equal(calls[0].config.headers.Authorization, 'Bearer local-secret');
+});
+
+test('POST /api/providers/:provider/chat proxies to the configured provider', async () => {
+  mockAxios.post = async () => ({
+    data: {
+      id: 'chatcmpl-local',
+      choices: [{ message: { role: 'assistant', content: 'Hi there' } }],
+    },
+  });
+
+  const mod = loadAppWithMocks({
+    env: { OPENAI_COMPATIBLE_PROVIDERS: localModelProviders },
+  });
+  const { requireOpenAiCompatibleProvider, openAiCompatibleChatHandler } =
+    mod.testHandlers;
+  const handlers = [
+    requireOpenAiCompatibleProvider,
+    openAiCompatibleChatHandler,
+  ];
+  const res = await invokeHandlers(handlers, {
+    method: 'POST',
+    path: '/api/providers/local-llama/chat',
+    url: '/api/providers/local-llama/chat',
+    params: { provider: 'local-llama' },
+    body: { modelMessages: [{ role: 'user', content: 'Hello' }] },
+    headers: {},
+    query: {},
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.id, 'chatcmpl-local');
+
+  const unknown = await invokeHandlers(handlers, {
+    method: 'POST',
+    path: '/api/providers/missing/chat',
+    url: '/api/providers/missing/chat',
+    params: { provider: 'missing' },
+    body: { modelMessages: [] },
+    headers: {},
+    query: {},
+  });
+  assert.equal(unknown.statusCode, 404);
+  assert.deepEqual(unknown.body, {
+    error: 'Unknown OpenAI-compatible provider: missing',
+  });
+});
+
+test('POST /api/chat translates neutral messages to Anthropic Messages format', async () => {
+  let capturedParams;
+  anthropicCreateMock = async (params) => {
+    capturedParams = params;
+    return {
+      id: 'msg_1',
+      content: [{ type: 'text', text: 'A cat on a mat.' }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 40, output_tokens: 6 },
+    };
+  };
+
+  const mod = loadAppWithMocks();
+  const { chatHandler } = mod.testHandlers;
+  const res = await invokeHandlers([chatHandler], {
+    method: 'POST',
+    path: '/api/chat',
+    url: '/api/chat',
+    body: {
+      provider: 'anthropic',
+      messages: [
+        { role: 'system', content: 'Answer in one sentence.' },
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: 'What is this?' },
+            { type: 'image', url: 'data:image/png;base64,aGVsbG8=' },
+          ],
+        },
+      ],
+      options: { maxTokens: 200, temperature: 0.2 },
+    },
+    headers: {},
+    query: {},
+  });
+
+  assert.equal(res.statusCode, 200);
+  const { latencyMs, ...envelope } = res.body;
+  assert.equal(typeof latencyMs, 'number');
+  assert.deepEqual(envelope, {
+    provider: 'anthropic',
+    model: 'claude-3-5-haiku-latest',
+    text: 'A cat on a mat.',
+    finishReason: 'end_turn',
+    usage: { inputTokens: 40, outputTokens: 6 },
+  });
+  assert.equal(capturedParams.system, 'Answer in one sentence.');
+  assert.equal(capturedParams.max_tokens, 200);
+  assert.equal(capturedParams.temperature, 0.2);
+  assert.deepEqual(capturedParams.messages, [
+    {
+      role: 'user',
+      content: [
+        { type: 'text', text: 'What is this?' },
+        {
+          type: 'image',
+          source: { type: 'base64', media_type: 'image/png', data: 'aGVsbG8=' },
+        },
+      ],
+    },
+  ]);
+});
+
+test('POST /api/chat translates neutral messages to OpenAI Responses input', async () => {
+  let capturedPayload;
+  mockAxios.post = async (url, payload) => {
+    capturedPayload = payload;
+    return {
+      data: {
+        status: 'completed',
+        output: [{ content: [{ type: 'output_text', text: 'Sure.' }] }],
+        usage: { input_tokens: 9, output_tokens: 1 },
+      },
+    };
+  };
+
+  const mod = loadAppWithMocks();
+  const { chatHandler } = mod.testHandlers;
+  const res = await invokeHandlers([chatHandler], {
+    method: 'POST',
+    path: '/api/chat',
+    url: '/api/chat',
+    body: {
+      provider: 'openai',
+      messages: [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: [{ type: 'text', text: 'Hello!' }] },
+        { role: 'user', content: 'Help me?' },
+      ],
+    },
+    headers: {},
+    query: {},
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.text, 'Sure.');
+  assert.equal(res.body.finishReason, 'completed');
+  assert.equal(capturedPayload.max_output_tokens, 1024);
+  assert.deepEqual(capturedPayload.input, [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'Hi' },
+    {
+      role: 'assistant',
+      content: [{ type: 'output_text', text: 'Hello!' }],
+    },
+    { role: 'user', content: 'Help me?' },
+  ]);
+});
+
+test('POST /api/chat returns 400 for invalid messages and providers', async () => {
+  const mod = loadAppWithMocks();
+  const { chatHandler } = mod.testHandlers;
+  const invoke = (body) =>
+    invokeHandlers([chatHandler], {
+      method: 'POST',
+      path: '/api/chat',
+      url: '/api/chat',
+      body,
+      headers: {},
+      query: {},
+    });
+
+  const badRole = await invoke({
+    provider: 'openai',
+    messages: [{ role: 'tool', content: 'x' }],
+  });
+  assert.equal(badRole.statusCode, 400);
+  assert.deepEqual(badRole.body, {
+    error: 'messages[0].role must be one of: system, user, assistant.',
+  });
+
+  const badProvider = await invoke({
+    provider: 'mystery',
+    messages: [{ role: 'user', content: 'x' }],
+  });
+  assert.equal(badProvider.statusCode, 400);
+  assert.match(badProvider.body.error, /^Unsupported provider "mystery"/);
+
+  const deepSeekImage = await invoke({
+    provider: 'deepseek',
+    messages: [
+      {
+        role: 'user',
+        content: [{ type: 'image', url: 'https://example.com/a.png' }],
+      },
+    ],
+  });
+  assert.equal(deepSeekImage.statusCode, 400);
+  assert.deepEqual(deepSeekImage.body, {
+    error:
+      'Image input is not supported for the configured DeepSeek text model.',
+  });
+});
+
+test('Legacy chat and transcript routes return the normalized envelope on request', async () => {
+  const summaryText = wellFormedSummary('Summary text.');
+  const responsesPayload = {
+    id: 'resp_1',
+    status: 'completed',
+    output: [{ content: [{ type: 'output_text', text: summaryText }] }],
+    usage: { input_tokens: 120, output_tokens: 30 },
+  };
+  mockAxios.post = async () => ({ data: responsesPayload });
+  firestoreGetMock = async () => ({
+    exists: true,
+    data: () => ({ transcript: 'A long transcript.' }),
+  });
+
+  const mod = loadAppWithMocks();
+  const { openAiChatHandler, openAiChatYoutubeTranscriptHandler } =
+    mod.testHandlers;
+
+  const chatRes = await invokeHandlers([openAiChatHandler], {
+    method: 'POST',
+    path: '/api/openai-chat',
+    url: '/api/openai-chat',
+    body: {
+      modelMessages: [{ role: 'user', content: 'Hello' }],
+      includeRaw: true,
+    },
+    headers: { 'x-response-format': 'normalized' },
+    query: {},
+  });
+  assert.equal(chatRes.statusCode, 200);
+  assert.equal(chatRes.body.text, summaryText);
+  assert.equal(chatRes.body.provider, 'openai');
+  assert.equal(chatRes.body.model, 'gpt-4o-mini');
+  assert.equal(chatRes.body.finishReason, 'completed');
+  assert.deepEqual(chatRes.body.usage, { inputTokens: 120, outputTokens: 30 });
+  assert.equal(typeof chatRes.body.latencyMs, 'number');
+  assert.deepEqual(chatRes.body.raw, responsesPayload);
+
+  const transcriptRes = await invokeHandlers(
+    [openAiChatYoutubeTranscriptHandler],
+    {
+      method: 'POST',
+      path: '/api/openai-chat-youtube-transcript',
+      url: '/api/openai-chat-youtube-transcript',
+      body: { videoID: 'abc123', responseFormat: 'normalized' },
+      headers: {},
+      query: {},
+    },
+  );
+  assert.equal(transcriptRes.statusCode, 200);
+  assert.equal(transcriptRes.body.text, summaryText);
+  assert.equal(transcriptRes.body.raw, undefined);
+  assert.equal(transcriptRes.body.id, undefined);
+
+  const legacyRes = await invokeHandlers([openAiChatYoutubeTranscriptHandler], {
+    method: 'POST',
+    path: '/api/openai-chat-youtube-transcript',
+    url: '/api/openai-chat-youtube-transcript',
+    body: { videoID: 'abc123' },
+    headers: {},
+    query: {},
+  });
+  assert.deepEqual(legacyRes.body, {
+    ...responsesPayload,
+    text: summaryText,
+    chunked: false,
+    chunkCount: 1,
+    language: 'en',
+    style: 'summary',
+    prompts: { transcript_summary: 'v1', transcript_chunk_notes: 'v1' },
+    validation: { passed: true, repairAttempted: false, errors: [] },
+    cache: { hit: true, cachedAt: legacyRes.body.cache.cachedAt },
+  });
+});
+
+test('Provider calls record usage per access key and /api/usage reports totals', async () => {
+  mockAxios.post = async () => ({
+    data: {
+      status: 'completed',
+      output: [{ content: [{ type: 'output_text', text: 'Hi' }] }],
+      usage: { input_tokens: 1000000, output_tokens: 500000 },
+    },
+  });
+
+  const mod = loadAppWithMocks({
+    env: { API_ACCESS_KEYS: 'client-key', ADMIN_API_KEYS: 'admin-key' },
+  });
+  const { requireApiAccess, chatHandler, requireAdminAccess, usageHandler } =
+    mod.testHandlers;
+  const chatRequest = {
+    method: 'POST',
+    path: '/api/chat',
+    url: '/api/chat',
+    body: { provider: 'openai', messages: [{ role: 'user', content: 'Hi' }] },
+    headers: { 'x-api-key': 'client-key' },
+    query: {},
+  };
+  // Slow usage writes must still land before the response is sent.
+  transactionDelayMs = 20;
+  await invokeHandlers([requireApiAccess, chatHandler], chatRequest);
+  assert.equal(
+    [...firestoreDocs.keys()].filter((key) => key.startsWith('usage_daily::'))
+      .length,
+    1,
+  );
+  await invokeHandlers([requireApiAccess, chatHandler], {
+    ...chatRequest,
+    body: { ...chatRequest.body },
+  });
+
+  const { toUsageKeyId } = require('../lib/usage');
+  const keyId = toUsageKeyId('client-key');
+  const res = await invokeHandlers([requireAdminAccess, usageHandler], {
+    method: 'GET',
+    path: '/api/usage',
+    url: '/api/usage',
+    body: {},
+    headers: { 'x-api-key': 'admin-key' },
+    query: { keyId, provider: 'openai' },
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.totals, {
+    requests: 2,
+    inputTokens: 2000000,
+    outputTokens: 1000000,
+    costUsd: 0.9,
+  });
+  assert.equal(res.body.entries.length, 1);
+  assert.equal(res.body.entries[0].keyId, keyId);
+  assert.equal(res.body.entries[0].route, '/api/chat');
+  assert.equal(res.body.entries[0].model, 'gpt-4o-mini');
+
+  const otherKey = await invokeHandlers([requireAdminAccess, usageHandler], {
+    method: 'GET',
+    path: '/api/usage',
+    url: '/api/usage',
+    body: {},
+    headers: { 'x-api-key': 'admin-key' },
+    query: { keyId: 'someone-else' },
+  });
+  assert.equal(otherKey.body.totals.requests, 0);
+});
+
+test('GET /api/usage requires admin keys and validates date filters', async () => {
+  const disabled = loadAppWithMocks();
+  const disabledRes = await invokeHandlers(
+    [disabled.testHandlers.requireAdminAccess],
+    {
+      method: 'GET',
+      path: '/api/usage',
+      url: '/api/usage',
+      body: {},
+      headers: { 'x-api-key': 'anything' },
+      query: {},
+    },
+  );
+  assert.equal(disabledRes.statusCode, 503);
+
+  const mod = loadAppWithMocks({ env: { ADMIN_API_KEYS: 'admin-key' } });
+  const { requireAdminAccess, usageHandler } = mod.testHandlers;
+  const forbidden = await invokeHandlers([requireAdminAccess, usageHandler], {
+    method: 'GET',
+    path: '/api/usage',
+    url: '/api/usage',
+    body: {},
+    headers: { 'x-api-key': 'client-key' },
+    query: {},
+  });
+  assert.equal(forbidden.statusCode, 403);
+
+  const badDates = await invokeHandlers([requireAdminAccess, usageHandler], {
+    method: 'GET',
+    path: '/api/usage',
+    url: '/api/usage',
+    body: {},
+    headers: { 'x-api-key': 'admin-key' },
+    query: { from: '2026-02-01', to: '2026-01-01' },
+  });
+  assert.equal(badDates.statusCode, 400);
+  assert.deepEqual(badDates.body, {
+    error: '"from" must be on or before "to".',
+  });
+
+  const { parseUsageQuery } = require('../lib/usage');
+  assert.deepEqual(parseUsageQuery({ from: '2026-02-31', to: '2026-03-05' }), {
+    error: '"from" and "to" must be dates in YYYY-MM-DD format.',
+  });
+  assert.equal(
+    parseUsageQuery({ from: '2024-02-29', to: '2024-03-01' }).from,
+    '2024-02-29',
+  );
+  assert.deepEqual(parseUsageQuery({ from: '2025-01-01', to: '2026-01-02' }), {
+    error: 'The date range can span at most 366 days.',
+  });
+});
+
+test('Per-request model selection is enforced by the allowlist', async () => {
+  const capturedPayloads = [];
+  mockAxios.post = async (url, payload) => {
+    capturedPayloads.push(payload);
+    return {
+      data: {
+        status: 'completed',
+        output: [{ content: [{ type: 'output_text', text: 'Ok.' }] }],
+        usage: { input_tokens: 3, output_tokens: 1 },
+      },
+    };
+  };
+
+  const mod = loadAppWithMocks({
+    env: {
+      API_ACCESS_KEYS: 'basic-key,team-key',
+      MODEL_ALLOWLIST: JSON.stringify({
+        default: { openai: ['gpt-4o'] },
+        keys: { 'team-key': { openai: ['o4-mini'] } },
+      }),
+    },
+  });
+  const { chatHandler } = mod.testHandlers;
+  const invoke = (accessKey, model) =>
+    invokeHandlers([chatHandler], {
+      method: 'POST',
+      path: '/api/chat',
+      url: '/api/chat',
+      body: {
+        provider: 'openai',
+        model,
+        messages: [{ role: 'user', content: 'Hi' }],
+      },
+      headers: {},
+      query: {},
+      apiAccessKey: accessKey,
+    });
+
+  const allowed = await invoke('basic-key', 'gpt-4o');
+  assert.equal(allowed.statusCode, 200);
+  assert.equal(allowed.body.model, 'gpt-4o');
+  assert.equal(capturedPayloads[0].model, 'gpt-4o');
+
+  const defaultModel = await invoke('basic-key');
+  assert.equal(defaultModel.statusCode, 200);
+  assert.equal(capturedPayloads[1].model, 'gpt-4o-mini');
+
+  const rejected = await invoke('basic-key', 'o4-mini');
+  assert.equal(rejected.statusCode, 400);
+  assert.deepEqual(rejected.body, {
+    error: 'Model "o4-mini" is not allowed for provider "openai".',
+    allowedModels: ['gpt-4o-mini', 'gpt-4o'],
+  });
+
+  const scoped = await invoke('team-key', 'o4-mini');
+  assert.equal(scoped.statusCode, 200);
+  assert.equal(capturedPayloads[2].model, 'o4-mini');
+
+  const scopedRejected = await invoke('team-key', 'gpt-4o');
+  assert.equal(scopedRejected.statusCode, 400);
+  assert.deepEqual(scopedRejected.body.allowedModels, [
+    'gpt-4o-mini',
+    'o4-mini',
+  ]);
+  assert.equal(capturedPayloads.length, 3);
+});
+
+test('Transcript route fails over to the next provider on retryable errors', async () => {
+  const upstreamError = (status) =>
+    Object.assign(new Error(`upstream ${status}`), {
+      response: { status, data: { error: { message: `status ${status}` } } },
+    });
+  const calledUrls = [];
+  mockAxios.post = async (url) => {
+    calledUrls.push(url);
+    if (url.includes('openai.com')) throw upstreamError(503);
+    return {
+      data: {
+        choices: [
+          { message: { content: 'Local summary' }, finish_reason: 'stop' },
+        ],
+        usage: { prompt_tokens: 50, completion_tokens: 10 },
+      },
+    };
+  };
+  anthropicCreateMock = async () => {
+    throw Object.assign(new Error('rate limited'), { status: 429 });
+  };
+  firestoreGetMock = async () => ({
+    exists: true,
+    data: () => ({ transcript: 'A long transcript.' }),
+  });
+
+  const mod = loadAppWithMocks({
+    env: {
+      OPENAI_COMPATIBLE_PROVIDERS: JSON.stringify([
+        { name: 'local', baseUrl: 'http://localhost:11434/v1', model: 'llama' },
+      ]),
+      PROVIDER_FAILOVER_CHAINS: JSON.stringify({
+        openai: ['anthropic', 'local'],
+      }),
+    },
+  });
+  const { openAiChatYoutubeTranscriptHandler } = mod.testHandlers;
+  const invoke = (body) =>
+    invokeHandlers([openAiChatYoutubeTranscriptHandler], {
+      method: 'POST',
+      path: '/api/openai-chat-youtube-transcript',
+      url: '/api/openai-chat-youtube-transcript',
+      body,
+      headers: {},
+      query: {},
+    });
+
+  const res = await invoke({ videoID: 'abc123', responseFormat: 'normalized' });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.text, 'Local summary');
+  assert.equal(res.body.provider, 'local');
+  assert.deepEqual(
+    res.body.failedAttempts.map(({ provider, reason, status }) => ({
+      provider,
+      reason,
+      status,
+    })),
+    [
+      { provider: 'openai', reason: 'server_error', status: 503 },
+      { provider: 'anthropic', reason: 'rate_limited', status: 429 },
+    ],
+  );
+
+  const legacy = await invoke({ videoID: 'abc123' });
+  assert.equal(legacy.body.provider, 'local');
+  assert.equal(legacy.body.failedAttempts.length, 2);
+
+  calledUrls.length = 0;
+  const optedOut = await invoke({ videoID: 'abc123', failover: false });
+  assert.equal(optedOut.statusCode, 500);
+  assert.equal(optedOut.body.failedAttempts, undefined);
+  assert.equal(calledUrls.length, 1);
+
+  mockAxios.post = async () => {
+    throw upstreamError(400);
+  };
+  const nonRetryable = await invoke({ videoID: 'abc123' });
+  assert.equal(nonRetryable.statusCode, 500);
+  assert.deepEqual(nonRetryable.body.failedAttempts, undefined);
+});
+
+test('Provider calls retry transient errors and honor Retry-After', async () => {
+  let calls = 0;
+  mockAxios.post = async () => {
+    calls += 1;
+    if (calls < 3) {
+      throw Object.assign(new Error('Request failed with status code 429'), {
+        response: {
+          status: 429,
+          headers: { 'retry-after-ms': '5' },
+          data: { error: { message: 'Slow down' } },
+        },
+      });
+    }
+    return {
+      data: {
+        status: 'completed',
+        output: [{ content: [{ type: 'output_text', text: 'Third time.' }] }],
+        usage: { input_tokens: 3, output_tokens: 2 },
+      },
+    };
+  };
+
+  const mod = loadAppWithMocks({
+    env: {
+      PROVIDER_RETRY_POLICIES: JSON.stringify({
+        default: { maxRetries: 0 },
+        openai: { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 2 },
+      }),
+    },
+  });
+  const { chatHandler } = mod.testHandlers;
+  const invoke = (receivedAt) =>
+    invokeHandlers([chatHandler], {
+      method: 'POST',
+      path: '/api/chat',
+      url: '/api/chat',
+      body: { provider: 'openai', messages: [{ role: 'user', content: 'Hi' }] },
+      headers: {},
+      query: {},
+      receivedAt,
+    });
+
+  const res = await invoke(Date.now());
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.text, 'Third time.');
+  assert.equal(calls, 3);
+
+  // A request whose time budget is nearly spent is not retried.
+  calls = 0;
+  const late = await invoke(Date.now() - 54_500);
+  assert.equal(late.statusCode, 500);
+  assert.equal(calls, 1);
+
+  const { computeRetryDelayMs, getRetryAfterMs } = require('../lib/retry');
+  const policy = { maxRetries: 2, baseDelayMs: 500, maxDelayMs: 8000 };
+  assert.equal(
+    getRetryAfterMs({ response: { headers: { 'retry-after': '3' } } }),
+    3000,
+  );
+  assert.equal(
+    computeRetryDelayMs({ attempt: 1, policy, random: () => 0.5 }),
+    500,
+  );
+  assert.equal(
+    computeRetryDelayMs({
+      attempt: 1,
+      policy,
+      retryAfterMs: 3000,
+      random: () => 0.5,
+    }),
+    3000,
+  );
+  assert.equal(
+    computeRetryDelayMs({ attempt: 10, policy, random: () => 1 }),
+    8000,
+  );
+});
+
+test('Circuit breaker opens after repeated provider failures and recovers via probe', async () => {
+  let calls = 0;
+  let failing = true;
+  mockAxios.post = async () => {
+    calls += 1;
+    if (failing) {
+      throw Object.assign(new Error('Request failed with status code 503'), {
+        response: { status: 503, data: { error: { message: 'overloaded' } } },
+      });
+    }
+    return {
+      data: {
+        status: 'completed',
+        output: [{ content: [{ type: 'output_text', text: 'Back.' }] }],
+        usage: { input_tokens: 1, output_tokens: 1 },
+      },
+    };
+  };
+
+  const mod = loadAppWithMocks({
+    env: {
+      CIRCUIT_BREAKER_MIN_REQUESTS: '2',
+      CIRCUIT_BREAKER_FAILURE_RATE: '0.5',
+      CIRCUIT_BREAKER_OPEN_MS: '50',
+    },
+  });
+  const { chatHandler, providerHealthHandler, compareHandler } =
+    mod.testHandlers;
+  const invokeChat = () =>
+    invokeHandlers([chatHandler], {
+      method: 'POST',
+      path: '/api/chat',
+      url: '/api/chat',
+      body: { provider: 'openai', messages: [{ role: 'user', content: 'Hi' }] },
+      headers: {},
+      query: {},
+    });
+  const getHealth = () =>
+    invokeHandlers([providerHealthHandler], {
+      method: 'GET',
+      path: '/api/health/providers',
+      url: '/api/health/providers',
+      headers: {},
+      query: {},
+    });
+
+  assert.equal((await invokeChat()).statusCode, 500);
+  assert.equal((await invokeChat()).statusCode, 500);
+  assert.equal(calls, 2);
+
+  const rejected = await invokeChat();
+  assert.equal(rejected.statusCode, 503);
+  assert.equal(rejected.headers['retry-after'], '1');
+  assert.equal(calls, 2);
+
+  const health = await getHealth();
+  assert.equal(health.body.status, 'degraded');
+  assert.equal(health.body.providers.openai.circuit.state, 'open');
+  assert.equal(health.body.providers.openai.available, false);
+  assert.equal(health.body.providers.anthropic.circuit.state, 'closed');
+
+  const compare = await invokeHandlers([compareHandler], {
+    method: 'POST',
+    path: '/api/compare',
+    url: '/api/compare',
+    body: { prompt: 'Hi', providers: ['openai'] },
+    headers: {},
+    query: {},
+  });
+  assert.equal(
+    compare.body.request.providerAvailability.openai.circuit.state,
+    'open',
+  );
+  assert.equal(compare.body.results[0].status, 'error');
+  assert.match(compare.body.results[0].error, /circuit open/);
+  assert.equal(calls, 2);
+
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  failing = false;
+  const probe = await invokeChat();
+  assert.equal(probe.statusCode, 200);
+  assert.equal(calls, 3);
+  assert.equal(
+    (await getHealth()).body.providers.openai.circuit.state,
+    'closed',
+  );
+});
+
+test('Long transcripts are summarized per overlapping chunk and merged', async () => {
+  const sentences = Array.from(
+    { length: 60 },
+    (_, index) => `Sentence number ${index} covers one idea.`,
+  );
+  const transcript = sentences.join(' ');
+  const requests = [];
+  mockAxios.post = async (url, payload) => {
+    requests.push(payload);
+    const isChunk = payload.input[0].content.includes('one part of a longer');
+    const text = isChunk ? `notes ${requests.length}` : 'Merged summary';
+    if (isChunk) await new Promise((resolve) => setTimeout(resolve, 25));
+    return {
+      data: {
+        status: 'completed',
+        output: [{ content: [{ type: 'output_text', text }] }],
+        usage: { input_tokens: 100, output_tokens: 10 },
+      },
+    };
+  };
+  firestoreGetMock = async () => ({
+    exists: true,
+    data: () => ({ transcript }),
+  });
+
+  const { splitIntoChunks } = require('../lib/transcript-chunking');
+  const chunks = splitIntoChunks(transcript, {
+    chunkTokens: 150,
+    overlapTokens: 20,
+  });
+  assert.ok(chunks.length > 2);
+  chunks.slice(1).forEach((chunk, index) => {
+    const overlap = chunk.slice(0, 40);
+    assert.ok(chunks[index].includes(overlap));
+  });
+
+  const mod = loadAppWithMocks({
+    env: {
+      TRANSCRIPT_TOKEN_BUDGET: '150',
+      TRANSCRIPT_CHUNK_OVERLAP_TOKENS: '20',
+    },
+  });
+  const res = await invokeHandlers(
+    [mod.testHandlers.openAiChatYoutubeTranscriptHandler],
+    {
+      method: 'POST',
+      path: '/api/openai-chat-youtube-transcript',
+      url: '/api/openai-chat-youtube-transcript',
+      body: { videoID: 'long-video', responseFormat: 'normalized' },
+      headers: {},
+      query: {},
+    },
+  );
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.text, 'Merged summary');
+  assert.equal(res.body.chunked, true);
+  assert.equal(res.body.chunkCount, chunks.length);
+  assert.equal(requests.length, chunks.length + 1);
+  assert.deepEqual(res.body.usage, {
+    inputTokens: 100 * (chunks.length + 1),
+    outputTokens: 10 * (chunks.length + 1),
+  });
+  // latencyMs includes the chunk calls, not just the final summary.
+  assert.ok(res.body.latencyMs >= 20);
+  const finalInput = requests.at(-1).input;
+  assert.match(finalInput[0].content, /One Sentence Summary/);
+  assert.ok(finalInput[1].content.includes(`### Part ${chunks.length}\nnotes`));
+});
+
+test('Transcript summaries are cached per video, prompt version, provider and model', async () => {
+  let calls = 0;
+  mockAxios.post = async (url, payload) => {
+    calls += 1;
+    const isTags = payload.input[0].content.includes('SEO');
+    const text = isTags
+      ? '["caching"]'
+      : wellFormedSummary(`Summary ${calls}.`);
+    return {
+      data: {
+        status: 'completed',
+        output: [{ content: [{ type: 'output_text', text }] }],
+        usage: { input_tokens: 10, output_tokens: 5 },
+      },
+    };
+  };
+  let transcriptReads = 0;
+  firestoreGetMock = async () => {
+    transcriptReads += 1;
+    return { exists: true, data: () => ({ transcript: 'Short transcript.' }) };
+  };
+
+  const mod = loadAppWithMocks({
+    env: {
+      MODEL_ALLOWLIST: JSON.stringify({ default: { openai: ['gpt-4o'] } }),
+    },
+  });
+  const invoke = (body) =>
+    invokeHandlers([mod.testHandlers.openAiChatYoutubeTranscriptHandler], {
+      method: 'POST',
+      path: '/api/openai-chat-youtube-transcript',
+      url: '/api/openai-chat-youtube-transcript',
+      body: { videoID: 'vid-1', responseFormat: 'normalized', ...body },
+      headers: {},
+      query: {},
+    });
+
+  const first = await invoke();
+  assert.equal(first.body.text, wellFormedSummary('Summary 1.'));
+  assert.deepEqual(first.body.cache, { hit: false });
+
+  const second = await invoke();
+  assert.equal(second.body.text, wellFormedSummary('Summary 1.'));
+  assert.equal(second.body.cache.hit, true);
+  assert.equal(typeof second.body.cache.cachedAt, 'string');
+  assert.equal(calls, 1);
+  assert.equal(transcriptReads, 1);
+
+  const otherModel = await invoke({ model: 'gpt-4o' });
+  assert.equal(otherModel.body.cache.hit, false);
+  assert.equal(calls, 2);
+
+  const refreshed = await invoke({ refresh: true });
+  assert.equal(refreshed.body.text, wellFormedSummary('Summary 3.'));
+  assert.equal(refreshed.body.cache.hit, false);
+  assert.equal((await invoke()).body.text, wellFormedSummary('Summary 3.'));
+  assert.equal(calls, 3);
+
+  const { buildSummaryCacheKey } = require('../lib/summary-cache');
+  const keyParts = {
+    videoID: 'vid-1',
+    prompts: { transcript_summary: 'v1', transcript_chunk_notes: 'v1' },
+    provider: 'openai',
+    model: 'gpt-4o-mini',
+  };
+  assert.notEqual(
+    buildSummaryCacheKey(keyParts),
+    buildSummaryCacheKey({
+      ...keyParts,
+      prompts: { ...keyParts.prompts, transcript_summary: 'v2' },
+    }),
+  );
+});
+
+test('Summary-plus-tags v2 flow works for Anthropic with the OpenAI response shape', async () => {
+  const systems = [];
+  const tags = ['rust', 'memory safety', 'ownership', 'borrowing', 'systems'];
+  anthropicCreateMock = async (params) => {
+    systems.push(params.system);
+    const content = params.tool_choice
+      ? [{ type: 'tool_use', name: params.tool_choice.name, input: { tags } }]
+      : [{ type: 'text', text: '## One Sentence Summary\nRust is safe.' }];
+    return {
+      id: `msg_${systems.length}`,
+      content,
+      stop_reason: params.tool_choice ? 'tool_use' : 'end_turn',
+      usage: { input_tokens: 40, output_tokens: 8 },
+    };
+  };
+  firestoreGetMock = async () => ({
+    exists: true,
+    data: () => ({ transcript: 'A talk about Rust.' }),
+  });
+
+  const mod = loadAppWithMocks();
+  const invoke = (body) =>
+    invokeHandlers([mod.testHandlers.anthropicTranscriptV2Handler], {
+      method: 'POST',
+      path: '/api/anthropic-chat-youtube-transcript-v2',
+      url: '/api/anthropic-chat-youtube-transcript-v2',
+      body,
+      headers: {},
+      query: {},
+    });
+
+  const res = await invoke({ videoID: 'rust-talk' });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.summaryText, '## One Sentence Summary\nRust is safe.');
+  assert.equal(res.body.text, res.body.summaryText);
+  assert.deepEqual(res.body.tags, tags);
+  assert.equal(res.body.tagsSource, 'structured');
+  assert.equal(res.body.summary.stop_reason, 'end_turn');
+  assert.equal(systems.length, 2);
+
+  const normalized = await invoke({
+    videoID: 'rust-talk',
+    responseFormat: 'normalized',
+    refresh: true,
+  });
+  assert.equal(normalized.body.provider, 'anthropic');
+  assert.equal(normalized.body.model, 'claude-3-5-haiku-latest');
+  assert.deepEqual(normalized.body.tags, tags);
+  assert.deepEqual(normalized.body.usage, {
+    inputTokens: 80,
+    outputTokens: 16,
+  });
+});
+
+test('Tag generation uses JSON schema output, repairs once, then falls back', async () => {
+  const tagPayloads = [];
+  let tagReplies = [];
+  mockAxios.post = async (url, payload) => {
+    const isTags = payload.text.format.type === 'json_schema';
+    if (isTags) tagPayloads.push(payload);
+    const reply = isTags ? tagReplies.shift() : 'Summary';
+    if (reply instanceof Error) throw reply;
+    return {
+      data: {
+        output: [
+          {
+            content: [
+              {
+                type: 'output_text',
+                text: reply,
+              },
+            ],
+          },
+        ],
+        usage: { input_tokens: 10, output_tokens: 5 },
+      },
+    };
+  };
+  firestoreGetMock = async () => ({
+    exists: true,
+    data: () => ({ transcript: 'A talk about Rust.' }),
+  });
+
+  const mod = loadAppWithMocks();
+  const invoke = () =>
+    invokeHandlers([mod.testHandlers.openAiTranscriptV2Handler], {
+      method: 'POST',
+      path: '/api/openai-chat-youtube-transcript-v2',
+      url: '/api/openai-chat-youtube-transcript-v2',
+      body: { videoID: 'rust-talk', refresh: true },
+      headers: {},
+      query: {},
+    });
+
+  tagReplies = [
+    '{"tags": ["rust", "Rust", "safety"]}',
+    '```json\n{"tags": [" rust ", "safety", "ownership", "borrowing", "cargo", "RUST"]}\n```',
+  ];
+  const repaired = await invoke();
+  assert.equal(repaired.statusCode, 200);
+  assert.deepEqual(repaired.body.tags, [
+    'rust',
+    'safety',
+    'ownership',
+    'borrowing',
+    'cargo',
+  ]);
+  assert.equal(repaired.body.tagsSource, 'structured');
+  assert.equal(tagPayloads.length, 2);
+  assert.equal(tagPayloads[0].text.format.strict, true);
+  const tagsPrompt = tagPayloads[0].input[0].content;
+  assert.ok(tagsPrompt.includes('{"tags": ["..."]}'));
+  assert.doesNotMatch(tagsPrompt, /plain array/);
+  assert.match(
+    tagPayloads[1].input.at(-1).content,
+    /expected 5-10 unique tags, got 2/,
+  );
+
+  tagReplies = ['not json', '- rust\n- safety\n- cargo'];
+  const fallback = await invoke();
+  assert.equal(fallback.statusCode, 200);
+  assert.deepEqual(fallback.body.tags, ['rust', 'safety', 'cargo']);
+  assert.equal(fallback.body.tagsSource, 'fallback');
+  assert.equal(tagPayloads.length, 4);
+
+  // A failed repair request keeps the summary and salvages the first reply.
+  const upstreamError = new Error('upstream down');
+  upstreamError.response = { status: 503, data: {} };
+  tagReplies = ['rust, safety', upstreamError];
+  const repairFailed = await invoke();
+  assert.equal(repairFailed.statusCode, 200);
+  assert.equal(repairFailed.body.summaryText, 'Summary');
+  assert.deepEqual(repairFailed.body.tags, ['rust', 'safety']);
+  assert.equal(repairFailed.body.tagsSource, 'fallback');
+  assert.equal(tagPayloads.length, 6);
+});
+
+test('Transcript chapters snap to real segment boundaries and render for YouTube', async () => {
+  const segments = Array.from({ length: 12 }, (_, index) => ({
+    start: index * 30 + 0.4,
+    end: index * 30 + 30.4,
+    text: `Line ${index + 1}`,
+  }));
+  const replies = [
+    JSON.stringify({
+      chapters: [
+        { start: '0:00', title: 'Intro', description: 'Why Rust.' },
+        { start: '1:45', title: 'Invented', description: 'Not a boundary.' },
+      ],
+    }),
+    JSON.stringify({
+      chapters: [
+        { start: '0:00', title: 'Intro', description: 'Why Rust.' },
+        { start: '2:00', title: 'Ownership', description: 'Moves.' },
+        { start: '4:00', title: 'Borrowing', description: 'References.' },
+      ],
+    }),
+  ];
+  const payloads = [];
+  mockAxios.post = async (url, payload) => {
+    payloads.push(payload);
+    return {
+      data: {
+        output: [{ content: [{ type: 'output_text', text: replies.shift() }] }],
+        usage: { input_tokens: 100, output_tokens: 20 },
+      },
+    };
+  };
+
+  const mod = loadAppWithMocks();
+  const invoke = (body) =>
+    invokeHandlers([mod.testHandlers.transcriptChaptersHandler], {
+      method: 'POST',
+      path: '/api/transcript-chapters',
+      url: '/api/transcript-chapters',
+      body,
+      headers: {},
+      query: {},
+    });
+
+  const res = await invoke({ provider: 'openai', segments });
+  assert.equal(res.statusCode, 200);
+  assert.equal(payloads.length, 2);
+  assert.equal(payloads[0].text.format.name, 'transcript_chapters');
+  assert.match(
+    payloads[0].input[1].content,
+    /^\[0:00\] Line 1\n\[0:30\] Line 2/,
+  );
+  assert.match(
+    payloads[1].input.at(-1).content,
+    /"1:45": not a segment boundary/,
+  );
+  assert.equal(res.body.repaired, true);
+  assert.deepEqual(
+    res.body.chapters.map((chapter) => [chapter.start, chapter.end]),
+    [
+      [0.4, 120.4],
+      [120.4, 240.4],
+      [240.4, 360.4],
+    ],
+  );
+  assert.equal(
+    res.body.description,
+    '0:00 Intro\n2:00 Ownership\n4:00 Borrowing',
+  );
+  assert.deepEqual(res.body.usage, { inputTokens: 200, outputTokens: 40 });
+
+  const invalid = await invoke({
+    provider: 'openai',
+    segments: [{ start: -1, text: 'x' }],
+  });
+  assert.equal(invalid.statusCode, 400);
+  assert.match(invalid.body.error, /segments\[0\]\.start/);
+
+  firestoreGetMock = async () => ({
+    exists: true,
+    data: () => ({ transcript: 'Flat text only.' }),
+  });
+  const missing = await invoke({ provider: 'openai', videoID: 'flat' });
+  assert.equal(missing.statusCode, 404);
+  assert.equal(missing.body.error, 'No timed transcript segments were found.');
+});
+
+test('POST /api/transcript-qa answers from ranked passages and cites them', async () => {
+  const filler =
+    'We talked about the weather and other unrelated topics. '.repeat(40);
+  firestoreGetMock = async () => ({
+    exists: true,
+    data: () => ({
+      transcript: `${filler}Pricing starts at ten dollars per seat each month, and the pricing for teams is custom. ${filler}`,
+    }),
+  });
+  let payload;
+  mockAxios.post = async (url, body) => {
+    payload = body;
+    return {
+      data: {
+        output: [
+          {
+            content: [
+              {
+                type: 'output_text',
+                text: 'It costs ten dollars per seat [P1]. Teams get custom pricing [P1] [P9].',
+              },
+            ],
+          },
+        ],
+        usage: { input_tokens: 300, output_tokens: 20 },
+      },
+    };
+  };
+
+  const mod = loadAppWithMocks();
+  const invoke = (body) =>
+    invokeHandlers([mod.testHandlers.transcriptQaHandler], {
+      method: 'POST',
+      path: '/api/transcript-qa',
+      url: '/api/transcript-qa',
+      body,
+      headers: {},
+      query: {},
+    });
+
+  const res = await invoke({
+    provider: 'openai',
+    videoID: 'pricing-talk',
+    question: 'What did they say about pricing?',
+    topK: 2,
+  });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.found, true);
+  assert.equal(res.body.provider, 'openai');
+  assert.ok(res.body.passages.length >= 1 && res.body.passages.length <= 2);
+  assert.deepEqual(
+    res.body.citations.map((citation) => citation.id),
+    ['P1'],
+  );
+  assert.match(res.body.citations[0].text, /Pricing starts at ten dollars/);
+  assert.match(payload.input[1].content, /^Transcript passages:\n\n\[P1\]/);
+  assert.match(
+    payload.input[1].content,
+    /Question: What did they say about pricing\?$/,
+  );
+
+  const unmatched = await invoke({
+    provider: 'openai',
+    videoID: 'pricing-talk',
+    question: 'Kubernetes?',
+  });
+  assert.deepEqual(unmatched.body, {
+    answer: null,
+    language: 'en',
+    found: false,
+    citations: [],
+    passages: [],
+  });
+
+  const invalid = await invoke({ provider: 'openai', videoID: 'x' });
+  assert.equal(invalid.statusCode, 400);
+  assert.match(invalid.body.error, /"question"/);
+
+  firestoreGetMock = async () => ({ exists: false });
+  const missing = await invoke({
+    provider: 'openai',
+    videoID: 'nope',
+    question: 'Pricing?',
+  });
+  assert.equal(missing.statusCode, 404);
+});
+
+test('Transcript routes write in a configured output language, keyed into the cache', async () => {
+  const instructions = [];
+  mockAxios.post = async (url, payload) => {
+    instructions.push(payload.input[0].content);
+    return {
+      data: {
+        output: [
+          {
+            content: [
+              {
+                type: 'output_text',
+                text: wellFormedSummary(`Summary ${instructions.length}.`),
+              },
+            ],
+          },
+        ],
+      },
+    };
+  };
+  firestoreGetMock = async () => ({
+    exists: true,
+    data: () => ({ transcript: 'Short transcript.' }),
+  });
+
+  const mod = loadAppWithMocks({
+    env: { TRANSCRIPT_OUTPUT_LANGUAGES: 'en, es, pt-br, not_a_tag' },
+  });
+  const invoke = (body) =>
+    invokeHandlers([mod.testHandlers.openAiChatYoutubeTranscriptHandler], {
+      method: 'POST',
+      path: '/api/openai-chat-youtube-transcript',
+      url: '/api/openai-chat-youtube-transcript',
+      body: { videoID: 'lang-1', responseFormat: 'normalized', ...body },
+      headers: {},
+      query: {},
+    });
+
+  const spanish = await invoke({ language: 'es-MX' });
+  assert.equal(spanish.statusCode, 200);
+  assert.equal(spanish.body.language, 'es');
+  assert.match(instructions[0], /entire response in Spanish \(es\)/);
+
+  const english = await invoke({});
+  assert.equal(english.body.language, 'en');
+  assert.equal(english.body.cache.hit, false);
+  assert.match(instructions[1], /entire response in English \(en\)/);
+
+  const cached = await invoke({ language: 'es' });
+  assert.equal(cached.body.cache.hit, true);
+  assert.equal(cached.body.text, wellFormedSummary('Summary 1.'));
+  assert.equal(cached.body.language, 'es');
+  assert.equal(instructions.length, 2);
+
+  const unsupported = await invoke({ language: 'fr' });
+  assert.equal(unsupported.statusCode, 400);
+  assert.deepEqual(unsupported.body.supportedLanguages, ['en', 'es', 'pt-BR']);
+
+  const invalid = await invoke({ language: 'not a tag' });
+  assert.equal(invalid.statusCode, 400);
+  assert.match(invalid.body.error, /BCP-47/);
+});
+
+test('Summary styles swap in their versioned prompt family and are discoverable', async () => {
+  const instructions = [];
+  mockAxios.post = async (url, payload) => {
+    instructions.push(payload.input[0].content);
+    return {
+      data: {
+        output: [
+          {
+            content: [
+              { type: 'output_text', text: `Output ${instructions.length}` },
+            ],
+          },
+        ],
+      },
+    };
+  };
+  firestoreGetMock = async () => ({
+    exists: true,
+    data: () => ({ transcript: 'Short transcript.' }),
+  });
+
+  const mod = loadAppWithMocks({
+    env: { PROMPT_VERSION_TRANSCRIPT_TLDR: 'v9' },
+  });
+  const invoke = (body) =>
+    invokeHandlers([mod.testHandlers.openAiChatYoutubeTranscriptHandler], {
+      method: 'POST',
+      path: '/api/openai-chat-youtube-transcript',
+      url: '/api/openai-chat-youtube-transcript',
+      body: { videoID: 'style-1', responseFormat: 'normalized', ...body },
+      headers: {},
+      query: {},
+    });
+
+  const tldr = await invoke({ style: 'tldr' });
+  assert.equal(tldr.statusCode, 200);
+  assert.equal(tldr.body.style, 'tldr');
+  assert.match(instructions[0], /^Write a TL;DR/);
+
+  const defaultStyle = await invoke({});
+  assert.equal(defaultStyle.body.style, 'summary');
+  assert.equal(defaultStyle.body.cache.hit, false);
+  assert.doesNotMatch(instructions[1], /TL;DR/);
+
+  const cached = await invoke({ style: 'tldr' });
+  assert.equal(cached.body.cache.hit, true);
+  assert.equal(cached.body.text, 'Output 1');
+
+  const unknown = await invoke({ style: 'haiku' });
+  assert.equal(unknown.statusCode, 400);
+  assert.ok(unknown.body.supportedStyles.includes('executive_brief'));
+  assert.equal(instructions.length, 2);
+
+  const discovery = await invokeHandlers(
+    [mod.testHandlers.summaryStylesHandler],
+    { method: 'GET', path: '/api/summary-styles', headers: {}, query: {} },
+  );
+  assert.equal(discovery.body.defaultStyle, 'summary');
+  const byStyle = Object.fromEntries(
+    discovery.body.styles.map((entry) => [entry.style, entry]),
+  );
+  assert.deepEqual(Object.keys(byStyle), [
+    'summary',
+    'study_notes',
+    'tldr',
+    'social_thread',
+    'executive_brief',
+  ]);
+  // Unknown versions fall back to the default, as for every other prompt.
+  assert.deepEqual(byStyle.tldr.prompts, { transcript_tldr: 'v1' });
+  assert.deepEqual(byStyle.summary.prompts, {
+    transcript_summary: 'v1',
+    transcript_summary_v2: 'v1',
+  });
+});
+
+test('Prompt registry serves Firestore versions, promotes them and falls back to the library', async () => {
+  const instructions = [];
+  mockAxios.post = async (url, payload) => {
+    instructions.push(payload.input[0].content);
+    return {
+      data: { output: [{ content: [{ type: 'output_text', text: 'TL;DR' }] }] },
+    };
+  };
+  firestoreGetMock = async () => ({
+    exists: true,
+    data: () => ({ transcript: 'Short transcript.' }),
+  });
+
+  const mod = loadAppWithMocks({ env: { PROMPT_CACHE_TTL_MS: '1' } });
+  const {
+    openAiChatYoutubeTranscriptHandler,
+    createPromptVersionHandler,
+    promotePromptVersionHandler,
+    promptVersionsHandler,
+  } = mod.testHandlers;
+  const admin = (handler, path, body) =>
+    invokeHandlers([handler], {
+      method: body ? 'POST' : 'GET',
+      path,
+      url: path,
+      params: { promptKey: 'transcript_tldr' },
+      body,
+      headers: {},
+      query: {},
+    });
+  const summarize = () =>
+    invokeHandlers([openAiChatYoutubeTranscriptHandler], {
+      method: 'POST',
+      path: '/api/openai-chat-youtube-transcript',
+      url: '/api/openai-chat-youtube-transcript',
+      body: { videoID: 'registry-1', style: 'tldr', refresh: true },
+      headers: {},
+      query: {},
+    });
+  const wait = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+  await summarize();
+  assert.match(instructions[0], /^Write a TL;DR/);
+
+  const created = await admin(
+    createPromptVersionHandler,
+    '/api/prompts/transcript_tldr/versions',
+    { prompt: 'One sentence only.' },
+  );
+  assert.equal(created.statusCode, 201);
+  assert.equal(created.body.version, 'v2');
+  assert.equal(created.body.activeVersion, 'v1');
+  await summarize();
+  assert.match(instructions[1], /^Write a TL;DR/);
+
+  const promoted = await admin(
+    promotePromptVersionHandler,
+    '/api/prompts/transcript_tldr/active',
+    { version: 'v2' },
+  );
+  assert.equal(promoted.body.previousVersion, 'v1');
+  await summarize();
+  assert.match(instructions[2], /^One sentence only\./);
+
+  // Another instance edits the document; this one reloads after the TTL.
+  firestoreDocs.set('prompts::transcript_tldr', {
+    ...firestoreDocs.get('prompts::transcript_tldr'),
+    activeVersion: 'v1',
+  });
+  await wait();
+  await summarize();
+  assert.match(instructions[3], /^Write a TL;DR/);
+
+  // A missing active version falls back to the built-in default.
+  firestoreDocs.set('prompts::transcript_tldr', { activeVersion: 'v7' });
+  await wait();
+  await summarize();
+  assert.match(instructions[4], /^Write a TL;DR/);
+
+  const duplicate = await admin(
+    createPromptVersionHandler,
+    '/api/prompts/transcript_tldr/versions',
+    { prompt: 'Again.', version: 'v1' },
+  );
+  assert.equal(duplicate.statusCode, 409);
+  const unknown = await admin(
+    promotePromptVersionHandler,
+    '/api/prompts/transcript_tldr/active',
+    { version: 'v9' },
+  );
+  assert.equal(unknown.statusCode, 404);
+  for (const version of ['constructor', 'toString']) {
+    const inherited = await admin(
+      promotePromptVersionHandler,
+      '/api/prompts/transcript_tldr/active',
+      { version },
+    );
+    assert.equal(inherited.statusCode, 400);
+  }
+  const reserved = await admin(
+    createPromptVersionHandler,
+    '/api/prompts/transcript_tldr/versions',
+    { prompt: 'Again.', version: 'constructor' },
+  );
+  assert.equal(reserved.statusCode, 400);
+  // A stored activeVersion naming an inherited property is ignored too.
+  firestoreDocs.set('prompts::transcript_tldr', {
+    activeVersion: 'constructor',
+  });
+  await wait();
+  await summarize();
+  assert.match(instructions[5], /^Write a TL;DR/);
+
+  firestoreDocs.clear();
+  await admin(
+    createPromptVersionHandler,
+    '/api/prompts/transcript_tldr/versions',
+    { prompt: 'Short.', version: 'short', activate: true },
+  );
+  const listed = await admin(
+    promptVersionsHandler,
+    '/api/prompts/transcript_tldr',
+  );
+  assert.equal(listed.body.activeVersion, 'short');
+  assert.equal(listed.body.defaultVersion, 'v1');
+  assert.deepEqual(
+    listed.body.versions.map(({ version, source }) => [version, source]),
+    [
+      ['v1', 'builtin'],
+      ['short', 'firestore'],
+    ],
+  );
+});
+
+test('Prompt rollouts split traffic per caller and trusted keys can force a version', async () => {
+  mockAxios.post = async (url, payload) => ({
+    data: {
+      output: [
+        { content: [{ type: 'output_text', text: payload.input[0].content }] },
+      ],
+      usage: { input_tokens: 10, output_tokens: 5 },
+    },
+  });
+  firestoreGetMock = async () => ({
+    exists: true,
+    data: () => ({ transcript: 'Short transcript.' }),
+  });
+
+  const mod = loadAppWithMocks({
+    env: { PROMPT_OVERRIDE_KEYS: 'trusted-key' },
+  });
+  const {
+    openAiChatYoutubeTranscriptHandler,
+    createPromptVersionHandler,
+    promptRolloutHandler,
+  } = mod.testHandlers;
+  const admin = (handler, body) =>
+    invokeHandlers([handler], {
+      method: 'POST',
+      path: '/api/prompts/transcript_tldr',
+      params: { promptKey: 'transcript_tldr' },
+      body,
+      headers: {},
+      query: {},
+    });
+  const summarize = (body, apiAccessKey = 'client-key') =>
+    invokeHandlers([openAiChatYoutubeTranscriptHandler], {
+      method: 'POST',
+      path: '/api/openai-chat-youtube-transcript',
+      url: '/api/openai-chat-youtube-transcript',
+      body: {
+        videoID: 'rollout-1',
+        style: 'tldr',
+        responseFormat: 'normalized',
+        refresh: true,
+        ...body,
+      },
+      apiAccessKey,
+      headers: {},
+      query: {},
+    });
+
+  await admin(createPromptVersionHandler, { prompt: 'Candidate TL;DR.' });
+  const invalid = await admin(promptRolloutHandler, { rollout: { v2: 120 } });
+  assert.equal(invalid.statusCode, 400);
+  for (const rolloutJson of ['{"constructor": 10}', '{"__proto__": 10}']) {
+    const inherited = await admin(promptRolloutHandler, {
+      rollout: JSON.parse(rolloutJson),
+    });
+    assert.equal(inherited.statusCode, 400);
+    assert.match(inherited.body.error, /does not exist/);
+  }
+  const rollout = await admin(promptRolloutHandler, { rollout: { v2: 30 } });
+  assert.deepEqual(rollout.body.rollout, { v2: 30 });
+
+  const served = [];
+  for (let index = 0; index < 40; index += 1) {
+    const res = await summarize({ userId: `user-${index}` });
+    served.push(res.body.prompts.transcript_tldr);
+    assert.equal(
+      res.body.text.startsWith('Candidate'),
+      res.body.prompts.transcript_tldr === 'v2',
+    );
+  }
+  const onCandidate = served.filter((version) => version === 'v2').length;
+  assert.ok(onCandidate > 4 && onCandidate < 20, `v2 served ${onCandidate}/40`);
+  const again = await summarize({ userId: 'user-7' });
+  assert.equal(again.body.prompts.transcript_tldr, served[7]);
+
+  const forced = await summarize(
+    { userId: 'user-7', promptVersions: { transcript_tldr: 'v2' } },
+    'trusted-key',
+  );
+  assert.equal(forced.body.prompts.transcript_tldr, 'v2');
+  assert.equal(
+    (
+      await summarize(
+        { promptVersions: { transcript_tldr: 'v2' } },
+        'client-key',
+      )
+    ).statusCode,
+    403,
+  );
+  const missing = await summarize(
+    { promptVersions: { transcript_tldr: 'v5' } },
+    'trusted-key',
+  );
+  assert.equal(missing.statusCode, 400);
+  assert.match(missing.body.error, /"v5" of "transcript_tldr"/);
+  for (const version of ['constructor', '__proto__']) {
+    const inherited = await summarize(
+      { promptVersions: { transcript_tldr: version } },
+      'trusted-key',
+    );
+    assert.equal(inherited.statusCode, 400);
+    assert.equal(
+      inherited.body.error,
+      `Version "${version}" of "transcript_tldr" does not exist.`,
+    );
+  }
+  const unused = await summarize(
+    { promptVersions: { transcript_qa: 'v1' } },
+    'trusted-key',
+  );
+  assert.equal(unused.statusCode, 400);
+
+  const usagePrompts = [...firestoreDocs.entries()]
+    .filter(([key]) => key.startsWith('usage_daily::'))
+    .map(([, entry]) => entry.prompts.transcript_tldr);
+  assert.deepEqual([...new Set(usagePrompts)].sort(), ['v1', 'v2']);
+});
+
+test('Prompt template variables render typed values and reject invalid ones', async () => {
+  const payloads = [];
+  mockAxios.post = async (url, payload) => {
+    payloads.push(payload);
+    return {
+      data: {
+        output: [
+          {
+            content: [
+              { type: 'output_text', text: '{"tags": ["ai", "ml", "llm"]}' },
+            ],
+          },
+        ],
+      },
+    };
+  };
+  firestoreGetMock = async () => ({
+    exists: true,
+    data: () => ({ transcript: 'Short transcript.' }),
+  });
+
+  const mod = loadAppWithMocks();
+  const invoke = (handler, body) =>
+    invokeHandlers([handler], {
+      method: 'POST',
+      path: '/api/transcript',
+      url: '/api/transcript',
+      body: { videoID: 'vars-1', responseFormat: 'normalized', ...body },
+      headers: {},
+      query: {},
+    });
+  const { openAiChatYoutubeTranscriptHandler, openAiTranscriptV2Handler } =
+    mod.testHandlers;
+
+  const defaults = await invoke(openAiChatYoutubeTranscriptHandler, {});
+  assert.equal(defaults.statusCode, 200);
+  // Defaults render the wording the prompt had before it took variables.
+  const original = promptLibrary.transcript_summary.v1
+    .replace('{{summaryWords}}', '20')
+    .replace('{{mainPointCount}}', '10')
+    .replace('{{mainPointWords}}', '16')
+    .replace('{{takeawayCount}}', '5')
+    .replace(/\n+\{\{audience\}\}\n\{\{tone\}\}$/, '');
+  assert.ok(payloads[0].input[0].content.startsWith(`${original}\n\nWrite`));
+
+  const custom = await invoke(openAiChatYoutubeTranscriptHandler, {
+    variables: { mainPointCount: 7, audience: 'beginner' },
+  });
+  assert.equal(custom.body.cache.hit, false);
+  assert.match(payloads[1].input[0].content, /A list of 7 key takeaways/);
+  assert.match(payloads[1].input[0].content, /Write for beginners/);
+  assert.doesNotMatch(payloads[1].input[0].content, /\{\{/);
+
+  const invalid = [
+    [{ mainPointCount: 50 }, 'mainPointCount', /between 3 and 20/],
+    [{ audience: 'toddlers' }, 'audience', /one of: general/],
+    [{ colour: 'blue' }, 'colour', /Unknown variable/],
+  ];
+  for (const [variables, variable, error] of invalid) {
+    const res = await invoke(openAiChatYoutubeTranscriptHandler, { variables });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.variable, variable);
+    assert.match(res.body.error, error);
+  }
+  const tagsOnLegacy = await invoke(openAiChatYoutubeTranscriptHandler, {
+    variables: { maxTags: 4 },
+  });
+  assert.equal(tagsOnLegacy.statusCode, 400);
+  const inverted = await invoke(openAiTranscriptV2Handler, {
+    variables: { minTags: 6, maxTags: 4 },
+  });
+  assert.equal(inverted.statusCode, 400);
+  assert.equal(inverted.body.variable, 'maxTags');
+  assert.equal(payloads.length, 2);
+
+  const tagged = await invoke(openAiTranscriptV2Handler, {
+    variables: { minTags: 3, maxTags: 4 },
+  });
+  assert.equal(tagged.statusCode, 200);
+  assert.deepEqual(tagged.body.tags, ['ai', 'ml', 'llm']);
+  assert.ok(
+    payloads.some((payload) =>
+      JSON.stringify(payload.input).includes('containing 3 to 4 unique tags'),
+    ),
+  );
+
+  const discovery = await invokeHandlers(
+    [mod.testHandlers.summaryStylesHandler],
+    { method: 'GET', path: '/api/summary-styles', headers: {}, query: {} },
+  );
+  const tldr = discovery.body.styles.find((entry) => entry.style === 'tldr');
+  assert.deepEqual(tldr.variables.maxWords, {
+    type: 'integer',
+    description: 'Maximum length of the paragraph, in words.',
+    default: 80,
+    min: 20,
+    max: 200,
+  });
+
+  const undeclared = await invokeHandlers(
+    [mod.testHandlers.createPromptVersionHandler],
+    {
+      method: 'POST',
+      path: '/api/prompts/transcript_tldr/versions',
+      params: { promptKey: 'transcript_tldr' },
+      body: { prompt: 'At most {{maxWords}} words, {{style}} style.' },
+      headers: {},
+      query: {},
+    },
+  );
+  assert.equal(undeclared.statusCode, 400);
+  assert.equal(undeclared.body.variable, 'style');
+});
+
+test('Prompt eval scores versions with structural checks and compares them', async () => {
+  const {
+    parseEvalArgs,
+    resolveEvalVariables,
+    runPromptEval,
+    summarizePromptEval,
+    formatPromptEvalReport,
+  } = require('../lib/prompt-eval');
+  const { promptVariables, defaultPromptVersions } = require('../api/prompts');
+
+  const options = parseEvalArgs(
+    ['--versions', 'v1,short=prompts/short.md', '--providers', 'openai,mock'],
+    { library: promptLibrary, defaultVersions: defaultPromptVersions },
+  );
+  assert.equal(options.promptKey, 'transcript_summary');
+  assert.deepEqual(options.versions, [
+    { version: 'v1', file: null },
+    { version: 'short', file: 'prompts/short.md' },
+  ]);
+  assert.match(
+    parseEvalArgs(['--versions', 'v9', '--providers', 'openai'], {
+      library: promptLibrary,
+      defaultVersions: defaultPromptVersions,
+    }).error,
+    /not built in/,
+  );
+  assert.match(
+    resolveEvalVariables(promptVariables, 'transcript_summary', {
+      takeawayCount: 0,
+    }).error,
+    /takeawayCount/,
+  );
+
+  const numbered = (count, words) =>
+    Array.from(
+      { length: count },
+      (_, index) => `${index + 1}. ${'word '.repeat(words).trim()}`,
+    ).join('\n');
+  const wellFormed = [
+    '## One Sentence Summary',
+    'A short sentence about sourdough.',
+    '## Main Points',
+    numbered(10, 8),
+    '## Takeaways',
+    numbered(5, 6),
+  ].join('\n');
+  const malformed = [
+    '## One Sentence Summary',
+    'A short sentence.',
+    '## Main Points',
+    numbered(7, 20),
+  ].join('\n');
+
+  const { definitions, values } = resolveEvalVariables(
+    promptVariables,
+    'transcript_summary',
+    undefined,
+  );
+  const versions = [
+    { version: 'v1', template: promptLibrary.transcript_summary.v1 },
+    { version: 'short', template: 'Summarize in {{mainPointCount}} points.' },
+  ];
+  const providers = [
+    { spec: 'openai', provider: 'openai', model: null },
+    { spec: 'mock', provider: 'mock', model: null },
+  ];
+  const calls = [];
+  const results = await runPromptEval({
+    promptKey: 'transcript_summary',
+    versions,
+    providers,
+    fixtures: [
+      { id: 'bread', transcript: 'Bake bread.' },
+      { id: 'db', transcript: 'Index tables.' },
+    ],
+    definitions,
+    values,
+    complete: async ({ provider, messages, recordingKey }) => {
+      calls.push(recordingKey);
+      if (provider === 'mock') throw new Error('provider unavailable');
+      return messages[0].content.startsWith('Summarize in 10 points.')
+        ? malformed
+        : wellFormed;
+    },
+  });
+  assert.equal(calls.length, 8);
+  assert.match(calls[0], /^bread\|transcript_summary@[0-9a-f]{16}\|openai$/);
+
+  const report = summarizePromptEval({
+    promptKey: 'transcript_summary',
+    versions,
+    providers,
+    results,
+  });
+  const row = (version, provider) =>
+    report.rows.find(
+      (entry) => entry.version === version && entry.provider === provider,
+    );
+  assert.equal(row('v1', 'openai').passed, 2);
+  assert.deepEqual(row('v1', 'openai').failures, {});
+  assert.equal(row('short', 'openai').passed, 0);
+  assert.deepEqual(row('short', 'openai').failures, {
+    sections: 2,
+    mainPointCount: 2,
+    mainPointWords: 2,
+    takeawayCount: 2,
+  });
+  assert.equal(row('v1', 'mock').errors, 2);
+  assert.ok(report.results.every((result) => !('text' in result)));
+
+  const markdown = formatPromptEvalReport(report);
+  assert.match(markdown, /\| v1 \| openai \| 2\/2 \| 0 \|/);
+  assert.match(
+    markdown,
+    /bread \/ short \/ openai: sections: missing sections: Takeaways; mainPointCount: expected 10 items in "Main Points", got 7/,
+  );
+});
+
+test('Prompt eval --mock scores the bundled fixtures offline and deterministically', () => {
+  const { execFileSync } = require('node:child_process');
+  const path = require('node:path');
+  const { parseEvalArgs } = require('../lib/prompt-eval');
+  const { defaultPromptVersions } = require('../api/prompts');
+
+  const parse = (args) =>
+    parseEvalArgs(args, {
+      library: promptLibrary,
+      defaultVersions: defaultPromptVersions,
+    });
+  assert.deepEqual(parse(['--mock']).providers, [
+    { spec: 'mock', provider: 'mock', model: null },
+  ]);
+  assert.equal(parse(['--mock', '--providers', 'openai']).mock, true);
+  assert.match(
+    parse(['--mock', '--replay', 'eval-recording.json']).error,
+    /cannot be combined/,
+  );
+
+  const runEval = (promptKey) =>
+    JSON.parse(
+      execFileSync(
+        process.execPath,
+        [
+          path.join(__dirname, '..', 'scripts', 'eval-prompts.js'),
+          '--mock',
+          '--prompt',
+          promptKey,
+          '--versions',
+          Object.keys(promptLibrary[promptKey]).join(','),
+          '--format',
+          'json',
+        ],
+        {
+          cwd: path.join(__dirname, '..'),
+          env: { ...process.env, BASE_URL: 'http://127.0.0.1:9' },
+          encoding: 'utf-8',
+          timeout: 30000,
+        },
+      ),
+    );
+
+  [
+    'transcript_summary',
+    'transcript_summary_v2',
+    'transcript_tags',
+    'transcript_study_notes',
+    'transcript_tldr',
+    'transcript_social_thread',
+    'transcript_executive_brief',
+  ].forEach((promptKey) => {
+    const report = runEval(promptKey);
+    assert.ok(report.results.length >= 2, promptKey);
+    report.rows.forEach((row) => {
+      assert.equal(row.errors, 0, promptKey);
+      assert.equal(row.passed, row.runs, promptKey);
+    });
+  });
+  assert.deepEqual(
+    runEval('transcript_summary'),
+    runEval('transcript_summary'),
+  );
+});
+
+test('Summary output is validated per prompt key and repaired once with the errors', async () => {
+  const wellFormed = wellFormedSummary();
+  const replies = [];
+  const payloads = [];
+  mockAxios.post = async (url, payload) => {
+    payloads.push(payload);
+    return {
+      data: {
+        output: [{ content: [{ type: 'output_text', text: replies.shift() }] }],
+      },
+    };
+  };
+  firestoreGetMock = async () => ({
+    exists: true,
+    data: () => ({ transcript: 'Short transcript.' }),
+  });
+
+  const mod = loadAppWithMocks({
+    env: {
+      SUMMARY_OUTPUT_REPAIR: 'true',
+      TRANSCRIPT_OUTPUT_LANGUAGES: 'en,es',
+    },
+  });
+  const invoke = (body) =>
+    invokeHandlers([mod.testHandlers.openAiChatYoutubeTranscriptHandler], {
+      method: 'POST',
+      path: '/api/openai-chat-youtube-transcript',
+      url: '/api/openai-chat-youtube-transcript',
+      body: { responseFormat: 'normalized', ...body },
+      headers: {},
+      query: {},
+    });
+
+  replies.push(wellFormed.replace('10. Point 9\n', ''), wellFormed);
+  const repaired = await invoke({ videoID: 'valid-1' });
+  assert.equal(repaired.statusCode, 200);
+  assert.equal(payloads.length, 2);
+  const repairRequest = payloads[1].input;
+  assert.equal(repairRequest.at(-2).role, 'assistant');
+  assert.match(
+    repairRequest.at(-1).content,
+    /- mainPointCount: expected 10 items in "Main Points", got 9/,
+  );
+  assert.equal(repaired.body.text, wellFormed);
+  assert.deepEqual(repaired.body.validation, {
+    passed: true,
+    repairAttempted: true,
+    errors: [],
+  });
+
+  const cached = await invoke({ videoID: 'valid-1' });
+  assert.equal(cached.body.cache.hit, true);
+  assert.equal(cached.body.validation.repairAttempted, true);
+
+  // A repair that makes things worse keeps the original reply.
+  replies.push('## Main Points\n1. Only one', 'Sorry, no summary.');
+  const unrepaired = await invoke({ videoID: 'valid-2' });
+  assert.equal(unrepaired.body.text, '## Main Points\n1. Only one');
+  assert.equal(unrepaired.body.validation.passed, false);
+  assert.ok(
+    unrepaired.body.validation.errors.includes(
+      'sections: missing sections: One Sentence Summary, Takeaways',
+    ),
+  );
+
+  // Output that failed validation is not cached, so it is generated again.
+  replies.push(wellFormed);
+  const retried = await invoke({ videoID: 'valid-2' });
+  assert.equal(retried.body.cache.hit, false);
+  assert.equal(retried.body.validation.passed, true);
+
+  // Translated headings are matched by position; valid output is not repaired.
+  replies.push(
+    wellFormed
+      .replace('One Sentence Summary', 'Resumen en una frase')
+      .replace('Main Points', 'Puntos principales')
+      .replace('Takeaways', 'Conclusiones'),
+  );
+  const spanish = await invoke({ videoID: 'valid-3', language: 'es' });
+  assert.equal(spanish.body.validation.passed, true);
+  assert.equal(spanish.body.validation.repairAttempted, false);
+  assert.equal(payloads.length, 6);
+});
+
+test('Summary jobs process videos with bounded concurrency and report per-item status', async () => {
+  firestoreGetMock = async (videoID) =>
+    videoID === 'missing'
+      ? { exists: false, data: () => ({}) }
+      : { exists: true, data: () => ({ transcript: `Transcript ${videoID}` }) };
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const flakyCallTimes = [];
+  let rejectedCalls = 0;
+  mockAxios.post = async (url, payload) => {
+    inFlight += 1;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    inFlight -= 1;
+    if (payload.input[1].content === 'Transcript rejected') {
+      rejectedCalls += 1;
+      const error = new Error('context length exceeded');
+      error.response = { status: 400, data: {} };
+      throw error;
+    }
+    if (payload.input[1].content === 'Transcript flaky') {
+      flakyCallTimes.push(Date.now());
+      const error = new Error('upstream down');
+      error.response = {
+        status: 503,
+        data: {},
+        headers: { 'retry-after': '1' },
+      };
+      throw error;
+    }
+    return {
+      data: {
+        output: [
+          {
+            content: [
+              {
+                type: 'output_text',
+                text: `Summary of ${payload.input[1].content}`,
+              },
+            ],
+          },
+        ],
+      },
+    };
+  };
+
+  const mod = loadAppWithMocks({
+    env: {
+      SUMMARY_JOB_CONCURRENCY: '2',
+      SUMMARY_JOB_MAX_ATTEMPTS: '2',
+      SUMMARY_JOB_RETRY_BASE_MS: '10',
+    },
+  });
+  const { createSummaryJobHandler, summaryJobStatusHandler } = mod.testHandlers;
+  const created = await invokeHandlers([createSummaryJobHandler], {
+    method: 'POST',
+    path: '/api/summary-jobs',
+    url: '/api/summary-jobs',
+    body: {
+      provider: 'openai',
+      videoIDs: ['a', 'b', 'a', 'missing', 'flaky', 'c', 'rejected'],
+    },
+    headers: {},
+    query: {},
+    apiAccessKey: 'client-key',
+  });
+  assert.equal(created.statusCode, 202);
+  assert.equal(created.body.itemCount, 6);
+  // Every item (and the flaky retry) fits in the creating request's budget.
+  assert.equal(created.body.status, 'completed');
+
+  // Both job routes run provider calls, so both are provider rate limited.
+  const jobRoutes = mod._router.stack
+    .filter((layer) =>
+      String(layer.route?.path).startsWith('/api/summary-jobs'),
+    )
+    .map((layer) => layer.route);
+  assert.equal(jobRoutes.length, 2);
+  jobRoutes.forEach((route) => {
+    assert.ok(
+      route.stack.some(
+        (layer) => layer.handle === mod.testHandlers.providerRateLimiter,
+      ),
+      `${route.path} is not provider rate limited`,
+    );
+  });
+
+  const poll = (apiAccessKey) =>
+    invokeHandlers([summaryJobStatusHandler], {
+      method: 'GET',
+      path: created.body.statusUrl,
+      url: created.body.statusUrl,
+      params: { jobId: created.body.jobId },
+      body: {},
+      headers: {},
+      query: {},
+      apiAccessKey,
+    });
+  const status = await poll('client-key');
+  assert.equal(status.statusCode, 200);
+  assert.equal(status.body.status, 'completed');
+  assert.equal(status.body.language, 'en');
+  assert.deepEqual(status.body.counts, {
+    queued: 0,
+    running: 0,
+    succeeded: 3,
+    failed: 3,
+  });
+  assert.deepEqual(
+    status.body.items.map((item) => [item.videoID, item.status, item.attempts]),
+    [
+      ['a', 'succeeded', 1],
+      ['b', 'succeeded', 1],
+      ['missing', 'failed', 1],
+      ['flaky', 'failed', 2],
+      ['c', 'succeeded', 1],
+      // A permanent upstream error (reported as a 500) is not retried.
+      ['rejected', 'failed', 1],
+    ],
+  );
+  assert.equal(status.body.items[5].error.retryable, false);
+  assert.equal(status.body.items[3].error.retryable, true);
+  assert.equal(rejectedCalls, 1);
+  assert.equal(status.body.items[0].result.text, 'Summary of Transcript a');
+  assert.equal(status.body.items[2].error.statusCode, 404);
+  assert.equal(flakyCallTimes.length, 2);
+  // The retry waited for the provider's Retry-After, not just the 10ms base.
+  assert.ok(flakyCallTimes[1] - flakyCallTimes[0] >= 900);
+  assert.ok(maxInFlight <= 2);
+
+  assert.equal((await poll('other-key')).statusCode, 404);
+
+  const invalid = await invokeHandlers([createSummaryJobHandler], {
+    method: 'POST',
+    path: '/api/summary-jobs',
+    url: '/api/summary-jobs',
+    body: { provider: 'openai', videoIDs: ['ok', 'bad/id'] },
+    headers: {},
+    query: {},
+  });
+  assert.equal(invalid.statusCode, 400);
+  assert.match(invalid.body.error, /videoIDs\[1\]/);
+});
+
+test('Pending summary jobs resume on startup and reclaim expired leases', async () => {
+  firestoreGetMock = async () => ({
+    exists: true,
+    data: () => ({ transcript: 'Resumed transcript' }),
+  });
+  mockAxios.post = async () => ({
+    data: {
+      output: [{ content: [{ type: 'output_text', text: 'Resumed summary' }] }],
+    },
+  });
+  const createdAt = new Date('2026-01-01T00:00:00Z');
+  firestoreDocs.set('summary_jobs::job-1', {
+    keyId: 'anonymous',
+    kind: 'summary',
+    provider: 'openai',
+    model: 'gpt-4o-mini',
+    language: 'en',
+    failover: true,
+    itemCount: 2,
+    status: 'pending',
+    createdAt,
+    updatedAt: createdAt,
+  });
+  firestoreDocs.set('summary_job_items::job-1_0', {
+    jobId: 'job-1',
+    index: 0,
+    videoID: 'done',
+    status: 'succeeded',
+    attempts: 1,
+    result: { text: 'Earlier summary' },
+  });
+  firestoreDocs.set('summary_job_items::job-1_1', {
+    jobId: 'job-1',
+    index: 1,
+    videoID: 'interrupted',
+    status: 'running',
+    attempts: 1,
+    leaseUntil: Date.now() - 1000,
+  });
+
+  const mod = loadAppWithMocks();
+  const { summaryJobRunner } = mod.testHandlers;
+  await summaryJobRunner.processJob('job-1');
+
+  const job = firestoreDocs.get('summary_jobs::job-1');
+  const item = firestoreDocs.get('summary_job_items::job-1_1');
+  assert.equal(job.status, 'completed');
+  assert.equal(item.status, 'succeeded');
+  assert.equal(item.attempts, 2);
+  assert.equal(item.result.text, 'Resumed summary');
+  assert.equal(
+    firestoreDocs.get('summary_job_items::job-1_0').result.text,
+    'Earlier summary',
+  );
+
+  // A request with too little of its budget left starts no items.
+  firestoreDocs.set('summary_jobs::job-2', {
+    ...firestoreDocs.get('summary_jobs::job-1'),
+    itemCount: 1,
+    status: 'pending',
+  });
+  firestoreDocs.set('summary_job_items::job-2_0', {
+    jobId: 'job-2',
+    index: 0,
+    videoID: 'later',
+    status: 'queued',
+    attempts: 0,
+  });
+  await summaryJobRunner.processJob('job-2', { deadline: Date.now() + 5000 });
+  assert.equal(firestoreDocs.get('summary_jobs::job-2').status, 'pending');
+  assert.equal(firestoreDocs.get('summary_job_items::job-2_0').attempts, 0);
+  await summaryJobRunner.processJob('job-2', { deadline: Date.now() + 30000 });
+  assert.equal(firestoreDocs.get('summary_jobs::job-2').status, 'completed');
+});
+
+test('Transcript ingestion parses SRT and WebVTT, dedupes rolling captions and guards overwrites', async () => {
+  const mod = loadAppWithMocks();
+  const ingest = (videoID, body) =>
+    invokeHandlers([mod.testHandlers.ingestTranscriptHandler], {
+      method: 'POST',
+      path: `/api/transcripts/${videoID}`,
+      url: `/api/transcripts/${videoID}`,
+      params: { videoID },
+      body,
+      headers: {},
+      query: {},
+    });
+
+  const srt = [
+    '1',
+    '00:00:01,000 --> 00:00:03,500',
+    '<i>Hello</i> and welcome',
+    '',
+    '2',
+    '00:00:03,500 --> 00:00:06,000',
+    'to the show &amp; more',
+    '',
+  ].join('\r\n');
+  const created = await ingest('srt-video', { content: srt });
+  assert.equal(created.statusCode, 201);
+  assert.deepEqual(created.body, {
+    videoID: 'srt-video',
+    format: 'srt',
+    segmentCount: 2,
+    transcriptLength: 36,
+    durationSeconds: 6,
+    overwritten: false,
+  });
+  const stored = firestoreDocs.get('transcripts::srt-video');
+  assert.equal(stored.transcript, 'Hello and welcome to the show & more');
+  assert.deepEqual(stored.segments[0], {
+    start: 1,
+    end: 3.5,
+    text: 'Hello and welcome',
+  });
+
+  const vtt = [
+    'WEBVTT',
+    'Kind: captions',
+    '',
+    'NOTE rolling auto-captions',
+    '',
+    'cue-1',
+    '00:00.000 --> 00:02.000 align:start',
+    'so today we talk',
+    '',
+    '00:02.000 --> 00:02.010',
+    'so today we talk',
+    '',
+    '00:02.010 --> 00:04.000',
+    'so today we talk',
+    'about <c>rust</c> ownership',
+    '',
+    '00:04.000 --> 00:06.000',
+    '<v Ana>about rust ownership</v>',
+    'and borrowing',
+  ].join('\n');
+  const conflict = await ingest('srt-video', { content: vtt });
+  assert.equal(conflict.statusCode, 409);
+
+  const replaced = await ingest('srt-video', { content: vtt, overwrite: true });
+  assert.equal(replaced.statusCode, 200);
+  assert.equal(replaced.body.format, 'vtt');
+  assert.equal(replaced.body.segmentCount, 3);
+  assert.equal(replaced.body.overwritten, true);
+  assert.deepEqual(firestoreDocs.get('transcripts::srt-video').segments, [
+    { start: 0, end: 2.01, text: 'so today we talk' },
+    { start: 2.01, end: 4, text: 'about rust ownership' },
+    { start: 4, end: 6, text: 'and borrowing' },
+  ]);
+
+  const plain = await ingest('plain-video', {
+    content: '  First   line\n\n\n\nSecond line  ',
+  });
+  assert.equal(plain.statusCode, 201);
+  assert.equal(plain.body.format, 'text');
+  assert.equal(plain.body.segmentCount, 0);
+  assert.equal(plain.body.durationSeconds, null);
+  assert.equal(
+    firestoreDocs.get('transcripts::plain-video').transcript,
+    'First line\n\nSecond line',
+  );
+
+  const tooLarge = await loadAppWithMocks({
+    env: { TRANSCRIPT_INGEST_MAX_CHARS: '10' },
+  }).testHandlers.ingestTranscriptHandler;
+  const tooLargeRes = await invokeHandlers([tooLarge], {
+    method: 'POST',
+    params: { videoID: 'big' },
+    body: { content: 'x'.repeat(11) },
+    headers: {},
+    query: {},
+  });
+  assert.equal(tooLargeRes.statusCode, 413);
+
+  const badVtt = await ingest('bad', {
+    content: 'WEBVTT\n\nno cues',
+    format: 'vtt',
+  });
+  assert.equal(badVtt.statusCode, 400);
+  assert.match(badVtt.body.error, /No VTT cues/);
+});
+
+test('Rolling-caption dedupe stays fast on large caption files', () => {
+  const { parseTranscriptContent } = require('../lib/transcript-ingest');
+  const toTimestamp = (seconds) =>
+    new Date(seconds * 1000).toISOString().slice(11, 23);
+  // Each cue repeats most of the previous one but differs in its last word,
+  // the worst case for the overlap search.
+  const words = Array.from({ length: 199 }, () => 'w');
+  const content = [
+    'WEBVTT',
+    ...Array.from(
+      { length: 1100 },
+      (_, index) =>
+        `${toTimestamp(index)} --> ${toTimestamp(index + 1)}\n${[...words, `end${index}`].join(' ')}`,
+    ),
+  ].join('\n\n');
+  assert.ok(content.length < 500_000);
+
+  const startedAt = Date.now();
+  const parsed = parseTranscriptContent(content, { maxSegments: 20_000 });
+  const elapsedMs = Date.now() - startedAt;
+  assert.equal(parsed.segments.length, 1100);
+  assert.equal(parsed.segments[1].text, words.join(' ') + ' end1');
+  assert.ok(elapsedMs < 400, `dedupe took ${elapsedMs}ms`);
+});
+
+test('Re-ingesting a transcript drops its cached summaries', async () => {
+  firestoreGetMock = async (videoID) => {
+    const stored = firestoreDocs.get(`transcripts::${videoID}`);
+    return { exists: Boolean(stored), data: () => stored };
+  };
+  let calls = 0;
+  mockAxios.post = async (url, payload) => {
+    calls += 1;
+    return {
+      data: {
+        output: [
+          {
+            content: [
+              {
+                type: 'output_text',
+                text: wellFormedSummary(`About ${payload.input[1].content}`),
+              },
+            ],
+          },
+        ],
+      },
+    };
+  };
+
+  const mod = loadAppWithMocks();
+  const { ingestTranscriptHandler, openAiChatYoutubeTranscriptHandler } =
+    mod.testHandlers;
+  const ingest = (content, overwrite) =>
+    invokeHandlers([ingestTranscriptHandler], {
+      method: 'POST',
+      params: { videoID: 'recaptioned' },
+      body: { content, overwrite },
+      headers: {},
+      query: {},
+    });
+  const summarize = () =>
+    invokeHandlers([openAiChatYoutubeTranscriptHandler], {
+      method: 'POST',
+      path: '/api/openai-chat-youtube-transcript',
+      url: '/api/openai-chat-youtube-transcript',
+      body: { videoID: 'recaptioned', responseFormat: 'normalized' },
+      headers: {},
+      query: {},
+    });
+
+  await ingest('Old captions.');
+  assert.match((await summarize()).body.text, /About Old captions\./);
+  const cached = await summarize();
+  assert.equal(cached.body.cache.hit, true);
+  assert.equal(calls, 1);
+
+  const otherVideo = 'summary_cache::unrelated';
+  firestoreDocs.set(otherVideo, { videoID: 'other', entry: {} });
+  assert.equal((await ingest('New captions.', true)).statusCode, 200);
+  const fresh = await summarize();
+  assert.equal(fresh.body.cache.hit, false);
+  assert.match(fresh.body.text, /About New captions\./);
+  assert.equal(calls, 2);
+  assert.ok(firestoreDocs.has(otherVideo));
+});